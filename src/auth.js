@@ -1,20 +1,23 @@
 import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+import { readCookieFile } from './cookiefile.js';
+import { clearSavedSession, DEFAULT_SESSION_PATH, loadSavedSession, saveSession } from './sessionstore.js';
 import { loadConfig } from './utils.js';
 
 // Add stealth plugin to puppeteer
 puppeteer.use(StealthPlugin());
 
+// Redirects to the login page when the session isn't logged in
+const ACCOUNT_URL = 'https://frontendmasters.com/account/';
+
 /**
- * Login to Frontend Masters using Puppeteer with stealth plugin
- * @param {Object} credentials - Optional credentials object with email and password
- * @param {Object} options - Login options
- * @param {boolean} options.visible - Launch visible browser for manual login
- * @returns {Promise<Object>} Object containing browser and page instances
+ * Resolve and validate the login credentials, falling back to
+ * config/credentials.json (not needed for visible mode)
+ * @param {Object|null} credentials - Credentials object with email and password
+ * @param {boolean} visible - Whether the user logs in manually
+ * @returns {Promise<{email: string, password: string}|null>} Trimmed credentials
  */
-export async function login(credentials = null, options = {}) {
-  const { visible = false } = options;
-
+async function resolveCredentials(credentials, visible) {
   let creds = credentials;
 
   // Load credentials from config if not provided (not needed for visible mode)
@@ -31,11 +34,48 @@ export async function login(credentials = null, options = {}) {
   }
 
   // Trim whitespace from credentials
-  if (creds) {
-    creds = { email: creds.email?.trim(), password: creds.password?.trim() };
+  return creds ? { email: creds.email?.trim(), password: creds.password?.trim() } : null;
+}
+
+/**
+ * Load saved cookies into the browser and check that they are still logged in
+ * @param {Object} browser - The puppeteer browser instance
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {Array<Object>} cookies - Cookies from the session store
+ * @returns {Promise<boolean>} Whether the session is still valid
+ */
+async function restoreSession(browser, page, cookies) {
+  // Only the fields setCookie accepts; the store keeps everything cookies() returns
+  const params = cookies.map(({ name, value, domain, path, expires, httpOnly, secure, sameSite }) => ({
+    name,
+    value,
+    domain,
+    path,
+    ...(expires > 0 ? { expires } : {}),
+    httpOnly,
+    secure,
+    ...(sameSite ? { sameSite } : {})
+  }));
+
+  if (typeof browser.setCookie === 'function') {
+    await browser.setCookie(...params);
+  } else {
+    await page.setCookie(...params);
   }
 
-  // Launch browser
+  await page.goto(ACCOUNT_URL, {
+    waitUntil: 'networkidle2',
+    timeout: 30000
+  });
+  return !page.url().includes('/login');
+}
+
+/**
+ * Launch the browser with a page sized for the course pages
+ * @param {boolean} visible - Show the browser window
+ * @returns {Promise<{browser: Object, page: import('puppeteer').Page}>}
+ */
+async function launchBrowser(visible) {
   const browser = await puppeteer.launch({
     headless: !visible,
     args: ['--no-sandbox', '--disable-setuid-sandbox'],
@@ -44,13 +84,120 @@ export async function login(credentials = null, options = {}) {
 
   const page = await browser.newPage();
   await page.setViewport({ width: 1920, height: 1080 });
+  return { browser, page };
+}
+
+/**
+ * Log in with cookies exported from another browser, without submitting
+ * the login form
+ * @param {string} cookieFile - Netscape-format cookies.txt
+ * @param {(message: string) => void} log - Where to print login progress
+ * @returns {Promise<Object>} Object containing browser and page instances
+ */
+async function cookieLogin(cookieFile, log) {
+  const cookies = await readCookieFile(cookieFile);
+  const { browser, page } = await launchBrowser(false);
+
+  try {
+    if (!(await restoreSession(browser, page, cookies))) {
+      throw new Error(`The cookies in ${cookieFile} are not logged in to Frontend Masters (the account page redirected to /login/). Export them again from a logged-in browser.`);
+    }
+  } catch (error) {
+    await browser.close().catch(() => {});
+    throw error;
+  }
 
+  log(`✅ Logged in with cookies from ${cookieFile}`);
+  return { browser, page };
+}
+
+/**
+ * Get every cookie the browser holds (including CloudFront cookies on other domains)
+ * @param {Object} browser - The puppeteer browser instance
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @returns {Promise<Array<Object>>}
+ */
+async function getBrowserCookies(browser, page) {
+  return typeof browser.cookies === 'function' ? browser.cookies() : page.cookies();
+}
+
+/**
+ * Save the browser's cookies as the login session. A failure only warns:
+ * the login itself worked, the next run just has to log in again.
+ * @param {Object} browser - The puppeteer browser instance
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {Object} options - Store options
+ * @param {string|null} options.email - Account the session belongs to
+ * @param {string} [options.savedAt] - When a restored session was first saved, so re-saving doesn't make it younger
+ * @param {string} options.sessionPath - Session file
+ * @param {(message: string) => void} options.log - Where to print the warning
+ * @returns {Promise<void>}
+ */
+async function storeSession(browser, page, options) {
+  const { email, savedAt, sessionPath, log } = options;
   try {
-    if (visible) {
-      return await manualLogin(browser, page);
-    } else {
-      return await automatedLogin(browser, page, creds);
+    await saveSession(await getBrowserCookies(browser, page), { email, savedAt, sessionPath });
+  } catch (error) {
+    log(`⚠️  Could not save the login session: ${error.message}`);
+  }
+}
+
+/**
+ * Login to Frontend Masters using Puppeteer with stealth plugin. A session
+ * saved by an earlier login is reused while the server still accepts it, so
+ * most runs never submit the login form (which is what gets rate limited).
+ * @param {Object} credentials - Optional credentials object with email and password
+ * @param {Object} options - Login options
+ * @param {boolean} options.visible - Launch visible browser for manual login
+ * @param {boolean} options.savedSession - Reuse and save the login session (default: true)
+ * @param {string} options.sessionPath - Session file (default: config/session.json)
+ * @param {string} options.cookieFile - Log in with the cookies in this Netscape cookies.txt instead
+ * @param {(message: string) => void} options.log - Where to print login progress (default: console.log)
+ * @returns {Promise<Object>} Object containing browser and page instances
+ */
+export async function login(credentials = null, options = {}) {
+  const { visible = false, savedSession = true, sessionPath = DEFAULT_SESSION_PATH, cookieFile = null, log = console.log } = options;
+
+  if (cookieFile) {
+    return cookieLogin(cookieFile, log);
+  }
+
+  const saved = savedSession
+    ? await loadSavedSession({ email: credentials?.email?.trim() || null, sessionPath })
+    : null;
+
+  // Credentials are only needed up front when there is no session to reuse
+  let creds = saved ? credentials : await resolveCredentials(credentials, visible);
+
+  const { browser, page } = await launchBrowser(visible);
+
+  try {
+    if (saved) {
+      if (await restoreSession(browser, page, saved.cookies)) {
+        log('✅ Logged in with the saved session');
+        // Keep any cookies the server refreshed while restoring; the session
+        // still expires 30 days after the login that created it
+        await storeSession(browser, page, {
+          email: saved.email || credentials?.email?.trim() || null,
+          savedAt: saved.savedAt,
+          sessionPath,
+          log
+        });
+        return { browser, page };
+      }
+      log('🔑 Saved session has expired, logging in again');
+      await clearSavedSession(sessionPath);
+      creds = await resolveCredentials(credentials, visible);
+    }
+
+    const result = visible
+      ? await manualLogin(browser, page, log)
+      : await automatedLogin(browser, page, creds, log);
+
+    if (savedSession) {
+      await storeSession(browser, page, { email: creds?.email || null, sessionPath, log });
     }
+    return result;
   } catch (error) {
     await browser.close().catch(() => {});
     throw error;
@@ -60,14 +207,14 @@ export async function login(credentials = null, options = {}) {
 /**
  * Manual login: opens visible browser and waits for user to log in
  */
-async function manualLogin(browser, page) {
+async function manualLogin(browser, page, log) {
   await page.goto('https://frontendmasters.com/login/', {
     waitUntil: 'networkidle2',
     timeout: 60000
   });
 
-  console.log('🌐 Browser opened. Please log in manually.');
-  console.log('   Waiting for you to complete login (up to 2 minutes)...');
+  log('🌐 Browser opened. Please log in manually.');
+  log('   Waiting for you to complete login (up to 2 minutes)...');
 
   // Poll until we're no longer on the login page
   const startTime = Date.now();
@@ -77,7 +224,7 @@ async function manualLogin(browser, page) {
     await new Promise(r => setTimeout(r, 2000));
     const url = page.url();
     if (!url.includes('/login/')) {
-      console.log('✅ Logged in successfully');
+      log('✅ Logged in successfully');
       return { browser, page };
     }
   }
@@ -88,7 +235,7 @@ async function manualLogin(browser, page) {
 /**
  * Automated login: fills in credentials and submits
  */
-async function automatedLogin(browser, page, creds) {
+async function automatedLogin(browser, page, creds, log) {
   await page.goto('https://frontendmasters.com/login/', {
     waitUntil: 'networkidle2',
     timeout: 30000
@@ -116,8 +263,8 @@ async function automatedLogin(browser, page, creds) {
   // Check for 2FA prompt
   const currentUrl = page.url();
   if (currentUrl.includes('2fa') || currentUrl.includes('two-factor')) {
-    console.log('⚠️  2FA required. Please check your device/email and complete authentication manually.');
-    console.log('   Waiting for 2FA completion (60 seconds)...');
+    log('⚠️  2FA required. Please check your device/email and complete authentication manually.');
+    log('   Waiting for 2FA completion (60 seconds)...');
     await page.waitForNavigation({
       waitUntil: 'networkidle2',
       timeout: 60000
@@ -136,7 +283,7 @@ async function automatedLogin(browser, page, creds) {
     throw new Error(`Login failed: ${errorText || 'Invalid credentials or form error'}`);
   }
 
-  console.log('✅ Logged in successfully');
+  log('✅ Logged in successfully');
   return { browser, page };
 }
 
@@ -0,0 +1,82 @@
+/**
+ * Build chapter markers for a course joined into one video. Every lesson
+ * gets a chapter starting where the previous one ended; consecutive lessons
+ * sharing a section also get a chapter spanning the whole section.
+ *
+ * MP4 chapters are a flat list of start points, so overlapping section
+ * chapters can't be stored there. With sectionChapters off, the section is
+ * folded into the title of each lesson chapter instead ("Section: Lesson").
+ * @param {Array<{title: string, section?: string|null, duration: number}>} entries - Lessons in playback order, with their real durations in seconds
+ * @param {Object} options - Chapter options
+ * @param {boolean} options.sectionChapters - Add a chapter per section (default: true)
+ * @returns {Array<{title: string, start: number, end: number}>} Chapters in milliseconds, ordered by start (a section comes before its first lesson)
+ */
+export function buildChapters(entries, options = {}) {
+  const { sectionChapters = true } = options;
+  const lessons = [];
+  const sections = [];
+  let start = 0;
+
+  for (const entry of entries) {
+    const end = start + Math.max(0, Math.round((entry.duration || 0) * 1000));
+    const section = entry.section || null;
+
+    if (section && sectionChapters) {
+      const current = sections[sections.length - 1];
+      if (current && current.title === section && current.end === start) {
+        current.end = end;
+      } else {
+        sections.push({ title: section, start, end });
+      }
+    }
+
+    lessons.push({
+      title: section && !sectionChapters ? `${section}: ${entry.title}` : entry.title,
+      start,
+      end
+    });
+    start = end;
+  }
+
+  // Sort is stable, so a section stays ahead of the lesson it starts with
+  return [...sections, ...lessons].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Escape a value for an ffmetadata file
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function escapeMetadata(value) {
+  return String(value).replace(/[=;#\\\n]/g, '\\$&');
+}
+
+/**
+ * Format global tags and chapters as an ffmetadata file, for ffmpeg's
+ * -map_metadata/-map_chapters
+ * @param {Object<string, string|null>} metadata - Global tags (e.g., title, artist); empty values are left out
+ * @param {Array<{title: string, start: number, end: number}>} chapters - Chapters from buildChapters
+ * @returns {string}
+ */
+export function formatFFMetadata(metadata, chapters) {
+  const lines = [';FFMETADATA1'];
+
+  for (const [key, value] of Object.entries(metadata || {})) {
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      lines.push(`${key}=${escapeMetadata(String(value).trim())}`);
+    }
+  }
+
+  for (const chapter of chapters) {
+    lines.push(
+      '',
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${chapter.start}`,
+      `END=${chapter.end}`,
+      `title=${escapeMetadata(chapter.title)}`
+    );
+  }
+
+  return lines.join('\n') + '\n';
+}
@@ -1,6 +1,10 @@
 #!/usr/bin/env node
 
-import { downloadCourse } from './index.js';
+import { downloadCourse, listCourse } from './index.js';
+import { parseQualitySpec } from './quality.js';
+import { parseRate, parseTimeWindow } from './ratelimit.js';
+import { parseLessonRanges, parseTitlePattern } from './selection.js';
+import { clearSavedSession, DEFAULT_SESSION_PATH, loadSavedSession } from './sessionstore.js';
 import { loadConfig } from './utils.js';
 
 // Simple CLI argument parsing
@@ -12,15 +16,48 @@ Frontend Masters Downloader
 
 Usage:
   node src/cli.js <course-url> [options]
+  node src/cli.js logout
 
 Arguments:
   course-url           The Frontend Masters course URL to download
 
+Commands:
+  logout               Delete the saved login session (${DEFAULT_SESSION_PATH})
+
 Options:
   --email, -e          Your Frontend Masters email (or set FEMAIL env var)
   --password, -p       Your Frontend Masters password (or set FPASS env var)
   --output, -o         Output directory (default: ./downloads/<course-slug>)
+  --concurrency N      Number of segments to download in parallel (default: 1)
+  --quality SPEC       Video quality: best, worst, 720p, <=1080p, or a bandwidth cap like <=3M (default: best)
+  --codec NAME         Only download variants using this codec (h264, hevc, av1, or a CODECS prefix)
+  --audio-lang CODE    Preferred audio language when a lesson has several audio tracks (e.g. en)
+  --limit-rate RATE    Cap download speed in bytes/s with an optional K/M/G suffix (e.g. 2M)
+  --full-speed HH:MM-HH:MM
+                       Daily window in which --limit-rate is lifted (e.g. 01:00-07:00)
+  --browser-fetch      Download segments through the browser instead of directly (slower)
+  --stream             Pipe segments straight into ffmpeg instead of writing temp files
+  --no-verify          Skip segment integrity checks (MPEG-TS/fMP4 structure, size, duration)
+  --extract-first      Capture every lesson's playlist before downloading (default: just before each lesson)
+  --lessons LIST       Only download these lessons, e.g. 1-5,8,12- (lessons listed on their own, like 8, are re-downloaded even if completed)
+  --match REGEX        Only download lessons whose title matches (case-insensitive)
+  --section REGEX      Only download lessons in sections whose heading matches (case-insensitive)
+  --section-folders    Save lessons in one folder per course section (NN-section/NN-lesson.mp4)
+  --subtitle-lang CODE Preferred caption language when a lesson has several (e.g. en)
+  --no-subtitles       Don't save captions (.vtt and .srt) next to each lesson
+  --embed-subtitles    Also mux the captions into the MP4 as a soft subtitle track
+  --no-resources       Don't save the course's slides, files and links (resources/ and resources.md)
+  --no-cover           Don't attach the course thumbnail to each MP4 as cover art
+  --nfo                Write Kodi/Jellyfin .nfo files (tvshow.nfo and one per lesson)
+  --single-file [FMT]  Also join the lessons into one course video with chapters (mp4 or mkv, default: mp4)
+                       A chapter per lesson; section chapters are MKV-only (MP4 prefixes the section to lesson titles)
+  --list, --dry-run    Print the lessons and their download status without downloading
+  --json               With --list, print the lesson table as JSON
   --visible            Open a visible browser for manual login (bypasses rate limits)
+  --fresh-login        Ignore the saved login session and log in again
+  --cookies FILE       Log in with cookies from a Netscape cookies.txt (e.g. exported by a browser extension)
+  --export-cookies FILE
+                       Save the login session's cookies to a cookies.txt for use with --cookies
   --keep-temp          Keep temporary segment files after download
   --help, -h           Show this help message
 
@@ -38,19 +75,81 @@ Examples:
   # Manual login (visible browser, no credentials needed)
   node src/cli.js https://frontendmasters.com/courses/react-nextjs-state/ --visible
 
+  # Save disk space with 720p, or cap the bitrate at 3 Mbit/s
+  node src/cli.js https://frontendmasters.com/courses/react-nextjs-state/ --visible --quality 720p
+  node src/cli.js https://frontendmasters.com/courses/react-nextjs-state/ --visible --quality "<=3M"
+
+  # Download 8 segments at a time
+  node src/cli.js https://frontendmasters.com/courses/react-nextjs-state/ --visible --concurrency 8
+
+  # Stay under 2 MB/s during the day, full speed overnight
+  node src/cli.js https://frontendmasters.com/courses/react-nextjs-state/ --visible --limit-rate 2M --full-speed 01:00-07:00
+
+  # Remux while downloading, without temp segment files
+  node src/cli.js https://frontendmasters.com/courses/react-nextjs-state/ --visible --stream
+
+  # Re-download lesson 7, or only the lessons about hooks in the first section
+  node src/cli.js https://frontendmasters.com/courses/react-nextjs-state/ --visible --lessons 7
+  node src/cli.js https://frontendmasters.com/courses/react-nextjs-state/ --visible --match hook --section intro
+
+  # See what a course contains and what is already downloaded
+  node src/cli.js https://frontendmasters.com/courses/react-nextjs-state/ --visible --list
+  node src/cli.js https://frontendmasters.com/courses/react-nextjs-state/ --visible --list --json > lessons.json
+
+  # Headless box: log in with cookies exported from your desktop browser
+  node src/cli.js https://frontendmasters.com/courses/react-nextjs-state/ --cookies cookies.txt
+
   # With custom output directory
   node src/cli.js https://frontendmasters.com/courses/react-nextjs-state/ -e user@example.com -p password -o ~/Videos/FEM
 `);
 }
 
+// Logins are saved between runs; "logout" forgets the saved session
+if (args[0] === 'logout') {
+  try {
+    const removed = await clearSavedSession();
+    console.log(removed ? '✅ Logged out: saved session deleted' : 'No saved session to delete');
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 // Parse arguments
 let courseUrl = '';
 const options = {
   email: process.env.FEMAIL || '',
   password: process.env.FPASS || '',
   outputDir: '',
+  concurrency: 1,
+  audioLanguage: '',
+  quality: 'best',
+  codec: '',
+  limitRate: '',
+  fullSpeedWindow: '',
+  browserFetch: false,
+  stream: false,
+  verify: true,
+  extractFirst: false,
+  sectionFolders: false,
+  subtitles: true,
+  subtitleLanguage: '',
+  embedSubtitles: false,
+  resources: true,
+  cover: true,
+  singleFile: '',
+  nfo: false,
+  lessons: '',
+  match: '',
+  section: '',
+  list: false,
+  json: false,
   keepTemp: false,
-  visible: false
+  visible: false,
+  freshLogin: false,
+  cookieFile: '',
+  exportCookies: ''
 };
 
 for (let i = 0; i < args.length; i++) {
@@ -78,6 +177,142 @@ for (let i = 0; i < args.length; i++) {
       options.outputDir = args[++i];
       break;
 
+    case '--concurrency': {
+      const value = Number(args[++i]);
+      if (!Number.isInteger(value) || value < 1) {
+        console.error('❌ Error: --concurrency must be a positive integer');
+        process.exit(1);
+      }
+      options.concurrency = value;
+      break;
+    }
+
+    case '--quality':
+      options.quality = args[++i];
+      try {
+        parseQualitySpec(options.quality);
+      } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+
+    case '--codec':
+      options.codec = args[++i];
+      break;
+
+    case '--audio-lang':
+      options.audioLanguage = args[++i];
+      break;
+
+    case '--limit-rate':
+      options.limitRate = args[++i];
+      try {
+        parseRate(options.limitRate);
+      } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+
+    case '--full-speed':
+      options.fullSpeedWindow = args[++i];
+      try {
+        parseTimeWindow(options.fullSpeedWindow);
+      } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+
+    case '--browser-fetch':
+      options.browserFetch = true;
+      break;
+
+    case '--stream':
+      options.stream = true;
+      break;
+
+    case '--no-verify':
+      options.verify = false;
+      break;
+
+    case '--extract-first':
+      options.extractFirst = true;
+      break;
+
+    case '--lessons':
+      options.lessons = args[++i];
+      try {
+        parseLessonRanges(options.lessons);
+      } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+
+    case '--match':
+      options.match = args[++i];
+      try {
+        parseTitlePattern(options.match, '--match');
+      } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+
+    case '--section':
+      options.section = args[++i];
+      try {
+        parseTitlePattern(options.section, '--section');
+      } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+
+    case '--section-folders':
+      options.sectionFolders = true;
+      break;
+
+    case '--subtitle-lang':
+      options.subtitleLanguage = args[++i];
+      break;
+
+    case '--no-subtitles':
+      options.subtitles = false;
+      break;
+
+    case '--embed-subtitles':
+      options.embedSubtitles = true;
+      break;
+
+    case '--no-resources':
+      options.resources = false;
+      break;
+
+    case '--no-cover':
+      options.cover = false;
+      break;
+
+    case '--nfo':
+      options.nfo = true;
+      break;
+
+    case '--single-file':
+      // The container is optional: --single-file or --single-file mkv
+      options.singleFile = ['mp4', 'mkv'].includes(args[i + 1]) ? args[++i] : 'mp4';
+      break;
+
+    case '--list':
+    case '--dry-run':
+      options.list = true;
+      break;
+
+    case '--json':
+      options.json = true;
+      break;
+
     case '--keep-temp':
       options.keepTemp = true;
       break;
@@ -86,6 +321,18 @@ for (let i = 0; i < args.length; i++) {
       options.visible = true;
       break;
 
+    case '--fresh-login':
+      options.freshLogin = true;
+      break;
+
+    case '--cookies':
+      options.cookieFile = args[++i];
+      break;
+
+    case '--export-cookies':
+      options.exportCookies = args[++i];
+      break;
+
     default:
       if (!arg.startsWith('-') && !courseUrl) {
         courseUrl = arg;
@@ -101,8 +348,29 @@ if (!courseUrl) {
   process.exit(1);
 }
 
-// Skip credential validation in visible mode (manual login)
-if (!options.visible) {
+if (options.embedSubtitles && !options.subtitles) {
+  console.error('❌ Error: --embed-subtitles cannot be combined with --no-subtitles');
+  process.exit(1);
+}
+
+if (options.json && !options.list) {
+  console.error('❌ Error: --json only applies together with --list');
+  process.exit(1);
+}
+
+if (options.cookieFile && options.visible) {
+  console.error('❌ Error: --cookies cannot be combined with --visible');
+  process.exit(1);
+}
+
+if (options.fullSpeedWindow && !options.limitRate) {
+  console.error('❌ Error: --full-speed only applies together with --limit-rate');
+  process.exit(1);
+}
+
+// Skip credential validation in visible mode (manual login) and when
+// logging in with a cookies file
+if (!options.visible && !options.cookieFile) {
   // Fall back to credentials.json if email/password not provided
   if (!options.email || !options.password) {
     try {
@@ -114,20 +382,31 @@ if (!options.visible) {
     }
   }
 
-  if (!options.email) {
+  // A saved session logs in without credentials (they're only needed if it has expired)
+  const canReuseSession = !options.freshLogin && (!options.email || !options.password) &&
+    Boolean(await loadSavedSession({ email: options.email || null }));
+
+  if (!options.email && !canReuseSession) {
     console.error('❌ Error: Email is required (use --email, FEMAIL env var, config/credentials.json, or --visible)');
     process.exit(1);
   }
 
-  if (!options.password) {
+  if (!options.password && !canReuseSession) {
     console.error('❌ Error: Password is required (use --password, FPASS env var, config/credentials.json, or --visible)');
     process.exit(1);
   }
 }
 
-// Start download
-console.log('🚀 Frontend Masters Downloader\n');
-downloadCourse(courseUrl, options).catch(err => {
-  console.error(`\n❌ Fatal error: ${err.message}`);
-  process.exit(1);
-});
+// Start download (or just list the lessons)
+if (options.list) {
+  listCourse(courseUrl, options).catch(err => {
+    console.error(`\n❌ Fatal error: ${err.message}`);
+    process.exit(1);
+  });
+} else {
+  console.log('🚀 Frontend Masters Downloader\n');
+  downloadCourse(courseUrl, options).catch(err => {
+    console.error(`\n❌ Fatal error: ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,111 @@
+import { chmod, readFile, writeFile } from 'fs/promises';
+
+const HEADER = '# Netscape HTTP Cookie File';
+const HTTP_ONLY_PREFIX = '#HttpOnly_';
+
+/**
+ * Parse a Netscape-format cookies.txt (as written by curl, wget and browser
+ * cookie-export extensions) into Puppeteer cookies. Each line holds seven
+ * tab-separated fields: domain, include-subdomains flag, path, secure flag,
+ * expiry (seconds since the epoch, 0 for a browser-session cookie), name
+ * and value. Lines starting with "#HttpOnly_" are HttpOnly cookies; other
+ * "#" lines are comments.
+ * @param {string} content - File content
+ * @returns {Array<{name: string, value: string, domain: string, path: string, expires: number, httpOnly: boolean, secure: boolean}>}
+ */
+export function parseNetscapeCookies(content) {
+  const cookies = [];
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  lines.forEach((rawLine, index) => {
+    let line = rawLine;
+    let httpOnly = false;
+    if (line.startsWith(HTTP_ONLY_PREFIX)) {
+      line = line.slice(HTTP_ONLY_PREFIX.length);
+      httpOnly = true;
+    } else if (line.startsWith('#') || line.trim() === '') {
+      return;
+    }
+
+    const fields = line.split('\t');
+    if (fields.length < 7) {
+      throw new Error(`Invalid cookies.txt line ${index + 1}: expected 7 tab-separated fields, found ${fields.length}`);
+    }
+
+    const [domain, includeSubdomains, path, secure, expires, name, ...valueParts] = fields;
+    const expiry = parseInt(expires, 10);
+    if (!domain || !name || !Number.isFinite(expiry)) {
+      throw new Error(`Invalid cookies.txt line ${index + 1}: missing domain, name or expiry`);
+    }
+
+    // A leading dot is how Puppeteer marks cookies sent to subdomains
+    const bareDomain = domain.replace(/^\./, '');
+    cookies.push({
+      name,
+      value: valueParts.join('\t'),
+      domain: includeSubdomains.toUpperCase() === 'TRUE' ? `.${bareDomain}` : bareDomain,
+      path: path || '/',
+      expires: expiry > 0 ? expiry : -1,
+      httpOnly,
+      secure: secure.toUpperCase() === 'TRUE'
+    });
+  });
+
+  return cookies;
+}
+
+/**
+ * Format Puppeteer cookies as a Netscape-format cookies.txt
+ * @param {Array<Object>} cookies - Cookies from browser.cookies()
+ * @returns {string}
+ */
+export function formatNetscapeCookies(cookies) {
+  const lines = cookies.map((cookie) => {
+    const domain = cookie.domain || '';
+    const expires = cookie.expires > 0 ? Math.floor(cookie.expires) : 0;
+    return [
+      `${cookie.httpOnly ? HTTP_ONLY_PREFIX : ''}${domain}`,
+      domain.startsWith('.') ? 'TRUE' : 'FALSE',
+      cookie.path || '/',
+      cookie.secure ? 'TRUE' : 'FALSE',
+      String(expires),
+      cookie.name,
+      cookie.value ?? ''
+    ].join('\t');
+  });
+
+  return [HEADER, '# Exported by fmdl. Contains your login session: keep it private.', '', ...lines].join('\n') + '\n';
+}
+
+/**
+ * Read cookies from a Netscape-format cookies.txt file
+ * @param {string} filePath - File path
+ * @returns {Promise<Array<Object>>} Puppeteer cookies
+ */
+export async function readCookieFile(filePath) {
+  let content;
+  try {
+    content = await readFile(filePath, 'utf-8');
+  } catch (error) {
+    throw new Error(`Failed to read cookies from ${filePath}: ${error.message}`, { cause: error });
+  }
+
+  const cookies = parseNetscapeCookies(content);
+  if (cookies.length === 0) {
+    throw new Error(`No cookies found in ${filePath}. Export them in Netscape (cookies.txt) format.`);
+  }
+  return cookies;
+}
+
+/**
+ * Write cookies to a Netscape-format cookies.txt file, readable only by the
+ * current user
+ * @param {string} filePath - File path
+ * @param {Array<Object>} cookies - Cookies from browser.cookies()
+ * @returns {Promise<void>}
+ */
+export async function writeCookieFile(filePath, cookies) {
+  await writeFile(filePath, formatNetscapeCookies(cookies), { mode: 0o600 });
+  // writeFile's mode only applies when the file is created
+  await chmod(filePath, 0o600);
+}
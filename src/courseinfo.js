@@ -0,0 +1,116 @@
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+/**
+ * Collect the course details and its full lesson list for course.json
+ * @param {Object} metadata - Course metadata from getCourseMetadata
+ * @param {Array<{number: number, title: string, duration: number, url: string, description?: string|null, section?: string|null, sectionNumber?: number|null}>} lessons - All lessons from extractLessonList
+ * @param {string} courseUrl - Course URL
+ * @returns {Object} The course info
+ */
+export function buildCourseInfo(metadata, lessons, courseUrl) {
+  return {
+    title: metadata.title,
+    slug: metadata.slug,
+    url: courseUrl,
+    instructors: metadata.instructors || [],
+    description: metadata.description || null,
+    releaseDate: metadata.releaseDate || null,
+    level: metadata.level || null,
+    thumbnailUrl: metadata.thumbnailUrl || null,
+    lessonCount: lessons.length,
+    totalDuration: lessons.reduce((total, lesson) => total + (lesson.duration || 0), 0),
+    lessons: lessons.map(lesson => ({
+      number: lesson.number,
+      title: lesson.title,
+      section: lesson.section ?? null,
+      sectionNumber: lesson.sectionNumber ?? null,
+      duration: lesson.duration,
+      description: lesson.description ?? null,
+      url: lesson.url
+    }))
+  };
+}
+
+/**
+ * Escape text for XML
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format an element per non-empty value, indented one level
+ * @param {string} tag - Element name
+ * @param {...(string|number|null|undefined)} values - Element text
+ * @returns {string[]}
+ */
+function elements(tag, ...values) {
+  return values
+    .filter(value => value !== undefined && value !== null && String(value).trim() !== '')
+    .map(value => `  <${tag}>${escapeXml(String(value).trim())}</${tag}>`);
+}
+
+/**
+ * Convert seconds to whole minutes for <runtime> (at least 1)
+ * @param {number} seconds - Duration in seconds
+ * @returns {number|null}
+ */
+function runtimeMinutes(seconds) {
+  return seconds > 0 ? Math.max(1, Math.round(seconds / 60)) : null;
+}
+
+/**
+ * Format a Kodi/Jellyfin tvshow.nfo for the course: the course is the show
+ * and its lessons are the episodes of season 1
+ * @param {Object} info - Course info from buildCourseInfo
+ * @returns {string}
+ */
+export function formatShowNfo(info) {
+  const lines = [
+    XML_HEADER,
+    '<tvshow>',
+    ...elements('title', info.title),
+    ...elements('plot', info.description),
+    ...elements('premiered', info.releaseDate),
+    ...elements('year', info.releaseDate?.slice(0, 4)),
+    ...elements('runtime', runtimeMinutes(info.totalDuration)),
+    ...elements('studio', 'Frontend Masters'),
+    ...elements('genre', 'Education'),
+    ...elements('tag', info.level),
+    ...info.instructors.map(name => `  <actor>\n    <name>${escapeXml(name)}</name>\n    <role>Instructor</role>\n  </actor>`),
+    ...(info.thumbnailUrl ? [`  <thumb aspect="poster">${escapeXml(info.thumbnailUrl)}</thumb>`] : []),
+    ...(info.slug ? [`  <uniqueid type="frontendmasters" default="true">${escapeXml(info.slug)}</uniqueid>`] : []),
+    '</tvshow>'
+  ];
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a Kodi/Jellyfin episode .nfo for a lesson, saved next to its MP4
+ * @param {Object} info - Course info from buildCourseInfo
+ * @param {{number: number, title: string, duration: number, description?: string|null}} lesson - The lesson
+ * @returns {string}
+ */
+export function formatEpisodeNfo(info, lesson) {
+  const lines = [
+    XML_HEADER,
+    '<episodedetails>',
+    ...elements('title', lesson.title),
+    ...elements('showtitle', info.title),
+    ...elements('season', 1),
+    ...elements('episode', lesson.number),
+    ...elements('plot', lesson.description),
+    ...elements('aired', info.releaseDate),
+    ...elements('runtime', runtimeMinutes(lesson.duration)),
+    ...elements('studio', 'Frontend Masters'),
+    ...elements('credits', ...info.instructors),
+    '</episodedetails>'
+  ];
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,83 @@
+import { createDecipheriv } from 'crypto';
+
+const KEY_LENGTH = 16;
+
+/**
+ * Derive the AES-128 IV for a segment from its media sequence number.
+ * Per RFC 8216, when a key has no explicit IV the sequence number is used as a
+ * 128-bit big-endian integer.
+ * @param {number} sequence - Media sequence number of the segment
+ * @returns {Buffer} 16-byte IV
+ */
+export function sequenceIV(sequence) {
+  const iv = Buffer.alloc(16);
+  iv.writeBigUInt64BE(BigInt(sequence), 8);
+  return iv;
+}
+
+/**
+ * Parse a hexadecimal IV attribute (e.g., "0x0000...01") into a 16-byte buffer
+ * @param {string} value - The IV attribute value
+ * @returns {Buffer} 16-byte IV
+ */
+export function parseIV(value) {
+  const hex = String(value).replace(/^0x/i, '');
+  if (!/^[0-9a-f]{1,32}$/i.test(hex)) {
+    throw new Error(`Invalid IV: ${value}`);
+  }
+  return Buffer.from(hex.padStart(32, '0'), 'hex');
+}
+
+/**
+ * Decrypt an AES-128 (CBC, PKCS7) encrypted HLS segment
+ * @param {Buffer} data - Encrypted segment data
+ * @param {Buffer} key - 16-byte key
+ * @param {Buffer} iv - 16-byte IV
+ * @returns {Buffer} Decrypted segment data
+ */
+export function decryptSegment(data, key, iv) {
+  if (!Buffer.isBuffer(key) || key.length !== KEY_LENGTH) {
+    throw new Error(`Invalid AES-128 key: expected ${KEY_LENGTH} bytes, got ${key ? key.length : 0}`);
+  }
+
+  const decipher = createDecipheriv('aes-128-cbc', key, iv);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+/**
+ * Create a transform stream that decrypts an AES-128 (CBC, PKCS7) encrypted
+ * HLS segment as it is downloaded
+ * @param {Buffer} key - 16-byte key
+ * @param {Buffer} iv - 16-byte IV
+ * @returns {import('crypto').Decipher} Decrypting transform stream
+ */
+export function createDecryptStream(key, iv) {
+  if (!Buffer.isBuffer(key) || key.length !== KEY_LENGTH) {
+    throw new Error(`Invalid AES-128 key: expected ${KEY_LENGTH} bytes, got ${key ? key.length : 0}`);
+  }
+
+  return createDecipheriv('aes-128-cbc', key, iv);
+}
+
+/**
+ * Create a cache that fetches each key URI once, even when requested concurrently
+ * @param {(uri: string) => Promise<Buffer>} fetchKey - Function that downloads a key
+ * @returns {{get: (uri: string) => Promise<Buffer>}}
+ */
+export function createKeyCache(fetchKey) {
+  const keys = new Map();
+
+  return {
+    get(uri) {
+      if (!keys.has(uri)) {
+        const pending = fetchKey(uri).catch((error) => {
+          // Don't cache failures, so a later segment can retry the key
+          keys.delete(uri);
+          throw error;
+        });
+        keys.set(uri, pending);
+      }
+      return keys.get(uri);
+    }
+  };
+}
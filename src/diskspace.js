@@ -0,0 +1,73 @@
+import { statfs } from 'fs/promises';
+import { formatBytes } from './utils.js';
+
+/**
+ * Estimate the size of a download from its bitrate and duration
+ * @param {number} bandwidth - Bitrate in bits per second (a variant's BANDWIDTH)
+ * @param {number} duration - Duration in seconds
+ * @returns {number|null} Size in bytes, or null if either value is unknown
+ */
+export function estimateSize(bandwidth, duration) {
+  if (!(bandwidth > 0) || !(duration > 0)) {
+    return null;
+  }
+  return Math.ceil((bandwidth / 8) * duration);
+}
+
+/**
+ * Estimate the most temporary space a lesson uses at once. Its segments stay
+ * on disk until the merge has finished; fMP4 fragments are also joined into
+ * one intermediate file before ffmpeg remuxes them.
+ * @param {number} size - Estimated lesson size in bytes
+ * @param {'ts'|'fmp4'} format - Segment container format
+ * @returns {number} Peak temporary usage in bytes
+ */
+export function estimateTempSize(size, format = 'ts') {
+  return format === 'fmp4' ? size * 2 : size;
+}
+
+/**
+ * Get the space available to this user on the volume holding a directory
+ * @param {string} dirPath - An existing directory
+ * @returns {Promise<number>} Free space in bytes
+ */
+export async function getFreeSpace(dirPath) {
+  const stats = await statfs(dirPath);
+  return stats.bavail * stats.bsize;
+}
+
+/**
+ * Check whether an error means the disk is full, either from a file write
+ * or from ffmpeg's output, looking through wrapped errors
+ * @param {Error} error - The error to check
+ * @returns {boolean}
+ */
+export function isDiskFullError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.code === 'ENOSPC' || /No space left on device/i.test(current.message || '')) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Make sure a directory's volume has room for a download
+ * @param {string} dirPath - Directory the download is written to
+ * @param {number} requiredBytes - Space the download needs
+ * @param {string} description - What needs the space, used in the error (e.g., "lesson 3")
+ * @returns {Promise<number>} Free space in bytes
+ * @throws {Error} With code ENOSPC if there isn't enough space
+ */
+export async function ensureFreeSpace(dirPath, requiredBytes, description) {
+  const freeBytes = await getFreeSpace(dirPath);
+  if (freeBytes < requiredBytes) {
+    const error = new Error(
+      `Not enough disk space in ${dirPath}: ${description} needs about ${formatBytes(requiredBytes)} ` +
+      `but only ${formatBytes(freeBytes)} is free. Free up space or choose another --output directory.`
+    );
+    error.code = 'ENOSPC';
+    throw error;
+  }
+  return freeBytes;
+}
@@ -1,150 +1,169 @@
-import { mkdir, writeFile } from 'fs/promises';
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
 import path from 'path';
+import { createDecryptStream, createKeyCache, decryptSegment, sequenceIV } from './decryptor.js';
+import { estimateSize, estimateTempSize } from './diskspace.js';
+import { refreshLessonPlaylists } from './extractor.js';
+import { createManifest, createManifestWriter, isSegmentComplete, readManifest } from './manifest.js';
+import { createStreamingMerger } from './merger.js';
+import { parsePlaylist } from './playlist.js';
+import { describeVariant, selectVariants } from './quality.js';
+import { downloadWithSession, fetchWithSession, getSessionFromPage, isRefusedError } from './session.js';
+import { isThumbnailTrack, isWebVTT, joinWebVTT, orderWebVTTSegments } from './subtitles.js';
+import { runWorkerPool } from './utils.js';
+import { verifySegment } from './verifier.js';
+
+export { parseAttributeList } from './playlist.js';
+
+// How often a lesson's playlists may be re-captured after URLs expire
+const MAX_PLAYLIST_REFRESHES = 2;
 
 /**
- * Parse M3U8 playlist content and extract segment URLs
+ * Parse media playlist content into segments with their sequence numbers, the
+ * encryption key in effect for each (keys may rotate mid-playlist) and the
+ * fMP4 init segment (#EXT-X-MAP) they belong to.
+ * Compatibility wrapper around parsePlaylist().
  * @param {string} m3u8Content - The M3U8 playlist content
- * @param {string} baseUrl - The base URL for resolving relative segment URLs
- * @returns {string[]} Array of segment URLs
+ * @param {string} baseUrl - The base URL for resolving relative URLs
+ * @returns {Array<{url: string, sequence: number, key: Object|null, map: {uri: string, key: Object|null}|null}>}
  */
-export function parseM3U8Playlist(m3u8Content, baseUrl) {
-  if (!m3u8Content || typeof m3u8Content !== 'string') {
-    throw new Error('Invalid M3U8 content provided');
+export function parseMediaSegments(m3u8Content, baseUrl) {
+  const playlist = parsePlaylist(m3u8Content, baseUrl);
+  if (playlist.type !== 'media') {
+    return [];
   }
 
-  const lines = m3u8Content.split('\n');
-  const segmentUrls = [];
-
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-
-    // Skip comments, tags, and empty lines
-    if (!trimmedLine || trimmedLine.startsWith('#')) {
-      continue;
-    }
+  return playlist.segments
+    // A segment URL follows #EXTINF; bare .ts lines are accepted for older playlists
+    .filter(segment => segment.duration !== null || segment.url.endsWith('.ts'))
+    .map(({ url, sequence, key, map }) => ({
+      url,
+      sequence,
+      key,
+      map: map ? { uri: map.url, key: map.key } : null
+    }));
+}
 
-    // This is a segment URL
-    if (trimmedLine.endsWith('.ts')) {
-      // Resolve relative URLs
-      if (trimmedLine.startsWith('http')) {
-        segmentUrls.push(trimmedLine);
-      } else {
-        // Relative URL - resolve against base URL
-        const resolvedUrl = new URL(trimmedLine, baseUrl).href;
-        segmentUrls.push(resolvedUrl);
-      }
-    }
+/**
+ * Check whether playlist content is a media playlist (lists segments) rather
+ * than a master playlist (lists variants), based on its tags
+ * @param {string} m3u8Content - The M3U8 playlist content
+ * @returns {boolean}
+ */
+export function isMediaPlaylist(m3u8Content) {
+  if (!m3u8Content || typeof m3u8Content !== 'string') {
+    return false;
   }
 
-  return segmentUrls;
+  const playlist = parsePlaylist(m3u8Content);
+  return playlist.type === 'media' && (playlist.targetDuration !== null || playlist.segments.some(s => s.duration !== null));
 }
 
 /**
- * Parse a master M3U8 playlist and find the best quality variant
+ * Parse M3U8 playlist content and extract segment URLs.
+ * Compatibility wrapper around parsePlaylist().
+ * @param {string} m3u8Content - The M3U8 playlist content
+ * @param {string} baseUrl - The base URL for resolving relative segment URLs
+ * @returns {string[]} Array of segment URLs
+ */
+export function parseM3U8Playlist(m3u8Content, baseUrl) {
+  return parseMediaSegments(m3u8Content, baseUrl).map(segment => segment.url);
+}
+
+/**
+ * Parse a master M3U8 playlist and find the best quality variant.
+ * Compatibility wrapper around parsePlaylist().
  * @param {string} masterContent - The master M3U8 content
  * @param {string} masterUrl - The master URL for resolving relative URLs
  * @returns {string|null} The best quality variant URL or null
  */
 export function parseMasterPlaylist(masterContent, masterUrl) {
-  if (!masterContent || typeof masterContent !== 'string') {
-    return null;
-  }
+  const [best] = parseAllVariants(masterContent, masterUrl);
+  return best && best.bandwidth > 0 ? best.url : null;
+}
 
-  const lines = masterContent.split('\n');
-  let bestUrl = null;
-  let bestBandwidth = 0;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-
-    // Look for #EXT-X-STREAM-INF which precedes variant URLs
-    if (line.startsWith('#EXT-X-STREAM-INF')) {
-      const bandwidthMatch = line.match(/BANDWIDTH=(\d+)/);
-      const bandwidth = bandwidthMatch ? parseInt(bandwidthMatch[1]) : 0;
-
-      // Next non-empty, non-comment line is the variant URL
-      for (let j = i + 1; j < lines.length; j++) {
-        const variantLine = lines[j].trim();
-        if (variantLine && !variantLine.startsWith('#')) {
-          if (bandwidth > bestBandwidth) {
-            bestBandwidth = bandwidth;
-            // Resolve relative URL against master URL
-            bestUrl = variantLine.startsWith('http')
-              ? variantLine
-              : new URL(variantLine, masterUrl).href;
-          }
-          break;
-        }
-      }
-    }
-  }
+/**
+ * Parse all variant streams from a master M3U8 playlist, sorted by bandwidth (highest first).
+ * Compatibility wrapper around parsePlaylist().
+ * @param {string} masterContent - The master M3U8 content
+ * @param {string} masterUrl - The master URL for resolving relative URLs
+ * @returns {Array<{url: string, bandwidth: number, resolution: {width: number, height: number}|null, codecs: string|null, frameRate: number|null, audio: string|null}>}
+ */
+export function parseAllVariants(masterContent, masterUrl) {
+  if (!masterContent || typeof masterContent !== 'string') return [];
 
-  return bestUrl;
+  const playlist = parsePlaylist(masterContent, masterUrl);
+  if (playlist.type !== 'master') return [];
+
+  // Sort by bandwidth descending (highest quality first)
+  return playlist.variants
+    .map(({ url, bandwidth, resolution, codecs, frameRate, audio }) => ({ url, bandwidth, resolution, codecs, frameRate, audio }))
+    .sort((a, b) => b.bandwidth - a.bandwidth);
 }
 
 /**
- * Parse all variant streams from a master M3U8 playlist, sorted by bandwidth (highest first)
+ * Parse the audio renditions (#EXT-X-MEDIA:TYPE=AUDIO) from a master M3U8 playlist.
+ * Compatibility wrapper around parsePlaylist().
  * @param {string} masterContent - The master M3U8 content
  * @param {string} masterUrl - The master URL for resolving relative URLs
- * @returns {Array<{url: string, bandwidth: number}>}
+ * @returns {Array<{groupId: string, name: string, language: string|null, default: boolean, autoselect: boolean, url: string|null}>}
  */
-export function parseAllVariants(masterContent, masterUrl) {
+export function parseAudioRenditions(masterContent, masterUrl) {
   if (!masterContent || typeof masterContent !== 'string') return [];
 
-  const lines = masterContent.split('\n');
-  const variants = [];
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (line.startsWith('#EXT-X-STREAM-INF')) {
-      const bandwidthMatch = line.match(/BANDWIDTH=(\d+)/);
-      const bandwidth = bandwidthMatch ? parseInt(bandwidthMatch[1]) : 0;
-
-      for (let j = i + 1; j < lines.length; j++) {
-        const variantLine = lines[j].trim();
-        if (variantLine && !variantLine.startsWith('#')) {
-          const url = variantLine.startsWith('http')
-            ? variantLine
-            : new URL(variantLine, masterUrl).href;
-          variants.push({ url, bandwidth });
-          break;
-        }
-      }
-    }
+  const playlist = parsePlaylist(masterContent, masterUrl);
+  if (playlist.type !== 'master') return [];
+
+  return playlist.media
+    .filter(rendition => rendition.type === 'AUDIO')
+    .map(rendition => ({
+      groupId: rendition.groupId,
+      name: rendition.name,
+      language: rendition.language,
+      default: rendition.default,
+      autoselect: rendition.autoselect,
+      url: rendition.url
+    }));
+}
+
+/**
+ * Pick an audio rendition, preferring the requested language, then the
+ * DEFAULT rendition, then AUTOSELECT, then the first one listed
+ * @param {Array<Object>} renditions - Renditions from one audio group
+ * @param {string} [language] - Preferred language (e.g., "en" matches "en-US")
+ * @returns {Object|null} The chosen rendition or null if there are none
+ */
+export function selectAudioRendition(renditions, language) {
+  if (!renditions || renditions.length === 0) return null;
+
+  if (language) {
+    const wanted = language.toLowerCase();
+    const match = renditions.find(r => r.language && r.language.toLowerCase() === wanted) ||
+      renditions.find(r => r.language && r.language.toLowerCase().split('-')[0] === wanted.split('-')[0]);
+    if (match) return match;
   }
 
-  // Sort by bandwidth descending (highest quality first)
-  variants.sort((a, b) => b.bandwidth - a.bandwidth);
-  return variants;
+  return renditions.find(r => r.default) || renditions.find(r => r.autoselect) || renditions[0];
 }
 
 /**
- * Download a single segment using the browser's fetch (has CloudFront cookies).
- * @param {import('puppeteer').Page} page - Puppeteer page instance
- * @param {string} segmentUrl - The segment URL
- * @param {number} retryCount - Number of retries
- * @returns {Promise<Buffer>} The segment data
+ * Run a download operation, retrying with exponential backoff
+ * @param {() => Promise<any>} operation - The download to attempt
+ * @param {Object} options - Retry options
+ * @param {number} options.retryCount - Number of attempts (default: 3)
+ * @param {AbortSignal} options.signal - Stops further retries once aborted
+ * @returns {Promise<any>} The operation's result
  */
-async function downloadSegment(page, segmentUrl, retryCount = 3) {
+async function withRetries(operation, options = {}) {
+  const { retryCount = 3, signal } = options;
   let lastError;
 
   for (let attempt = 1; attempt <= retryCount; attempt++) {
-    try {
-      // Use browser's fetch to leverage CloudFront cookies
-      const base64Data = await page.evaluate(async (url) => {
-        const resp = await fetch(url, { credentials: 'include' });
-        if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
-        const buf = await resp.arrayBuffer();
-        // Convert to base64 for transfer to Node.js
-        const bytes = new Uint8Array(buf);
-        let binary = '';
-        for (let i = 0; i < bytes.length; i++) {
-          binary += String.fromCharCode(bytes[i]);
-        }
-        return btoa(binary);
-      }, segmentUrl);
+    if (signal?.aborted) {
+      throw new Error('Segment download aborted');
+    }
 
-      return Buffer.from(base64Data, 'base64');
+    try {
+      return await operation();
     } catch (error) {
       lastError = error;
 
@@ -155,63 +174,378 @@ async function downloadSegment(page, segmentUrl, retryCount = 3) {
     }
   }
 
-  throw new Error(`Failed to download segment after ${retryCount} attempts: ${lastError.message}`);
+  throw new Error(`Failed to download segment after ${retryCount} attempts: ${lastError.message}`, { cause: lastError });
 }
 
 /**
- * Resolve the segment playlist from pre-captured M3U8 response bodies.
- * The extractor captures M3U8 responses via CDP during page load.
- * @param {string} masterM3u8Url - The master M3U8 URL
- * @param {Object<string, string>} m3u8Responses - Map of URL -> response body
- * @returns {{playlistUrl: string, playlistContent: string}}
+ * Fetch a URL using the browser's fetch (has CloudFront cookies). Only used
+ * when the direct request is refused, since the body has to be passed back
+ * over the DevTools protocol as base64.
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {string} url - The URL
+ * @param {{length: number, offset: number}} [byteRange] - Only fetch this byte range
+ * @param {{take: (bytes: number) => Promise<void>}|null} [limiter] - Rate limiter to account the body against
+ * @returns {Promise<Buffer>} The response body
  */
-function resolveSegmentPlaylist(masterM3u8Url, m3u8Responses) {
-  const masterContent = m3u8Responses[masterM3u8Url];
-  if (!masterContent) {
-    throw new Error('Master M3U8 response body not captured');
+async function fetchInBrowser(page, url, byteRange, limiter = null) {
+  const headers = byteRange
+    ? { Range: `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}` }
+    : {};
+
+  let base64Data;
+  try {
+    base64Data = await page.evaluate(async (url, headers) => {
+      const resp = await fetch(url, { credentials: 'include', headers });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+      const buf = await resp.arrayBuffer();
+      const expected = resp.headers.get('content-length');
+      const encoding = resp.headers.get('content-encoding');
+      if (expected && (!encoding || encoding === 'identity') && Number(expected) !== buf.byteLength) {
+        throw new Error(`Incomplete download: received ${buf.byteLength} of ${expected} bytes`);
+      }
+      // Convert to base64 for transfer to Node.js, in chunks to keep it fast
+      const bytes = new Uint8Array(buf);
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      return btoa(binary);
+    }, url, headers);
+  } catch (error) {
+    // Keep the HTTP status so refusals and expired URLs can be recognized
+    const status = error.message.match(/HTTP (\d{3})/);
+    if (status) error.status = parseInt(status[1], 10);
+    throw error;
   }
 
-  // Check if this is already a segment playlist (has .ts references)
-  if (masterContent.includes('.ts')) {
-    return { playlistUrl: masterM3u8Url, playlistContent: masterContent };
+  const data = Buffer.from(base64Data, 'base64');
+  // The browser can't be throttled mid-request, so pay for the body afterwards
+  if (limiter) {
+    await limiter.take(data.length);
   }
+  return data;
+}
 
-  // Find the best variant that we actually have a captured response for.
-  // The browser's HLS player typically fetches the 1080p variant, so that's
-  // what we'll have in our captured responses.
-  const variantUrls = parseAllVariants(masterContent, masterM3u8Url);
-  if (variantUrls.length === 0) {
-    throw new Error('No variant streams found in master M3U8 playlist');
+/**
+ * Check whether requests should go directly from Node. After the first
+ * refusal (401/403) every later request uses the browser instead.
+ * @param {{page: Object, session: Object|null}} client - Download client
+ * @param {Error} [error] - Error from a direct request, to record a refusal
+ * @returns {boolean}
+ */
+function useDirect(client, error) {
+  if (error && isRefusedError(error) && client.session && !client.session.directRefused) {
+    client.session.directRefused = true;
+    console.log(`\n   ⚠️  Direct download refused (${error.message}), falling back to browser fetch`);
   }
+  return Boolean(client.session) && !client.session.directRefused;
+}
 
-  // Try variants in bandwidth order, preferring the ones we actually captured
-  let variantUrl = null;
-  let variantContent = null;
-  for (const candidate of variantUrls) {
-    if (m3u8Responses[candidate.url]) {
-      variantUrl = candidate.url;
-      variantContent = m3u8Responses[candidate.url];
-      break;
+/**
+ * Fetch a resource once, directly from Node with the session cookies, or
+ * through the browser when that is refused
+ * @param {{page: import('puppeteer').Page, session: Object|null}} client - Download client
+ * @param {string} url - The URL
+ * @param {Object} options - Request options ({byteRange, signal})
+ * @returns {Promise<Buffer>} The resource data
+ */
+async function fetchResource(client, url, { byteRange, signal } = {}) {
+  if (useDirect(client)) {
+    try {
+      return await fetchWithSession(client.session, url, { byteRange, signal, limiter: client.limiter });
+    } catch (error) {
+      if (useDirect(client, error)) throw error;
     }
   }
+  return fetchInBrowser(client.page, url, byteRange, client.limiter);
+}
+
+/**
+ * Download a resource (segment, key or playlist) into memory, retrying on failure
+ * @param {{page: import('puppeteer').Page, session: Object|null}} client - Download client
+ * @param {string} url - The URL
+ * @param {Object} options - Download options
+ * @param {number} options.retryCount - Number of retries (default: 3)
+ * @param {AbortSignal} options.signal - Stops further retries once aborted
+ * @param {{length: number, offset: number}} options.byteRange - Only fetch this byte range (#EXT-X-BYTERANGE)
+ * @returns {Promise<Buffer>} The resource data
+ */
+async function downloadSegment(client, url, options = {}) {
+  return withRetries(() => fetchResource(client, url, options), options);
+}
 
-  if (!variantContent) {
-    throw new Error(`No variant M3U8 response bodies were captured. Available: ${variantUrls.map(v => v.url.split('/').pop()).join(', ')}`);
+/**
+ * Throw when segment data fails verification, so the download is retried
+ * @param {Buffer} data - Decrypted segment data
+ * @param {Object|null} verify - verifySegment() options, or null to skip verification
+ */
+function checkSegment(data, verify) {
+  if (!verify) return;
+
+  const result = verifySegment(data, verify);
+  if (!result.valid) {
+    throw new Error(`Corrupt segment: ${result.reason}`);
   }
+}
 
-  return { playlistUrl: variantUrl, playlistContent: variantContent };
+/**
+ * Download a media or init segment to disk, decrypting it when a key applies
+ * and verifying the result. Direct downloads are streamed (and decrypted)
+ * straight to the file.
+ * @param {{page: import('puppeteer').Page, session: Object|null}} client - Download client
+ * @param {string} url - The segment URL
+ * @param {string} destination - Segment file path
+ * @param {Object} context - Decryption context
+ * @param {Object|null} context.key - Key descriptor in effect for the segment
+ * @param {number} context.sequence - Media sequence number (used when the key has no IV)
+ * @param {Object|null} context.byteRange - Byte range of the segment within the resource
+ * @param {{get: (uri: string) => Promise<Buffer>}} context.keyCache - Key cache
+ * @param {Object|null} [context.verify] - verifySegment() options ({format, duration, init})
+ * @param {AbortSignal} [context.signal] - Stops further retries once aborted
+ * @returns {Promise<number>} Size of the written file in bytes
+ */
+async function saveMediaSegment(client, url, destination, { key, sequence, byteRange, keyCache, verify, signal }) {
+  const keyData = key ? await keyCache.get(key.uri) : null;
+  const iv = key ? key.iv || sequenceIV(sequence) : null;
+
+  return withRetries(async () => {
+    if (useDirect(client)) {
+      try {
+        const transforms = keyData ? [createDecryptStream(keyData, iv)] : [];
+        const size = await downloadWithSession(client.session, url, destination, {
+          byteRange,
+          signal,
+          transforms,
+          limiter: client.limiter
+        });
+        if (verify) {
+          try {
+            checkSegment(await readFile(destination), verify);
+          } catch (error) {
+            await rm(destination, { force: true });
+            throw error;
+          }
+        }
+        return size;
+      } catch (error) {
+        if (useDirect(client, error)) throw error;
+      }
+    }
+
+    const data = await fetchInBrowser(client.page, url, byteRange, client.limiter);
+    const plain = keyData ? decryptSegment(data, keyData, iv) : data;
+    checkSegment(plain, verify);
+    await writeFile(destination, plain);
+    return plain.length;
+  }, { signal });
 }
 
 /**
- * Download all segments for a lesson
- * @param {import('puppeteer').Page} page - Puppeteer page instance (for authentication context)
+ * Download a media or init segment into memory, decrypting it when a key
+ * applies and verifying the result
+ * @param {{page: import('puppeteer').Page, session: Object|null}} client - Download client
+ * @param {string} url - The segment URL
+ * @param {Object} context - Decryption context (see saveMediaSegment)
+ * @returns {Promise<Buffer>} The (decrypted) segment data
+ */
+async function fetchMediaData(client, url, { key, sequence, byteRange, keyCache, verify, signal }) {
+  const keyData = key ? await keyCache.get(key.uri) : null;
+
+  return withRetries(async () => {
+    const data = await fetchResource(client, url, { byteRange, signal });
+    const plain = keyData ? decryptSegment(data, keyData, key.iv || sequenceIV(sequence)) : data;
+    checkSegment(plain, verify);
+    return plain;
+  }, { signal });
+}
+
+/**
+ * Wait until a worker may write its segment, or fail once the pool is aborted
+ * @param {Promise<void>} turn - Resolves when the previous segment has been written
+ * @param {AbortSignal} signal - The worker pool's abort signal
+ * @returns {Promise<void>}
+ */
+function waitForTurn(turn, signal) {
+  if (signal.aborted) {
+    return Promise.reject(new Error('Segment download aborted'));
+  }
+
+  // The signal is shared by every segment, so the listener must not outlive
+  // this wait
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(new Error('Segment download aborted'));
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([turn, aborted]).finally(() => {
+    signal.removeEventListener('abort', onAbort);
+  });
+}
+
+/**
+ * Delete the segment files recorded in a manifest from an earlier run that
+ * downloaded a different playlist (e.g., another variant), so they don't
+ * linger next to the new segments.
+ * @param {string} trackDir - Directory for the track's segments
+ * @param {Object|null} previous - Manifest from the earlier run
+ * @param {string} playlistUrl - The playlist being downloaded now
+ * @returns {Promise<Object|null>} The previous manifest if still relevant, else null
+ */
+async function discardStaleSegments(trackDir, previous, playlistUrl) {
+  if (!previous || !previous.playlistUrl || previous.playlistUrl.split('?')[0] === playlistUrl.split('?')[0]) {
+    return previous;
+  }
+
+  for (const entry of [previous.init, ...previous.segments].filter(Boolean)) {
+    if (entry.file) {
+      await rm(path.join(trackDir, entry.file), { force: true });
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a media playlist and check that its segments can be downloaded
+ * (supported encryption, at most one init segment)
+ * @param {string} playlistContent - The media playlist content
+ * @param {string} playlistUrl - The media playlist URL
+ * @param {string} label - Track name used in errors (e.g., video, audio)
+ * @returns {{segments: Array<Object>, initMap: Object|null, format: 'ts'|'fmp4'}}
+ */
+function parseTrack(playlistContent, playlistUrl, label) {
+  // Parse segments along with their durations, byte ranges, keys and init sections
+  const playlist = parsePlaylist(playlistContent, playlistUrl);
+  const segments = playlist.type === 'media' ? playlist.segments : [];
+
+  if (segments.length === 0) {
+    throw new Error(`No ${label} segments found in M3U8 playlist`);
+  }
+
+  const unsupportedKey = segments.find(segment => segment.key && (segment.key.method !== 'AES-128' || !segment.key.uri));
+  if (unsupportedKey) {
+    throw new Error(`Unsupported HLS encryption: METHOD=${unsupportedKey.key.method}${unsupportedKey.key.uri ? '' : ' without key URI'}`);
+  }
+
+  // fMP4/CMAF playlists declare an init segment with #EXT-X-MAP
+  const initSections = new Set(segments.filter(segment => segment.map).map(segment => JSON.stringify([segment.map.url, segment.map.byteRange])));
+  if (initSections.size > 1) {
+    throw new Error('Playlists with more than one #EXT-X-MAP init segment are not supported');
+  }
+  const initMap = segments.find(segment => segment.map)?.map || null;
+
+  return { segments, initMap, format: initMap ? 'fmp4' : 'ts' };
+}
+
+/**
+ * Download every segment of one media playlist (a video or audio track) into
+ * its own directory, with a manifest for resuming
+ * @param {{page: import('puppeteer').Page, session: Object|null}} client - Download client
+ * @param {Object} lesson - Lesson object with {number, title}
+ * @param {string} trackDir - Directory for this track's segments
+ * @param {string} playlistUrl - The media playlist URL
+ * @param {string} playlistContent - The media playlist content
+ * @param {Object} options - Download options
+ * @param {number} options.concurrency - Number of segments to download in parallel (default: 1)
+ * @param {string} options.label - Track name used in logs and errors (default: video)
+ * @param {boolean} options.verify - Check each segment's integrity and re-download corrupt ones (default: true)
+ * @returns {Promise<{segmentCount: number, skippedCount: number}>}
+ */
+async function downloadTrack(client, lesson, trackDir, playlistUrl, playlistContent, options = {}) {
+  const { concurrency = 1, label = 'video', verify = true } = options;
+  await mkdir(trackDir, { recursive: true });
+
+  const { segments, initMap, format } = parseTrack(playlistContent, playlistUrl, label);
+  const segmentUrls = segments.map(segment => segment.url);
+
+  // Keys are fetched through the authenticated session, once per key URI
+  const keyCache = createKeyCache(keyUri => downloadSegment(client, keyUri));
+
+  // Build the manifest, keeping segments a previous run already completed.
+  // Anything that is missing on disk or doesn't match its recorded size is
+  // downloaded again.
+  const previous = await discardStaleSegments(trackDir, await readManifest(trackDir), playlistUrl);
+  const manifest = createManifest(lesson, playlistUrl, segmentUrls, previous, {
+    format,
+    initUrl: initMap?.url
+  });
+  for (const entry of [manifest.init, ...manifest.segments].filter(Boolean)) {
+    if (entry.status === 'complete' && !(await isSegmentComplete(trackDir, entry))) {
+      Object.assign(entry, { size: null, status: 'pending' });
+    }
+  }
+
+  const manifestWriter = createManifestWriter(trackDir, manifest);
+  await manifestWriter.save();
+
+  // The init segment has to exist before any fragment is useful
+  if (manifest.init && manifest.init.status !== 'complete') {
+    try {
+      manifest.init.size = await saveMediaSegment(client, manifest.init.url, path.join(trackDir, manifest.init.file), {
+        key: initMap.key,
+        sequence: segments[0].sequence,
+        byteRange: initMap.byteRange,
+        keyCache,
+        verify: verify ? { format, init: true } : null
+      });
+      manifest.init.status = 'complete';
+      await manifestWriter.save();
+    } catch (error) {
+      throw new Error(`Failed to download ${label} init segment: ${error.message}`, { cause: error });
+    }
+  }
+
+  const pendingSegments = manifest.segments.filter(entry => entry.status !== 'complete');
+  const skippedCount = segmentUrls.length - pendingSegments.length;
+  if (skippedCount > 0) {
+    console.log(`   Resuming: ${skippedCount}/${segmentUrls.length} ${label} segments already downloaded`);
+  }
+
+  // Download segments with a bounded worker pool. Each segment is written to
+  // its playlist index, so completion order doesn't affect the merge order.
+  let downloadedCount = skippedCount;
+
+  await runWorkerPool(pendingSegments, concurrency, async (entry, _, signal) => {
+    const segmentPath = path.join(trackDir, entry.file);
+
+    try {
+      // Decrypt AES-128 segments so the merger always receives plain media,
+      // and re-download anything truncated or not media at all
+      const { key, sequence, byteRange, duration } = segments[entry.index];
+      entry.size = await saveMediaSegment(client, entry.url, segmentPath, {
+        key,
+        sequence,
+        byteRange,
+        keyCache,
+        verify: verify ? { format, duration } : null,
+        signal
+      });
+      entry.status = 'complete';
+      await manifestWriter.save();
+    } catch (error) {
+      throw new Error(`Failed to download ${label} segment ${entry.index + 1}/${segmentUrls.length}: ${error.message}`, { cause: error });
+    }
+
+    downloadedCount++;
+    // Log progress every 10 segments
+    if (downloadedCount % 10 === 0 || downloadedCount === segmentUrls.length) {
+      process.stdout.write(`\r   Downloading ${label} segments: ${downloadedCount}/${segmentUrls.length}`);
+    }
+  });
+
+  return {
+    segmentCount: downloadedCount,
+    skippedCount
+  };
+}
+
+/**
+ * Validate the page and lesson passed to downloadLesson/streamLesson
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
  * @param {Object} lesson - Lesson object with {number, title, m3u8Url}
- * @param {string} outputDir - Output directory path
- * @returns {Promise<{segmentCount: number, tempDir: string}>} Download result
  */
-export async function downloadLesson(page, lesson, outputDir) {
-  // Validate inputs
-  if (!page || typeof page.evaluate !== 'function') {
+function validateLesson(page, lesson) {
+  if (!page || typeof page.cookies !== 'function') {
     throw new Error('Invalid Puppeteer page instance provided');
   }
 
@@ -226,53 +560,467 @@ export async function downloadLesson(page, lesson, outputDir) {
   if (!lesson.m3u8Url || typeof lesson.m3u8Url !== 'string') {
     throw new Error('Lesson M3U8 URL is required');
   }
+}
 
-  if (!outputDir || typeof outputDir !== 'string') {
-    throw new Error('Output directory is required');
+/**
+ * Create the download client for a lesson. Segments are fetched directly from
+ * Node with the browser's cookies and user agent; the browser itself is only
+ * used if that is refused.
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {boolean} forceBrowser - Download everything through the browser
+ * @param {Object|null} limiter - Rate limiter shared by every request (from createRateLimiter)
+ * @returns {Promise<{page: import('puppeteer').Page, session: Object|null, limiter: Object|null}>}
+ */
+async function createClient(page, forceBrowser, limiter = null) {
+  return {
+    page,
+    session: forceBrowser ? null : await getSessionFromPage(page),
+    limiter
+  };
+}
+
+/**
+ * Load a lesson's playlist and work out which variants to try, in order
+ * @param {{page: import('puppeteer').Page, session: Object|null}} client - Download client
+ * @param {Object} lesson - Lesson object with {m3u8Url, m3u8Responses}
+ * @param {Object} options - Selection options ({quality, codec})
+ * @returns {Promise<{master: Object, candidates: Array<Object|null>, loadPlaylist: (url: string) => Promise<string>}>}
+ */
+async function resolveVariants(client, lesson, options) {
+  const { quality = 'best', codec } = options;
+
+  // Playlists come from the bodies captured during extraction; anything the
+  // player never requested is fetched through the authenticated session
+  const m3u8Responses = lesson.m3u8Responses || {};
+  const loadPlaylist = async (url) => {
+    if (!m3u8Responses[url]) {
+      m3u8Responses[url] = (await downloadSegment(client, url)).toString('utf-8');
+    }
+    return m3u8Responses[url];
+  };
+
+  let master;
+  try {
+    master = parsePlaylist(await loadPlaylist(lesson.m3u8Url), lesson.m3u8Url);
+    if (master.type === 'master' && master.variants.length === 0) {
+      throw new Error('No variant streams found in master M3U8 playlist');
+    }
+  } catch (error) {
+    throw new Error(`Failed to download M3U8 playlist: ${error.message}`, { cause: error });
   }
 
-  // Create temp directory for segments
-  const tempDir = path.join(outputDir, '.temp', String(lesson.number));
-  await mkdir(tempDir, { recursive: true });
+  if (master.type === 'media') {
+    // Already a media playlist, there is nothing to choose from
+    return { master, candidates: [null], loadPlaylist };
+  }
+
+  // A quality or codec mismatch is reported as it is, not as a download error
+  return { master, candidates: selectVariants(master.variants, quality, codec), loadPlaylist };
+}
+
+/**
+ * Create a lesson's download client and resolve its variants. Done once per
+ * lesson and passed as options.prepared to estimateLesson, downloadCaptions,
+ * streamLesson and downloadLesson, so they share the session cookies and
+ * playlists instead of reading them again.
+ * @param {import('puppeteer').Page} page - Puppeteer page instance (for authentication context)
+ * @param {Object} lesson - Lesson object with {number, m3u8Url, m3u8Responses}
+ * @param {Object} options - Download options ({quality, codec, browserFetch, rateLimiter})
+ * @returns {Promise<{client: Object, master: Object, candidates: Array<Object|null>, loadPlaylist: (url: string) => Promise<string>}>}
+ */
+export async function prepareLesson(page, lesson, options = {}) {
+  validateLesson(page, lesson);
+
+  const { browserFetch = false, rateLimiter = null } = options;
+  const client = await createClient(page, browserFetch, rateLimiter);
+  return { client, ...(await resolveVariants(client, lesson, options)) };
+}
+
+/**
+ * Find the separate audio rendition to download for a variant. A variant
+ * linked to an AUDIO group carries no sound of its own.
+ * @param {Object} master - Parsed master playlist
+ * @param {Object|null} variant - The chosen variant
+ * @param {string} [audioLanguage] - Preferred language
+ * @returns {Object|null} The rendition, or null when the audio is muxed in
+ */
+function findAudioRendition(master, variant, audioLanguage) {
+  const renditions = variant?.audio
+    ? (master.mediaGroups.AUDIO?.[variant.audio] || []).filter(r => r.url)
+    : [];
+  return selectAudioRendition(renditions, audioLanguage);
+}
+
+/**
+ * List a lesson's caption tracks: the variant's SUBTITLES renditions from
+ * the master playlist, then <track> elements on the lesson page. Caption
+ * files the player fetched are the fallback when neither exists. They are
+ * usually the segments of one subtitle playlist, so they make up a single
+ * track: the captured playlist that lists them when there is one, or else
+ * the files themselves (`pieces`), to be joined.
+ * @param {Object} master - Parsed master playlist
+ * @param {Object|null} variant - The chosen variant
+ * @param {Object} lesson - Lesson object with the captured captionTracks, captionResponses and m3u8Responses
+ * @returns {Array<{url: string, language: string|null, name: string|null, default: boolean, playlist: boolean, pieces?: string[]}>}
+ */
+function findCaptionTracks(master, variant, lesson) {
+  const renditions = (master.media || [])
+    .filter(r => r.type === 'SUBTITLES' && r.url && (!variant?.subtitles || r.groupId === variant.subtitles))
+    .map(r => ({ url: r.url, language: r.language, name: r.name, default: r.default, autoselect: r.autoselect, playlist: true }));
+  const pageTracks = (lesson.captionTracks || []).map(track => ({ ...track, playlist: false }));
+
+  if (renditions.length > 0 || pageTracks.length > 0) {
+    return [...renditions, ...pageTracks];
+  }
+
+  const captured = Object.entries(lesson.captionResponses || {})
+    .filter(([, body]) => isWebVTT(body) && !isThumbnailTrack(body))
+    .map(([url]) => url);
+  if (captured.length === 0) {
+    return [];
+  }
+
+  // Signatures in the query string can differ between requests
+  const withoutQuery = (url) => url.split('?')[0];
+  const capturedUrls = new Set(captured.map(withoutQuery));
+  for (const [url, body] of Object.entries(lesson.m3u8Responses || {})) {
+    let playlist;
+    try {
+      playlist = parsePlaylist(body, url);
+    } catch {
+      continue;
+    }
+    if (playlist.type === 'media' && playlist.segments.some(segment => capturedUrls.has(withoutQuery(segment.url)))) {
+      return [{ url, language: null, name: null, default: false, playlist: true }];
+    }
+  }
+
+  return [{ url: captured[0], language: null, name: null, default: false, playlist: false, pieces: captured }];
+}
+
+/**
+ * Find a variant among freshly resolved candidates, ignoring the query
+ * string that carries the URL signature
+ * @param {Array<Object|null>} candidates - Candidates from resolveVariants()
+ * @param {Object|null} variant - Variant from an earlier resolution
+ * @returns {number} Index of the matching candidate (0 when there is none)
+ */
+function findVariantIndex(candidates, variant) {
+  if (!variant) return 0;
+
+  const index = candidates.findIndex(candidate => candidate && candidate.url.split('?')[0] === variant.url.split('?')[0]);
+  return Math.max(0, index);
+}
+
+/**
+ * Estimate a lesson's download size before fetching any segment, from the
+ * preferred variant's bitrate (AVERAGE-BANDWIDTH when the playlist has it,
+ * otherwise BANDWIDTH) and the total EXTINF duration of its playlist. The
+ * duration scraped from the course page is used when the playlist can't be
+ * loaded.
+ * @param {import('puppeteer').Page} page - Puppeteer page instance (for authentication context)
+ * @param {Object} lesson - Lesson object with {number, m3u8Url, duration}
+ * @param {Object} options - Download options (same as downloadLesson)
+ * @returns {Promise<{variant: Object|null, duration: number, size: number|null, tempSize: number|null}>} Estimate; sizes are null when the bitrate is unknown
+ */
+export async function estimateLesson(page, lesson, options = {}) {
+  validateLesson(page, lesson);
+
+  const { candidates, loadPlaylist } = options.prepared || await prepareLesson(page, lesson, options);
+
+  const variant = candidates[0];
+  const playlistUrl = variant ? variant.url : lesson.m3u8Url;
+  let duration = lesson.duration || 0;
+  let format = 'ts';
+  try {
+    const playlist = parsePlaylist(await loadPlaylist(playlistUrl), playlistUrl);
+    if (playlist.totalDuration > 0) {
+      duration = playlist.totalDuration;
+    }
+    format = playlist.segments.some(segment => segment.map) ? 'fmp4' : 'ts';
+  } catch {
+    // Fall back to the scraped duration; downloadLesson reports the error
+  }
+
+  const size = estimateSize(variant?.averageBandwidth || variant?.bandwidth, duration);
+  return {
+    variant,
+    duration,
+    size,
+    tempSize: size === null ? null : estimateTempSize(size, format)
+  };
+}
+
+/**
+ * Download a lesson's captions as one WebVTT file. HLS subtitle playlists
+ * are fetched segment by segment and joined; side-loaded tracks are used as
+ * they are. Caption files the player already loaded are not fetched again.
+ * @param {import('puppeteer').Page} page - Puppeteer page instance (for authentication context)
+ * @param {Object} lesson - Lesson object with {number, m3u8Url} and the captured captions
+ * @param {Object} options - Download options (same as downloadLesson)
+ * @param {string} options.subtitleLanguage - Preferred caption language (default: the DEFAULT track, then the first)
+ * @param {Object|null} options.variant - The variant that was downloaded, to use its SUBTITLES group
+ * @returns {Promise<{language: string|null, name: string|null, vtt: string, cueCount: number}|null>} The captions, or null if the lesson has none
+ */
+export async function downloadCaptions(page, lesson, options = {}) {
+  validateLesson(page, lesson);
+
+  const { concurrency = 1, subtitleLanguage } = options;
+  const { client, master, candidates, loadPlaylist } = options.prepared || await prepareLesson(page, lesson, options);
+
+  const variant = options.variant !== undefined ? options.variant : candidates[0];
+  // Same preference order as audio: language, DEFAULT, AUTOSELECT, first
+  const track = selectAudioRendition(findCaptionTracks(master, variant, lesson), subtitleLanguage);
+  if (!track) {
+    return null;
+  }
 
-  // Resolve the segment playlist from pre-captured M3U8 response bodies
-  let playlistUrl, playlistContent;
+  const captured = lesson.captionResponses || {};
+  const loadText = async (url) => captured[url] ?? (await downloadSegment(client, url)).toString('utf-8');
+
+  const label = track.name || track.language || 'captions';
+  let pieces;
   try {
-    ({ playlistUrl, playlistContent } = resolveSegmentPlaylist(lesson.m3u8Url, lesson.m3u8Responses || {}));
+    if (track.pieces) {
+      // Captured without their playlist, in the order they arrived
+      pieces = orderWebVTTSegments(track.pieces.map(url => captured[url]));
+    } else {
+      const content = track.playlist ? await loadPlaylist(track.url) : await loadText(track.url);
+      if (isWebVTT(content)) {
+        pieces = [content];
+      } else {
+        // Segmented WebVTT: one small file per segment
+        const playlist = parsePlaylist(content, track.url);
+        if (playlist.type !== 'media' || playlist.segments.length === 0) {
+          throw new Error('No subtitle segments found in playlist');
+        }
+
+        pieces = new Array(playlist.segments.length);
+        await runWorkerPool(playlist.segments, concurrency, async (segment, index) => {
+          pieces[index] = await loadText(segment.url);
+        });
+      }
+    }
+
+    // A <track> may turn out to be a thumbnail storyboard
+    if (pieces.every(isThumbnailTrack)) {
+      return null;
+    }
+
+    const { vtt, cueCount } = joinWebVTT(pieces);
+    return cueCount > 0 ? { language: track.language, name: track.name, vtt, cueCount } : null;
   } catch (error) {
-    throw new Error(`Failed to download M3U8 playlist: ${error.message}`);
+    throw new Error(`Failed to download captions "${label}": ${error.message}`, { cause: error });
   }
+}
 
-  // Parse segment URLs
-  const segmentUrls = parseM3U8Playlist(playlistContent, playlistUrl);
+/**
+ * Download all segments for a lesson
+ * @param {import('puppeteer').Page} page - Puppeteer page instance (for authentication context)
+ * @param {Object} lesson - Lesson object with {number, title, m3u8Url}
+ * @param {string} outputDir - Output directory path
+ * @param {Object} options - Download options
+ * @param {number} options.concurrency - Number of segments to download in parallel (default: 1)
+ * @param {string} options.audioLanguage - Preferred language when several audio renditions exist
+ * @param {string} options.quality - Quality spec: best, worst, 720p, <=1080p or <=3M (default: best)
+ * @param {string} options.codec - Only consider variants using this codec (e.g., h264, hevc)
+ * @param {boolean} options.browserFetch - Download everything through the browser instead of directly (default: false)
+ * @param {boolean} options.verify - Check each segment's integrity and re-download corrupt ones (default: true)
+ * @param {Object} options.rateLimiter - Rate limiter shared by all segment fetches (from createRateLimiter)
+ * @param {Object} options.prepared - Client and variants from prepareLesson() (default: prepared here)
+ * @returns {Promise<{segmentCount: number, skippedCount: number, tempDir: string, audioDir: string|null, audioLanguage: string|null, variant: Object|null}>} Download result
+ */
+export async function downloadLesson(page, lesson, outputDir, options = {}) {
+  // Validate inputs
+  validateLesson(page, lesson);
 
-  if (segmentUrls.length === 0) {
-    throw new Error('No video segments found in M3U8 playlist');
+  if (!outputDir || typeof outputDir !== 'string') {
+    throw new Error('Output directory is required');
   }
 
-  // Download each segment
-  let downloadedCount = 0;
+  // Temp directory for segments; separate tracks get subdirectories
+  const tempDir = path.join(outputDir, '.temp', String(lesson.number));
 
-  for (let i = 0; i < segmentUrls.length; i++) {
-    const segmentUrl = segmentUrls[i];
-    const segmentFileName = `${String(i).padStart(5, '0')}.ts`;
-    const segmentPath = path.join(tempDir, segmentFileName);
+  const { concurrency = 1, audioLanguage, browserFetch = false, verify = true } = options;
+  let streams = options.prepared || await prepareLesson(page, lesson, options);
+  const { client } = streams;
+
+  // Signed playlist URLs can expire before a lesson's turn comes. On a
+  // 401/403, revisit the lesson page for fresh playlists and carry on; the
+  // manifest keeps the segments that were already downloaded.
+  let refreshesLeft = lesson.url ? MAX_PLAYLIST_REFRESHES : 0;
+  const refreshPlaylists = async (error) => {
+    if (refreshesLeft === 0 || !isRefusedError(error)) {
+      return false;
+    }
+    refreshesLeft--;
+
+    console.log('\n   🔄 Access refused, refreshing the lesson\'s signed playlist URLs...');
+    await refreshLessonPlaylists(page, lesson);
+    client.session = browserFetch ? null : await getSessionFromPage(page);
+    streams = await resolveVariants(client, lesson, options);
+    return true;
+  };
+
+  // Try the preferred variant first. If its segments keep failing, fall back
+  // to the next matching variant in bandwidth order.
+  let video;
+  let variant;
+  for (let i = 0; i < streams.candidates.length; i++) {
+    const candidate = streams.candidates[i];
+    const playlistUrl = candidate ? candidate.url : lesson.m3u8Url;
 
     try {
-      const segmentData = await downloadSegment(page, segmentUrl);
-      await writeFile(segmentPath, segmentData);
-      downloadedCount++;
-      // Log progress every 10 segments
-      if (downloadedCount % 10 === 0 || downloadedCount === segmentUrls.length) {
-        process.stdout.write(`\r   Downloading segments: ${downloadedCount}/${segmentUrls.length}`);
+      const playlistContent = await streams.loadPlaylist(playlistUrl);
+      video = await downloadTrack(client, lesson, tempDir, playlistUrl, playlistContent, { concurrency, verify });
+      variant = candidate;
+      break;
+    } catch (error) {
+      if (await refreshPlaylists(error)) {
+        // Retry the same variant from its freshly signed playlist
+        i = findVariantIndex(streams.candidates, candidate) - 1;
+        continue;
       }
+      if (i === streams.candidates.length - 1) {
+        throw error;
+      }
+      console.log(`\n   ⚠️  ${describeVariant(candidate)} failed: ${error.message}`);
+      console.log(`   Falling back to ${describeVariant(streams.candidates[i + 1])}`);
+    }
+  }
+
+  // Fetch a separate audio rendition into its own track directory for the
+  // merger to mux in
+  let audioDir = null;
+  let audio = findAudioRendition(streams.master, variant, audioLanguage);
+
+  while (audio) {
+    audioDir = path.join(tempDir, 'audio');
+    try {
+      let audioContent;
+      try {
+        audioContent = await streams.loadPlaylist(audio.url);
+      } catch (error) {
+        throw new Error(`Failed to download audio playlist "${audio.name || audio.language}": ${error.message}`, { cause: error });
+      }
+
+      await downloadTrack(client, lesson, audioDir, audio.url, audioContent, { concurrency, label: 'audio', verify });
+      break;
     } catch (error) {
-      throw new Error(`Failed to download segment ${i + 1}/${segmentUrls.length}: ${error.message}`);
+      if (!(await refreshPlaylists(error))) {
+        throw error;
+      }
+      audio = findAudioRendition(streams.master, variant, audioLanguage);
     }
   }
 
   return {
-    segmentCount: downloadedCount,
-    tempDir
+    segmentCount: video.segmentCount,
+    skippedCount: video.skippedCount,
+    tempDir,
+    audioDir,
+    audioLanguage: audio?.language || null,
+    variant
   };
 }
+
+/**
+ * Download a lesson and pipe its segments, in playlist order, straight into
+ * ffmpeg, which remuxes them to MP4 as they arrive. No segment files are
+ * written; at most `concurrency` segments are held in memory at once.
+ *
+ * Only the preferred variant is tried, lessons with a separate audio
+ * rendition are not supported, and expired playlist URLs are not refreshed
+ * (the stream can't be rewound). Callers should fall back to downloadLesson()
+ * and mergeSegments() when this throws.
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page instance (for authentication context)
+ * @param {Object} lesson - Lesson object with {number, title, m3u8Url}
+ * @param {string} outputPath - Output MP4 file path
+ * @param {Object} options - Download options (same as downloadLesson)
+ * @param {string} options.subtitlePath - Subtitle file to soft-mux into the MP4
+ * @param {Object} options.metadata - MP4 tags (see metadataArgs)
+ * @param {string} options.coverPath - Image to attach as the MP4's cover art
+ * @returns {Promise<{segmentCount: number, variant: Object|null}>} Download result
+ */
+export async function streamLesson(page, lesson, outputPath, options = {}) {
+  validateLesson(page, lesson);
+
+  if (!outputPath || typeof outputPath !== 'string') {
+    throw new Error('Output path is required');
+  }
+
+  const { concurrency = 1, audioLanguage, verify = true } = options;
+  const { client, master, candidates, loadPlaylist } = options.prepared || await prepareLesson(page, lesson, options);
+
+  const variant = candidates[0];
+  if (findAudioRendition(master, variant, audioLanguage)) {
+    throw new Error('Streaming does not support lessons with a separate audio track');
+  }
+
+  const playlistUrl = variant ? variant.url : lesson.m3u8Url;
+  const { segments, initMap, format } = parseTrack(await loadPlaylist(playlistUrl), playlistUrl, 'video');
+  const keyCache = createKeyCache(keyUri => downloadSegment(client, keyUri));
+
+  const merger = createStreamingMerger(outputPath, {
+    format,
+    subtitlePath: options.subtitlePath,
+    metadata: options.metadata,
+    coverPath: options.coverPath
+  });
+  try {
+    if (initMap) {
+      await merger.write(await fetchMediaData(client, initMap.url, {
+        key: initMap.key,
+        sequence: segments[0].sequence,
+        byteRange: initMap.byteRange,
+        keyCache,
+        verify: verify ? { format, init: true } : null
+      }));
+    }
+
+    // Segments download in parallel but are written in playlist order: each
+    // worker waits for its turn before writing, so it never claims another
+    // segment while its data is still buffered
+    const turns = segments.map(() => {
+      let resolve;
+      const promise = new Promise((r) => { resolve = r; });
+      return { promise, resolve };
+    });
+    turns[0].resolve();
+    let writtenCount = 0;
+
+    await runWorkerPool(segments, concurrency, async (segment, index, signal) => {
+      let data;
+      try {
+        const { key, sequence, byteRange, duration } = segment;
+        data = await fetchMediaData(client, segment.url, {
+          key,
+          sequence,
+          byteRange,
+          keyCache,
+          verify: verify ? { format, duration } : null,
+          signal
+        });
+      } catch (error) {
+        throw new Error(`Failed to download video segment ${index + 1}/${segments.length}: ${error.message}`, { cause: error });
+      }
+
+      await waitForTurn(turns[index].promise, signal);
+      await merger.write(data);
+      turns[index + 1]?.resolve();
+
+      writtenCount++;
+      if (writtenCount % 10 === 0 || writtenCount === segments.length) {
+        process.stdout.write(`\r   Streaming video segments: ${writtenCount}/${segments.length}`);
+      }
+    });
+
+    await merger.finish();
+  } catch (error) {
+    await merger.abort();
+    throw error;
+  }
+
+  return { segmentCount: segments.length, variant };
+}
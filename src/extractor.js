@@ -1,3 +1,6 @@
+import { collectResources } from './resources.js';
+import { isThumbnailTrack } from './subtitles.js';
+
 /**
  * Extract course slug from URL
  * @param {string} courseUrl - The course URL
@@ -25,14 +28,14 @@ export function extractCourseSlug(courseUrl) {
 }
 
 /**
- * Extract lesson data from a course page
- * Uses Puppeteer request interception to capture M3U8 URLs
+ * Read the lesson list (titles, page URLs, durations and section headings)
+ * from a course page, without visiting any lesson
  *
  * @param {import('puppeteer').Page} page - Puppeteer page instance (already logged in)
  * @param {string} courseUrl - The course URL to extract from
- * @returns {Promise<Array<{number: number, title: string, m3u8Url: string, duration: number}>>} Array of lesson objects
+ * @returns {Promise<Array<{number: number, title: string, duration: number, url: string, description: string|null, section: string|null, sectionNumber: number|null}>>} Array of lessons
  */
-export async function extractCourseData(page, courseUrl) {
+export async function extractLessonList(page, courseUrl) {
   if (!page || typeof page.goto !== 'function') {
     throw new Error('Invalid Puppeteer page instance provided');
   }
@@ -57,6 +60,23 @@ export async function extractCourseData(page, courseUrl) {
     const lessonElements = document.querySelectorAll('li.Course-Lesson-List-Item');
     const lessonData = [];
 
+    // Section headings come before each section's list of lessons, either
+    // as a sibling of the list or of the group wrapping it. The course
+    // title (h1) is not a section.
+    const isHeading = (node) => /^H[2-6]$/.test(node.tagName) || node.classList.contains('lessongroup');
+    const findHeading = (el) => {
+      const list = el.closest('ul, ol');
+      for (const start of [list, list?.parentElement]) {
+        for (let node = start?.previousElementSibling; node; node = node.previousElementSibling) {
+          if (isHeading(node) && node.textContent.trim()) return node;
+        }
+      }
+      return null;
+    };
+
+    // Sections are numbered in page order
+    const sectionNumbers = new Map();
+
     lessonElements.forEach((el, index) => {
       // Title is inside h3.title > a
       const titleEl = el.querySelector('.title a, h3.title a, h3 a');
@@ -81,12 +101,24 @@ export async function extractCourseData(page, courseUrl) {
         durationSeconds = parseTime(timeMatch[2]) - parseTime(timeMatch[1]);
       }
 
+      // Short summary shown under the title
+      const descriptionEl = el.querySelector('.description');
+      const description = descriptionEl ? descriptionEl.textContent.trim().replace(/\s+/g, ' ') : '';
+
+      const heading = findHeading(el);
+      if (heading && !sectionNumbers.has(heading)) {
+        sectionNumbers.set(heading, sectionNumbers.size + 1);
+      }
+
       if (title && lessonUrl) {
         lessonData.push({
           number: index + 1,
           title,
           duration: durationSeconds,
-          url: lessonUrl
+          url: lessonUrl,
+          description: description || null,
+          section: heading ? heading.textContent.trim() : null,
+          sectionNumber: heading ? sectionNumbers.get(heading) : null
         });
       }
     });
@@ -98,21 +130,59 @@ export async function extractCourseData(page, courseUrl) {
     throw new Error('No lessons found on the course page. The page structure may have changed.');
   }
 
+  return lessons;
+}
+
+/**
+ * Visit a lesson page and capture its M3U8 playlists
+ * @param {import('puppeteer').Page} page - Puppeteer page instance (already logged in)
+ * @param {{number: number, title: string, duration: number, url: string, section: string|null, sectionNumber: number|null}} lesson - Lesson from extractLessonList
+ * @returns {Promise<{number: number, title: string, url: string, m3u8Url: string, m3u8Responses: Object<string, string>, captionResponses: Object<string, string>, captionTracks: Array<Object>, duration: number, description: string|null, section: string|null, sectionNumber: number|null}|null>} The lesson with its playlists, or null if none were captured
+ */
+export async function extractLessonPlaylists(page, lesson) {
+  const m3u8Data = await extractM3U8Data(page, lesson.url);
+  if (!m3u8Data) {
+    return null;
+  }
+
+  return {
+    number: lesson.number,
+    title: lesson.title,
+    url: lesson.url,
+    m3u8Url: m3u8Data.masterUrl,
+    m3u8Responses: m3u8Data.m3u8Responses,
+    captionResponses: m3u8Data.captionResponses,
+    captionTracks: m3u8Data.captionTracks,
+    duration: lesson.duration,
+    description: lesson.description ?? null,
+    section: lesson.section ?? null,
+    sectionNumber: lesson.sectionNumber ?? null
+  };
+}
+
+/**
+ * Extract lesson data from a course page
+ * Uses Puppeteer request interception to capture M3U8 URLs
+ *
+ * @param {import('puppeteer').Page} page - Puppeteer page instance (already logged in)
+ * @param {string} courseUrl - The course URL to extract from
+ * @param {Object} options - Extraction options
+ * @param {(lessons: Array<Object>) => Array<Object>} options.select - Picks the lessons to visit from the lesson list (default: all)
+ * @returns {Promise<Array<{number: number, title: string, url: string, m3u8Url: string, duration: number, section: string|null, sectionNumber: number|null}>>} Array of lesson objects
+ */
+export async function extractCourseData(page, courseUrl, options = {}) {
+  const { select = lessons => lessons } = options;
+  const lessons = select(await extractLessonList(page, courseUrl));
+
   // Visit each lesson and capture M3U8 URLs + response bodies
   const lessonsWithM3U8 = [];
 
   for (const lesson of lessons) {
     console.log(`   Extracting M3U8 for lesson ${lesson.number}: "${lesson.title}"...`);
-    const m3u8Data = await extractM3U8Data(page, lesson.url);
-
-    if (m3u8Data) {
-      lessonsWithM3U8.push({
-        number: lesson.number,
-        title: lesson.title,
-        m3u8Url: m3u8Data.masterUrl,
-        m3u8Responses: m3u8Data.m3u8Responses,
-        duration: lesson.duration
-      });
+    const lessonWithM3U8 = await extractLessonPlaylists(page, lesson);
+
+    if (lessonWithM3U8) {
+      lessonsWithM3U8.push(lessonWithM3U8);
     } else {
       console.log(`   ⚠️  No M3U8 URL found for lesson ${lesson.number}`);
     }
@@ -121,23 +191,42 @@ export async function extractCourseData(page, courseUrl) {
   return lessonsWithM3U8;
 }
 
+/**
+ * Check whether a response is a caption file (WebVTT)
+ * @param {string} url - Response URL
+ * @param {string} contentType - Response Content-Type
+ * @returns {boolean}
+ */
+function isCaptionResponse(url, contentType = '') {
+  return /\.(vtt|webvtt)(\?|$)/i.test(url) || /text\/vtt/i.test(contentType);
+}
+
 /**
  * Extract M3U8 data from a lesson page using Puppeteer response interception.
- * Captures both URLs and response bodies for M3U8 playlists.
+ * Captures both URLs and response bodies for M3U8 playlists, caption files
+ * the player loads, and the video element's caption <track>s.
  * @param {import('puppeteer').Page} page - Puppeteer page instance
  * @param {string} lessonUrl - The lesson URL
- * @returns {Promise<{masterUrl: string, m3u8Responses: Object<string, string>}|null>}
+ * @returns {Promise<{masterUrl: string, m3u8Responses: Object<string, string>, captionResponses: Object<string, string>, captionTracks: Array<{url: string, language: string|null, name: string|null, default: boolean}>}|null>}
  */
 async function extractM3U8Data(page, lessonUrl) {
   const m3u8Responses = {};
+  const captionResponses = {};
 
-  // Use page.on('response') to capture M3U8 response bodies
+  // Use page.on('response') to capture M3U8 and caption response bodies
   const responseHandler = async (response) => {
     const url = response.url();
-    if (url.includes('.m3u8')) {
+    const target = url.includes('.m3u8')
+      ? m3u8Responses
+      : isCaptionResponse(url, response.headers()['content-type']) ? captionResponses : null;
+    if (target) {
       try {
         const body = await response.text();
-        m3u8Responses[url] = body;
+        // Storyboard VTTs for the seek-bar previews aren't captions
+        if (target === captionResponses && isThumbnailTrack(body)) {
+          return;
+        }
+        target[url] = body;
       } catch {
         // Response body may not be available
       }
@@ -170,14 +259,106 @@ async function extractM3U8Data(page, lessonUrl) {
   // Find the master playlist URL (has signed auth params)
   const masterUrl = urls.find(u => u.includes('index.m3u8') && u.includes('Signature')) || urls[0];
 
-  return { masterUrl, m3u8Responses };
+  // Side-loaded captions are declared as <track> elements on the video
+  const captionTracks = await page.evaluate(() =>
+    [...document.querySelectorAll('video track')]
+      .filter(track => track.src && ['subtitles', 'captions', ''].includes(track.kind || ''))
+      .map(track => ({
+        url: track.src,
+        language: track.srclang || null,
+        name: track.label || null,
+        default: track.default
+      }))
+  ).catch(() => []);
+
+  return { masterUrl, m3u8Responses, captionResponses, captionTracks };
+}
+
+/**
+ * Revisit a lesson page to capture fresh playlists, replacing signed URLs
+ * that have expired since extraction
+ * @param {import('puppeteer').Page} page - Puppeteer page instance (already logged in)
+ * @param {Object} lesson - Lesson object with {number, url}; m3u8Url, m3u8Responses and the captured captions are updated in place
+ * @returns {Promise<Object>} The updated lesson
+ */
+export async function refreshLessonPlaylists(page, lesson) {
+  if (!lesson || !lesson.url) {
+    throw new Error(`Lesson ${lesson?.number} has no page URL to refresh its playlists from`);
+  }
+
+  const m3u8Data = await extractM3U8Data(page, lesson.url);
+  if (!m3u8Data) {
+    throw new Error(`No M3U8 URL found when refreshing lesson ${lesson.number}`);
+  }
+
+  lesson.m3u8Url = m3u8Data.masterUrl;
+  lesson.m3u8Responses = m3u8Data.m3u8Responses;
+  lesson.captionResponses = m3u8Data.captionResponses;
+  lesson.captionTracks = m3u8Data.captionTracks;
+  return lesson;
 }
 
 /**
- * Get course metadata
+ * Collect the course's resources (slides, repositories, course websites and
+ * downloadable files) from the links on the course page. Uses the page as
+ * it is when it already shows the course, e.g. after getCourseMetadata().
  * @param {import('puppeteer').Page} page - Puppeteer page instance
  * @param {string} courseUrl - The course URL
- * @returns {Promise<{title: string, slug: string, lessonCount: number}>}
+ * @returns {Promise<Array<{title: string, url: string, type: 'slides'|'repository'|'website'|'file', download: boolean}>>}
+ */
+export async function extractCourseResources(page, courseUrl) {
+  if (!page || typeof page.goto !== 'function') {
+    throw new Error('Invalid Puppeteer page instance provided');
+  }
+
+  const samePage = (a, b) => a.replace(/[#?].*$/, '').replace(/\/$/, '') === b.replace(/[#?].*$/, '').replace(/\/$/, '');
+  if (!samePage(page.url(), courseUrl)) {
+    await page.goto(courseUrl, {
+      waitUntil: 'networkidle2',
+      timeout: 60000
+    });
+  }
+
+  const links = await page.evaluate(() => {
+    const scope = document.querySelector('main') || document.body;
+    return [...scope.querySelectorAll('a[href]')]
+      // Lesson links and navigation aren't resources
+      .filter(a => !a.closest('li.Course-Lesson-List-Item, nav, footer'))
+      .map(a => ({
+        url: a.href,
+        text: (a.textContent || a.getAttribute('title') || '').trim().replace(/\s+/g, ' '),
+        inResources: Boolean(a.closest('[class*="Resource"], [class*="resource"]'))
+      }));
+  });
+
+  return collectResources(links);
+}
+
+/**
+ * Normalize a date from the course page to YYYY-MM-DD
+ * @param {string} value - Date text, e.g. "2024-03-12T00:00:00Z" or "March 12, 2024"
+ * @returns {string|null} The date, or null if it can't be parsed
+ */
+export function normalizeReleaseDate(value) {
+  if (!value) return null;
+
+  const isoMatch = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+  if (isoMatch) return isoMatch[1];
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  // Dates without a time are parsed as local midnight
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get course metadata: title, instructors, description, release date, level
+ * and thumbnail, from the page's structured data (JSON-LD and meta tags) with
+ * the course header as a fallback
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {string} courseUrl - The course URL
+ * @returns {Promise<{title: string, slug: string, lessonCount: number, instructors: string[], instructor: string|null, description: string|null, releaseDate: string|null, level: string|null, thumbnailUrl: string|null}>}
  */
 export async function getCourseMetadata(page, courseUrl) {
   if (!page || typeof page.goto !== 'function') {
@@ -198,11 +379,46 @@ export async function getCourseMetadata(page, courseUrl) {
     const lessonElements = document.querySelectorAll('li.Course-Lesson-List-Item');
     const lessonCount = lessonElements.length;
 
-    return { title, lessonCount };
+    // The first JSON-LD Course (or video) object, if the page has one
+    let course = null;
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const data = JSON.parse(script.textContent);
+        const items = [data, ...(Array.isArray(data['@graph']) ? data['@graph'] : [])].flat();
+        course = items.find(item => ['Course', 'VideoObject'].includes(item?.['@type'])) || course;
+        if (course) break;
+      } catch {
+        // Ignore malformed structured data
+      }
+    }
+
+    const meta = (selector) => document.querySelector(selector)?.getAttribute('content')?.trim() || null;
+    const text = (selector) => document.querySelector(selector)?.textContent.trim().replace(/\s+/g, ' ') || null;
+    const names = (people) => [people].flat().map(person => typeof person === 'string' ? person : person?.name).filter(Boolean);
+
+    const instructors = names(course?.instructor || course?.author || course?.creator);
+    const headerInstructors = [...document.querySelectorAll('.Course-Header .FM-Instructor-Name, .Course-Header [class*="instructor" i] h3, .Course-Header [class*="Instructor" i] a')]
+      .map(el => el.textContent.trim())
+      .filter(Boolean);
+    const image = [course?.image].flat()[0];
+    const educationalLevel = [course?.educationalLevel].flat()[0];
+    const levelMatch = (document.querySelector('.Course-Header')?.textContent || '').match(/\b(Beginner|Intermediate|Advanced)\b/i);
+
+    return {
+      title,
+      lessonCount,
+      instructors: instructors.length ? instructors : [...new Set(headerInstructors)],
+      description: course?.description?.trim() || meta('meta[name="description"]') || meta('meta[property="og:description"]') || text('.Course-Header .Course-Description, .Course-Header p'),
+      releaseDate: course?.datePublished || course?.dateCreated || course?.uploadDate || meta('meta[property="article:published_time"]') || document.querySelector('.Course-Header time[datetime]')?.getAttribute('datetime') || null,
+      level: (typeof educationalLevel === 'string' ? educationalLevel.trim() : educationalLevel?.name) || (levelMatch ? levelMatch[1] : null),
+      thumbnailUrl: (typeof image === 'string' ? image : image?.url) || [course?.thumbnailUrl].flat()[0] || meta('meta[property="og:image"]') || null
+    };
   });
 
   return {
     ...metadata,
+    instructor: metadata.instructors.join(', ') || null,
+    releaseDate: normalizeReleaseDate(metadata.releaseDate),
     slug: extractCourseSlug(courseUrl)
   };
 }
@@ -1,11 +1,22 @@
 import { existsSync, readFileSync, writeFileSync } from 'fs';
-import { mkdir, readdir, rmdir, stat, unlink } from 'fs/promises';
+import { mkdir, rm, stat, writeFile } from 'fs/promises';
 import path from 'path';
 import { login } from './auth.js';
-import { downloadLesson } from './downloader.js';
-import { extractCourseData, getCourseMetadata } from './extractor.js';
-import { checkFfmpeg, mergeSegments } from './merger.js';
-import { slugify } from './utils.js';
+import { buildChapters, formatFFMetadata } from './chapters.js';
+import { writeCookieFile } from './cookiefile.js';
+import { buildCourseInfo, formatEpisodeNfo, formatShowNfo } from './courseinfo.js';
+import { ensureFreeSpace, isDiskFullError } from './diskspace.js';
+import { downloadCaptions, downloadLesson, estimateLesson, prepareLesson, streamLesson } from './downloader.js';
+import { extractCourseData, extractCourseResources, extractLessonList, extractLessonPlaylists, getCourseMetadata } from './extractor.js';
+import { checkFfmpeg, joinLessonFiles, mergeSegments, probeDuration } from './merger.js';
+import { describeVariant, isVariantMismatchError } from './quality.js';
+import { createRateLimiter, parseRate, parseTimeWindow } from './ratelimit.js';
+import { buildLessonRows, formatLessonTable } from './listing.js';
+import { downloadResources, formatResourcesMarkdown } from './resources.js';
+import { getRedownloadLessons, hasSelection, selectLessons } from './selection.js';
+import { downloadWithSession, getSessionFromPage } from './session.js';
+import { saveSubtitleFiles } from './subtitles.js';
+import { formatBytes, getLessonMetadata, getLessonPath } from './utils.js';
 
 const PROGRESS_FILE = '.download-progress.json';
 
@@ -36,6 +47,443 @@ function saveProgress(outputDir, progress) {
   writeFileSync(progressPath, JSON.stringify(progress, null, 2));
 }
 
+/**
+ * Work out where a course is downloaded to
+ * @param {string} customOutputDir - Directory given with --output, if any
+ * @param {{slug: string}} metadata - Course metadata
+ * @returns {string} Output directory
+ */
+function getOutputDir(customOutputDir, metadata) {
+  return customOutputDir || path.join(process.cwd(), 'downloads', metadata.slug || 'course');
+}
+
+/**
+ * Extrapolate one lesson's size estimate to every lesson still to download,
+ * using the duration scraped from the course page for each
+ * @param {Array<Object>} lessons - Lessons still to download
+ * @param {{duration: number, size: number, tempSize: number}} estimate - Estimate for one of them
+ * @returns {{size: number, tempSize: number}} Total size and the largest lesson's peak temp usage
+ */
+function estimateCourse(lessons, estimate) {
+  const bytesPerSecond = estimate.size / estimate.duration;
+  const sizes = lessons.map(lesson => Math.ceil(bytesPerSecond * (lesson.duration || estimate.duration)));
+
+  return {
+    size: sizes.reduce((total, size) => total + size, 0),
+    tempSize: Math.ceil(Math.max(...sizes) * (estimate.tempSize / estimate.size))
+  };
+}
+
+/**
+ * Save a course's resources: directly hosted files go into resources/, and
+ * every resource is listed in resources.md. Failures are reported without
+ * stopping the download.
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {string} courseUrl - Course URL
+ * @param {string} outputDir - Course output directory
+ * @param {{title: string}} metadata - Course metadata
+ * @param {Object|null} rateLimiter - Rate limiter shared with the segment downloads
+ * @returns {Promise<void>}
+ */
+async function saveCourseResources(page, courseUrl, outputDir, metadata, rateLimiter) {
+  try {
+    const resources = await extractCourseResources(page, courseUrl);
+    if (resources.length === 0) {
+      return;
+    }
+
+    const { files, failed } = await downloadResources(page, resources, path.join(outputDir, 'resources'), { rateLimiter });
+    await writeFile(path.join(outputDir, 'resources.md'), formatResourcesMarkdown(metadata.title, resources, files));
+
+    console.log(`📎 Resources: ${resources.length} listed in resources.md${files.length ? `, ${files.length} saved to resources/` : ''}`);
+    for (const { title, error } of failed) {
+      console.log(`   ⚠️  Could not download "${title}": ${error}`);
+    }
+    console.log('');
+  } catch (error) {
+    console.log(`⚠️  Could not save course resources: ${error.message}\n`);
+  }
+}
+
+/**
+ * Save the course thumbnail as cover.jpg (or .png/.webp) in the output
+ * directory, to attach to every lesson as cover art. An existing cover is
+ * reused; a failed download only means the lessons have no cover.
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {string|null} thumbnailUrl - Course thumbnail URL
+ * @param {string} outputDir - Course output directory
+ * @param {Object|null} rateLimiter - Rate limiter shared with the segment downloads
+ * @returns {Promise<string|null>} The cover image path, or null
+ */
+async function saveCoverImage(page, thumbnailUrl, outputDir, rateLimiter) {
+  if (!thumbnailUrl) {
+    return null;
+  }
+
+  try {
+    const extension = path.extname(new URL(thumbnailUrl).pathname).toLowerCase();
+    const coverPath = path.join(outputDir, `cover${['.jpg', '.jpeg', '.png', '.webp'].includes(extension) ? extension : '.jpg'}`);
+
+    const existing = await stat(coverPath).catch(() => null);
+    if (!existing || existing.size === 0) {
+      const session = await getSessionFromPage(page);
+      await downloadWithSession(session, thumbnailUrl, coverPath, { limiter: rateLimiter });
+    }
+    return coverPath;
+  } catch (error) {
+    console.log(`⚠️  Could not save the course thumbnail: ${error.message}\n`);
+    return null;
+  }
+}
+
+/**
+ * Save the logged-in browser's cookies as a Netscape cookies.txt, to reuse
+ * with --cookies on another machine. A failure is only reported.
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {string} filePath - Destination file
+ * @param {(message: string) => void} log - Where to print the result
+ * @returns {Promise<void>}
+ */
+async function exportSessionCookies(page, filePath, log) {
+  try {
+    const { cookies } = await getSessionFromPage(page);
+    await writeCookieFile(filePath, cookies);
+    log(`🍪 Saved ${cookies.length} cookies to ${filePath}`);
+  } catch (error) {
+    log(`⚠️  Could not export cookies: ${error.message}`);
+  }
+}
+
+/**
+ * Write an episode .nfo next to every downloaded lesson's MP4
+ * @param {Object} courseInfo - Course info from buildCourseInfo
+ * @param {string} outputDir - Course output directory
+ * @param {Object} lessonDetails - Per-lesson progress details ({file})
+ * @returns {Promise<number>} Number of files written
+ */
+async function writeEpisodeNfos(courseInfo, outputDir, lessonDetails) {
+  let written = 0;
+  for (const lesson of courseInfo.lessons) {
+    const file = lessonDetails[lesson.number]?.file;
+    if (file && existsSync(path.join(outputDir, file))) {
+      await writeFile(path.join(outputDir, file.replace(/\.mp4$/i, '.nfo')), formatEpisodeNfo(courseInfo, lesson));
+      written++;
+    }
+  }
+  return written;
+}
+
+/**
+ * Join the downloaded lessons into one video with a chapter per lesson (and
+ * per section). The per-lesson files and their progress are kept, so the
+ * export is simply rebuilt when a later run adds lessons. The video always
+ * covers the whole course, so it is skipped until every lesson is on disk.
+ * @param {Array<Object>} lessons - Every lesson in the course, in course order
+ * @param {Object} options - Export options
+ * @param {string} options.outputDir - Course output directory
+ * @param {Object} options.metadata - Course metadata
+ * @param {Object} options.lessonDetails - Per-lesson progress details ({file, resolution})
+ * @param {boolean} options.sectionFolders - Whether lessons were saved in section folders
+ * @param {'mp4'|'mkv'} options.format - Output container
+ * @param {boolean} options.changed - Whether any lesson was saved during this run
+ * @returns {Promise<void>}
+ */
+export async function exportSingleFile(lessons, options) {
+  const { outputDir, metadata, lessonDetails, sectionFolders, format, changed } = options;
+  const outputFile = path.join(outputDir, `${metadata.slug || 'course'}.${format}`);
+
+  const files = lessons.map(lesson => lessonDetails[lesson.number]?.file
+    ? path.join(outputDir, lessonDetails[lesson.number].file)
+    : getLessonPath(outputDir, lesson, { sectionFolders }));
+  const missing = lessons.filter((lesson, index) => !existsSync(files[index]));
+  if (missing.length > 0) {
+    console.log(`\n⚠️  Skipping the single-file export: ${missing.length} lesson${missing.length === 1 ? ' is' : 's are'} not downloaded yet (${missing.map(l => l.number).join(', ')})`);
+    return;
+  }
+
+  if (!changed && existsSync(outputFile)) {
+    console.log(`\n🎞️  Single file up to date: ${path.relative(outputDir, outputFile)}`);
+    return;
+  }
+
+  console.log(`\n🎞️  Joining ${lessons.length} lessons into ${path.basename(outputFile)}...`);
+
+  // Lessons saved at different qualities can't always be joined losslessly
+  const resolutions = new Set(lessons.map(lesson => lessonDetails[lesson.number]?.resolution).filter(Boolean));
+  if (resolutions.size > 1) {
+    console.log(`   ⚠️  Lessons were saved at different resolutions (${[...resolutions].join(', ')}); pin one with --quality if playback stutters`);
+  }
+
+  let totalSize = 0;
+  const entries = [];
+  for (const [index, lesson] of lessons.entries()) {
+    totalSize += (await stat(files[index])).size;
+    entries.push({ title: lesson.title, section: lesson.section, duration: await probeDuration(files[index]) });
+  }
+  await ensureFreeSpace(outputDir, totalSize, 'the single-file export');
+
+  // MP4 can't hold overlapping section chapters; see buildChapters
+  const chapters = buildChapters(entries, { sectionChapters: format === 'mkv' });
+  const metadataPath = `${outputFile}.ffmetadata`;
+  await writeFile(metadataPath, formatFFMetadata({
+    title: metadata.title,
+    artist: metadata.instructor,
+    album_artist: metadata.instructor,
+    description: metadata.description,
+    date: metadata.releaseDate
+  }, chapters));
+
+  try {
+    await joinLessonFiles(files, outputFile, { metadataPath, format });
+  } finally {
+    await rm(metadataPath, { force: true });
+  }
+  console.log(`   ✅ Saved: ${path.relative(outputDir, outputFile)} (${chapters.length} chapters)`);
+}
+
+// The steps of downloading a lesson; tests replace them with options.steps
+const LESSON_STEPS = {
+  extractLessonPlaylists,
+  prepareLesson,
+  estimateLesson,
+  downloadCaptions,
+  streamLesson,
+  downloadLesson,
+  mergeSegments
+};
+
+/**
+ * Download lessons one after another. Each lesson's playlists are captured
+ * just before it downloads (unless they were extracted up front), and its
+ * merge runs in ffmpeg while the next lesson downloads. A lesson is recorded
+ * in the progress file only once it is saved; one that fails stays pending
+ * for the next run. Running out of disk space, or no variant matching the
+ * requested quality, stops the run.
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {Array<Object>} lessons - Selected lessons, in course order
+ * @param {Object} options - Options
+ * @param {string} options.outputDir - Course output directory
+ * @param {Object} options.metadata - Course metadata
+ * @param {number} options.lessonCount - Number of lessons in the whole course
+ * @param {number[]} options.completedLessons - Lessons completed in earlier runs (updated)
+ * @param {Object} options.lessonDetails - Per-lesson progress details (updated)
+ * @param {Set<number>} options.redownload - Completed lessons to download again
+ * @param {string|null} options.coverPath - Image to attach to each MP4 as cover art
+ * @param {boolean} options.stream - Pipe segments straight into ffmpeg instead of writing temp files
+ * @param {boolean} options.subtitles - Save captions next to each lesson
+ * @param {string} options.subtitleLanguage - Preferred caption language
+ * @param {boolean} options.embedSubtitles - Also soft-mux the captions into the MP4
+ * @param {boolean} options.sectionFolders - Save lessons in one folder per course section
+ * @param {boolean} options.keepTemp - Keep temporary files after merging
+ * @param {Object} options.steps - Replacements for the download steps (see LESSON_STEPS)
+ * @returns {Promise<number>} Number of lessons saved during this run
+ */
+export async function downloadLessons(page, lessons, options) {
+  const {
+    outputDir,
+    metadata,
+    lessonCount,
+    completedLessons,
+    lessonDetails,
+    redownload,
+    coverPath = null,
+    concurrency = 1,
+    audioLanguage,
+    quality = 'best',
+    codec,
+    browserFetch = false,
+    stream = false,
+    verify = true,
+    rateLimiter = null,
+    sectionFolders = false,
+    subtitles = true,
+    subtitleLanguage,
+    embedSubtitles = false,
+    keepTemp = false
+  } = options;
+  const steps = { ...LESSON_STEPS, ...options.steps };
+  const isPending = (lesson) => redownload.has(lesson.number) || !completedLessons.includes(lesson.number);
+
+  // Lessons saved during this run (the single-file export is rebuilt
+  // only when this changes)
+  let savedCount = 0;
+
+  /**
+   * Record a finished lesson, with the quality that was actually saved,
+   * its section and where it was saved
+   * @param {Object} lesson - The lesson
+   * @param {Object|null} variant - The variant that was downloaded
+   * @param {string} outputFile - Where the lesson was saved
+   */
+  const markComplete = (lesson, variant, outputFile) => {
+    savedCount++;
+    if (!completedLessons.includes(lesson.number)) {
+      completedLessons.push(lesson.number);
+    }
+    lessonDetails[lesson.number] = {
+      title: lesson.title,
+      section: lesson.section ?? null,
+      sectionNumber: lesson.sectionNumber ?? null,
+      file: path.relative(outputDir, outputFile),
+      quality: variant ? describeVariant(variant) : null,
+      resolution: variant?.resolution || null,
+      bandwidth: variant?.bandwidth || null
+    };
+    saveProgress(outputDir, { completed: completedLessons, total: lessonCount, lessons: lessonDetails });
+  };
+
+  // A lesson's merge runs in ffmpeg while the next lesson is extracted and
+  // downloaded; only one merge runs at a time
+  let pendingMerge = Promise.resolve();
+
+  // The whole course is checked against the free space once the first
+  // lesson's bitrate is known; every lesson is checked again before it
+  // starts. Running out of space stops the run instead of failing lesson
+  // after lesson.
+  let courseChecked = false;
+
+  // Running out of space, or a --quality/--codec the lessons aren't offered
+  // in, would fail every remaining lesson the same way, so it stops the run
+  let stopError = null;
+
+  // Download each lesson
+  for (const listedLesson of lessons) {
+    if (stopError) {
+      break;
+    }
+
+    if (!isPending(listedLesson)) {
+      console.log(`⏭️  Lesson ${listedLesson.number}/${lessonCount}: "${listedLesson.title}" - Already downloaded`);
+      continue;
+    }
+    
+    console.log(`\n📥 Lesson ${listedLesson.number}/${lessonCount}: "${listedLesson.title}"`);
+    
+    try {
+      let lesson = listedLesson;
+      if (!lesson.m3u8Url) {
+        console.log('   Extracting M3U8...');
+        lesson = await steps.extractLessonPlaylists(page, listedLesson);
+        if (!lesson) {
+          console.log(`   ⚠️  No M3U8 URL found for lesson ${listedLesson.number}`);
+          continue;
+        }
+      }
+
+      const outputFile = getLessonPath(outputDir, lesson, { sectionFolders });
+      await mkdir(path.dirname(outputFile), { recursive: true });
+      // The session and variants are read once and shared by every step
+      const prepared = await steps.prepareLesson(page, lesson, { quality, codec, browserFetch, rateLimiter });
+      const downloadOptions = { concurrency, audioLanguage, quality, codec, browserFetch, verify, rateLimiter, prepared };
+
+      // Estimate the size before downloading anything
+      const estimate = await steps.estimateLesson(page, lesson, downloadOptions).catch((error) => {
+        console.log(`   ⚠️  Could not estimate the lesson size: ${error.message}`);
+        return null;
+      });
+
+      if (estimate?.size) {
+        // Streaming writes no temp files
+        const tempSize = stream ? 0 : estimate.tempSize;
+
+        if (!courseChecked) {
+          courseChecked = true;
+          const remaining = lessons.filter(isPending);
+          const course = estimateCourse(remaining, estimate);
+          // A merge overlaps the next lesson's download, so two lessons'
+          // temp files can be on disk at once
+          const courseTempSize = stream ? 0 : course.tempSize * 2;
+          console.log(`   📦 Estimated size of ${remaining.length} remaining lessons: ${formatBytes(course.size)}${courseTempSize ? ` (plus up to ${formatBytes(courseTempSize)} of temp files)` : ''}`);
+          await ensureFreeSpace(outputDir, course.size + courseTempSize, 'the course');
+        }
+
+        console.log(`   Estimated size: ${formatBytes(estimate.size)}${tempSize ? `, up to ${formatBytes(tempSize)} of temp files` : ''}`);
+        await ensureFreeSpace(outputDir, estimate.size + tempSize, `lesson ${lesson.number}`);
+      }
+
+      // Captions are saved before the video so they can be muxed into it.
+      // A lesson without captions, or whose captions fail, still downloads.
+      let subtitlePath = null;
+      if (subtitles) {
+        try {
+          const captions = await steps.downloadCaptions(page, lesson, { ...downloadOptions, subtitleLanguage });
+          if (captions) {
+            const { vttPath, srtPath } = await saveSubtitleFiles(outputFile, captions.vtt);
+            console.log(`   💬 Captions${captions.language ? ` (${captions.language})` : ''}: ${path.basename(vttPath)}, ${path.basename(srtPath)}`);
+            subtitlePath = embedSubtitles ? srtPath : null;
+          }
+        } catch (error) {
+          console.log(`   ⚠️  ${error.message}`);
+        }
+      }
+
+      // Tags for media servers: lesson title and track number, course as
+      // album, instructor as artist
+      const mergeOptions = {
+        subtitlePath,
+        metadata: getLessonMetadata(metadata, lesson, lessonCount),
+        coverPath
+      };
+
+      // Streaming remuxes while downloading; anything it can't handle goes
+      // through the temp-file path instead
+      if (stream) {
+        try {
+          const { segmentCount, variant } = await steps.streamLesson(page, lesson, outputFile, { ...downloadOptions, ...mergeOptions });
+          console.log(`\n   Streamed ${segmentCount} segments${variant ? ` (${describeVariant(variant)})` : ''}`);
+          console.log(`   ✅ Saved: ${path.relative(outputDir, outputFile)}`);
+          markComplete(lesson, variant, outputFile);
+          continue;
+        } catch (error) {
+          if (isDiskFullError(error)) {
+            throw error;
+          }
+          console.log(`\n   ⚠️  Streaming failed: ${error.message}`);
+          console.log('   Falling back to temp files');
+        }
+      }
+
+      // Download segments
+      const { segmentCount, tempDir, audioDir, variant } = await steps.downloadLesson(page, lesson, outputDir, downloadOptions);
+      console.log(`   Downloaded ${segmentCount} segments${variant ? ` (${describeVariant(variant)})` : ''}`);
+
+      // Merge to MP4 in the background. Segments are kept when merging
+      // fails so the next run can resume them.
+      await pendingMerge;
+      console.log('   Merging segments...');
+      pendingMerge = steps.mergeSegments(tempDir, outputFile, { audioDir, ...mergeOptions, cleanup: !keepTemp }).then(
+        () => {
+          console.log(`   ✅ Saved: ${path.relative(outputDir, outputFile)}`);
+          markComplete(lesson, variant, outputFile);
+        },
+        (error) => {
+          console.error(`   ❌ Error merging lesson ${lesson.number}: ${error.message}`);
+          if (isDiskFullError(error)) {
+            stopError = error;
+          }
+        }
+      );
+      
+    } catch (error) {
+      if (isDiskFullError(error) || isVariantMismatchError(error)) {
+        stopError = error;
+        break;
+      }
+      console.error(`   ❌ Error: ${error.message}`);
+      // Continue with next lesson
+    }
+  }
+
+  await pendingMerge;
+
+  if (stopError) {
+    // Downloaded segments are kept, so the next run resumes from here
+    throw stopError;
+  }
+
+  return savedCount;
+}
+
 /**
  * Download an entire course
  * @param {string} courseUrl - Course URL
@@ -43,11 +491,65 @@ function saveProgress(outputDir, progress) {
  * @param {string} options.email - Login email
  * @param {string} options.password - Login password
  * @param {string} options.outputDir - Output directory
- * @param {number} options.concurrency - Number of concurrent downloads (default: 1)
+ * @param {number} options.concurrency - Number of concurrent segment downloads per lesson (default: 1)
+ * @param {string} options.audioLanguage - Preferred audio language when a lesson has several audio renditions
+ * @param {string} options.quality - Quality spec: best, worst, 720p, <=1080p or a bandwidth cap (default: best)
+ * @param {string} options.codec - Only download variants using this codec (e.g., h264, hevc)
+ * @param {boolean} options.browserFetch - Download segments through the browser instead of directly
+ * @param {boolean} options.verify - Check segment integrity and re-download corrupt segments (default: true)
+ * @param {boolean} options.stream - Pipe segments straight into ffmpeg instead of writing temp files
+ * @param {string} options.limitRate - Cap download speed in bytes per second, e.g. "2M" (default: unlimited)
+ * @param {string} options.fullSpeedWindow - Daily window without the rate cap, e.g. "01:00-07:00"
+ * @param {boolean} options.extractFirst - Capture every lesson's playlists before downloading anything
+ * @param {string} options.lessons - Only download these lesson numbers and ranges, e.g. "1-5,8,12-"
+ * @param {string} options.match - Only download lessons whose title matches this pattern
+ * @param {string} options.section - Only download lessons in sections whose heading matches this pattern
+ * @param {boolean} options.sectionFolders - Save lessons in one folder per course section
+ * @param {boolean} options.subtitles - Save captions as .vtt and .srt next to each lesson (default: true)
+ * @param {string} options.subtitleLanguage - Preferred caption language
+ * @param {boolean} options.embedSubtitles - Also soft-mux the captions into the MP4 as a mov_text track
+ * @param {boolean} options.resources - Save the course's slides, files and links (default: true)
+ * @param {boolean} options.cover - Attach the course thumbnail to each MP4 as cover art (default: true)
+ * @param {boolean} options.nfo - Write Kodi/Jellyfin tvshow.nfo and per-lesson .nfo files
+ * @param {string} options.singleFile - Also join the lessons into one video with chapters: 'mp4' or 'mkv' (default: off)
  * @param {boolean} options.keepTemp - Keep temporary files after download
+ * @param {boolean} options.freshLogin - Ignore the saved login session and log in again
+ * @param {string} options.cookieFile - Log in with the cookies in this Netscape cookies.txt
+ * @param {string} options.exportCookies - Save the session's cookies to this cookies.txt after logging in
  */
 export async function downloadCourse(courseUrl, options) {
-  const { email, password, outputDir: customOutputDir, keepTemp = false, visible = false } = options;
+  const {
+    email,
+    password,
+    outputDir: customOutputDir,
+    concurrency = 1,
+    audioLanguage,
+    quality = 'best',
+    codec,
+    browserFetch = false,
+    stream = false,
+    verify = true,
+    limitRate,
+    fullSpeedWindow,
+    extractFirst = false,
+    lessons: lessonSpec,
+    match,
+    section,
+    sectionFolders = false,
+    subtitles = true,
+    subtitleLanguage,
+    embedSubtitles = false,
+    resources = true,
+    cover = true,
+    singleFile = '',
+    nfo = false,
+    keepTemp = false,
+    visible = false,
+    freshLogin = false,
+    cookieFile,
+    exportCookies
+  } = options;
+  const selection = { lessons: lessonSpec, match, section };
 
   // Check ffmpeg first
   console.log('Checking ffmpeg installation...');
@@ -60,10 +562,18 @@ export async function downloadCourse(courseUrl, options) {
   }
   console.log('✅ ffmpeg found\n');
 
+  // One limiter for the whole run, so every concurrent fetch shares the cap
+  const rateLimiter = limitRate
+    ? createRateLimiter({ rate: parseRate(limitRate), fullSpeedWindow: fullSpeedWindow ? parseTimeWindow(fullSpeedWindow) : null })
+    : null;
+
   // Login and get browser/page
   console.log('Logging in to Frontend Masters...');
   const creds = (email && password) ? { email, password } : null;
-  const { browser, page } = await login(creds, { visible });
+  const { browser, page } = await login(creds, { visible, savedSession: !freshLogin, cookieFile });
+  if (exportCookies) {
+    await exportSessionCookies(page, exportCookies, console.log);
+  }
   
   try {
     // Get course metadata
@@ -73,61 +583,101 @@ export async function downloadCourse(courseUrl, options) {
     console.log(`🎬 Lessons: ${metadata.lessonCount}\n`);
     
     // Set up output directory
-    const courseSlug = metadata.slug || 'course';
-    const outputDir = customOutputDir || path.join(process.cwd(), 'downloads', courseSlug);
+    const outputDir = getOutputDir(customOutputDir, metadata);
     await mkdir(outputDir, { recursive: true });
+
+    // Slides, repositories and notes are linked from the course page the
+    // metadata was just read from
+    if (resources) {
+      await saveCourseResources(page, courseUrl, outputDir, metadata, rateLimiter);
+    }
+    const coverPath = cover ? await saveCoverImage(page, metadata.thumbnailUrl, outputDir, rateLimiter) : null;
     
     // Load progress
     const progress = loadProgress(outputDir);
     const completedLessons = progress.completed || [];
+    const lessonDetails = progress.lessons || {};
     
     if (completedLessons.length > 0) {
       console.log(`📋 Resuming: ${completedLessons.length} lessons already downloaded\n`);
     }
     
-    // Extract course data (lesson URLs and M3U8s)
-    console.log('Extracting lesson data (this may take a while)...');
-    const lessons = await extractCourseData(page, courseUrl);
-    console.log(`✅ Found ${lessons.length} lessons\n`);
-    
-    // Download each lesson
-    for (const lesson of lessons) {
-      if (completedLessons.includes(lesson.number)) {
-        console.log(`⏭️  Lesson ${lesson.number}/${lessons.length}: "${lesson.title}" - Already downloaded`);
-        continue;
-      }
-      
-      console.log(`\n📥 Lesson ${lesson.number}/${lessons.length}: "${lesson.title}"`);
-      
+    // Read the lesson list once. By default each lesson's playlists are
+    // captured right before it is downloaded, so signed URLs are fresh and
+    // completed lessons are never visited.
+    // Lessons are selected from the list before any of them is visited.
+    let lessonCount = 0;
+    let courseLessons = [];
+    const select = (allLessons) => {
+      lessonCount = allLessons.length;
+      courseLessons = allLessons;
+      const selected = selectLessons(allLessons, selection);
+      console.log(`✅ Found ${allLessons.length} lessons${hasSelection(selection) ? `, ${selected.length} selected` : ''}\n`);
+      return selected;
+    };
+
+    let lessons;
+    if (extractFirst) {
+      console.log('Extracting lesson data (this may take a while)...');
+      lessons = await extractCourseData(page, courseUrl, { select });
+    } else {
+      console.log('Reading lesson list...');
+      lessons = select(await extractLessonList(page, courseUrl));
+    }
+
+    // The full course details are kept with the downloads, whatever was
+    // selected
+    const courseInfo = buildCourseInfo(metadata, courseLessons, courseUrl);
+    await writeFile(path.join(outputDir, 'course.json'), JSON.stringify(courseInfo, null, 2));
+    if (nfo) {
+      await writeFile(path.join(outputDir, 'tvshow.nfo'), formatShowNfo(courseInfo));
+    }
+
+    if (lessons.length === 0) {
+      console.log('No lessons match the selection.');
+      return;
+    }
+
+    // Lessons named on their own in --lessons are downloaded again even if
+    // they were completed before, so a broken lesson can be re-fetched;
+    // every other completed lesson is skipped
+    const savedCount = await downloadLessons(page, lessons, {
+      outputDir,
+      metadata,
+      lessonCount,
+      completedLessons,
+      lessonDetails,
+      redownload: getRedownloadLessons(selection),
+      coverPath,
+      concurrency,
+      audioLanguage,
+      quality,
+      codec,
+      browserFetch,
+      stream,
+      verify,
+      rateLimiter,
+      sectionFolders,
+      subtitles,
+      subtitleLanguage,
+      embedSubtitles,
+      keepTemp
+    });
+
+    if (nfo) {
+      const written = await writeEpisodeNfos(courseInfo, outputDir, lessonDetails);
+      console.log(`\n📺 Media server info: tvshow.nfo and ${written} lesson .nfo files`);
+    }
+
+    if (singleFile) {
       try {
-        // Download segments
-        const { segmentCount, tempDir } = await downloadLesson(page, lesson, outputDir);
-        console.log(`   Downloaded ${segmentCount} segments`);
-        
-        // Merge to MP4
-        const safeTitle = slugify(lesson.title);
-        const outputFile = path.join(outputDir, `${String(lesson.number).padStart(2, '0')}-${safeTitle}.mp4`);
-        
-        console.log('   Merging segments...');
-        await mergeSegments(tempDir, outputFile);
-        console.log(`   ✅ Saved: ${path.basename(outputFile)}`);
-        
-        // Update progress
-        completedLessons.push(lesson.number);
-        saveProgress(outputDir, { completed: completedLessons, total: lessons.length });
-        
-        // Clean up temp files unless keepTemp is set
-        if (!keepTemp) {
-          const files = await readdir(tempDir);
-          for (const file of files) {
-            await unlink(path.join(tempDir, file));
-          }
-          await rmdir(tempDir);
-        }
-        
+        // The whole course, not just this run's selection
+        await exportSingleFile(courseLessons, { outputDir, metadata, lessonDetails, sectionFolders, format: singleFile, changed: savedCount > 0 });
       } catch (error) {
-        console.error(`   ❌ Error: ${error.message}`);
-        // Continue with next lesson
+        if (isDiskFullError(error)) {
+          throw error;
+        }
+        console.error(`   ❌ Error joining the lessons: ${error.message}`);
       }
     }
     
@@ -138,3 +688,77 @@ export async function downloadCourse(courseUrl, options) {
     await browser.close();
   }
 }
+
+/**
+ * Print a course's lessons with their download status, without downloading
+ * anything or visiting the lesson pages
+ * @param {string} courseUrl - Course URL
+ * @param {Object} options - Options
+ * @param {string} options.email - Login email
+ * @param {string} options.password - Login password
+ * @param {string} options.outputDir - Output directory holding the progress file
+ * @param {string} options.lessons - Only list these lesson numbers and ranges
+ * @param {string} options.match - Only list lessons whose title matches this pattern
+ * @param {string} options.section - Only list lessons in sections whose heading matches this pattern
+ * @param {boolean} options.json - Print JSON to stdout (status messages go to stderr)
+ * @param {boolean} options.visible - Open a visible browser for manual login
+ * @param {boolean} options.freshLogin - Ignore the saved login session and log in again
+ * @param {string} options.cookieFile - Log in with the cookies in this Netscape cookies.txt
+ * @param {string} options.exportCookies - Save the session's cookies to this cookies.txt after logging in
+ * @returns {Promise<Array<Object>>} The lesson rows
+ */
+export async function listCourse(courseUrl, options) {
+  const {
+    email,
+    password,
+    outputDir: customOutputDir,
+    lessons: lessonSpec,
+    match,
+    section,
+    json = false,
+    visible = false,
+    freshLogin = false,
+    cookieFile,
+    exportCookies
+  } = options;
+
+  // Keep stdout for the JSON document
+  const log = json ? console.error : console.log;
+
+  log('Logging in to Frontend Masters...');
+  const creds = (email && password) ? { email, password } : null;
+  const { browser, page } = await login(creds, { visible, savedSession: !freshLogin, cookieFile, log });
+  if (exportCookies) {
+    await exportSessionCookies(page, exportCookies, log);
+  }
+
+  try {
+    log('Fetching course metadata...');
+    const metadata = await getCourseMetadata(page, courseUrl);
+
+    log('Reading lesson list...');
+    const lessons = await extractLessonList(page, courseUrl);
+
+    const outputDir = getOutputDir(customOutputDir, metadata);
+    const selected = selectLessons(lessons, { lessons: lessonSpec, match, section });
+    const rows = buildLessonRows(selected, loadProgress(outputDir));
+
+    if (json) {
+      console.log(JSON.stringify({
+        title: metadata.title,
+        slug: metadata.slug,
+        url: courseUrl,
+        outputDir,
+        lessons: rows
+      }, null, 2));
+    } else {
+      console.log(`\n📚 Course: ${metadata.title}`);
+      console.log(`📁 ${outputDir}\n`);
+      console.log(formatLessonTable(rows));
+    }
+
+    return rows;
+  } finally {
+    await browser.close();
+  }
+}
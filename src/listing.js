@@ -0,0 +1,64 @@
+import { formatDuration } from './utils.js';
+
+const MAX_TITLE_WIDTH = 60;
+
+/**
+ * Combine the lesson list with the download progress file
+ * @param {Array<{number: number, title: string, duration: number, url: string, section: string|null, sectionNumber: number|null}>} lessons - Lessons from extractLessonList
+ * @param {Object} progress - Contents of .download-progress.json ({completed, lessons})
+ * @returns {Array<{number: number, title: string, section: string|null, sectionNumber: number|null, duration: number, url: string, status: 'downloaded'|'pending', quality: string|null}>}
+ */
+export function buildLessonRows(lessons, progress = {}) {
+  const completed = progress.completed || [];
+  const details = progress.lessons || {};
+
+  return lessons.map(lesson => ({
+    number: lesson.number,
+    title: lesson.title,
+    section: lesson.section ?? null,
+    sectionNumber: lesson.sectionNumber ?? null,
+    duration: lesson.duration,
+    url: lesson.url,
+    status: completed.includes(lesson.number) ? 'downloaded' : 'pending',
+    quality: details[lesson.number]?.quality || null
+  }));
+}
+
+/**
+ * Format lesson rows as a plain-text table with a totals line. Section
+ * headings are printed above their first lesson.
+ * @param {Array<Object>} rows - Rows from buildLessonRows
+ * @returns {string} The table
+ */
+export function formatLessonTable(rows) {
+  const fit = (title) => title.length > MAX_TITLE_WIDTH ? `${title.slice(0, MAX_TITLE_WIDTH - 1)}…` : title;
+  const status = (row) => row.status === 'downloaded'
+    ? `✅ downloaded${row.quality ? ` (${row.quality})` : ''}`
+    : '⬜ pending';
+
+  const numberWidth = Math.max(1, ...rows.map(row => String(row.number).length));
+  const titleWidth = Math.max(5, ...rows.map(row => fit(row.title).length));
+  const durationWidth = Math.max(8, ...rows.map(row => formatDuration(row.duration).length));
+
+  const line = (number, title, duration, state) =>
+    `${number.padStart(numberWidth)}  ${title.padEnd(titleWidth)}  ${duration.padStart(durationWidth)}  ${state}`.trimEnd();
+
+  const totalDuration = rows.reduce((total, row) => total + (row.duration || 0), 0);
+  const downloadedCount = rows.filter(row => row.status === 'downloaded').length;
+
+  const lines = [line('#', 'Title', 'Duration', 'Status')];
+  let currentSection = null;
+  for (const row of rows) {
+    if (row.section && row.section !== currentSection) {
+      lines.push('', row.section);
+      currentSection = row.section;
+    }
+    lines.push(line(String(row.number), fit(row.title), formatDuration(row.duration), status(row)));
+  }
+
+  return [
+    ...lines,
+    '',
+    `${rows.length} lessons, ${formatDuration(totalDuration)} total, ${downloadedCount} downloaded, ${rows.length - downloadedCount} pending`
+  ].join('\n');
+}
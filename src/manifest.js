@@ -0,0 +1,144 @@
+import { readFile, rename, stat, writeFile } from 'fs/promises';
+import path from 'path';
+
+export const MANIFEST_FILE = 'manifest.json';
+export const INIT_FILE = 'init.mp4';
+
+/**
+ * Build the zero-padded file name for a segment index
+ * @param {number} index - Segment index in the playlist
+ * @param {string} extension - File extension including the dot (default: .ts)
+ * @returns {string} Segment file name (e.g., "00042.ts")
+ */
+export function segmentFileName(index, extension = '.ts') {
+  return `${String(index).padStart(5, '0')}${extension}`;
+}
+
+/**
+ * Strip the query string from a URL so signed URLs from different runs compare equal
+ * @param {string} url - The URL
+ * @returns {string} The URL without query string or hash
+ */
+function stripQuery(url) {
+  return String(url).split(/[?#]/)[0];
+}
+
+/**
+ * Read the segment manifest from a segments directory
+ * @param {string} segmentsDir - Directory containing segments
+ * @returns {Promise<Object|null>} The manifest, or null if missing or invalid
+ */
+export async function readManifest(segmentsDir) {
+  try {
+    const content = await readFile(path.join(segmentsDir, MANIFEST_FILE), 'utf-8');
+    const manifest = JSON.parse(content);
+    return manifest && Array.isArray(manifest.segments) ? manifest : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write the segment manifest atomically (write to a temp file, then rename)
+ * @param {string} segmentsDir - Directory containing segments
+ * @param {Object} manifest - Manifest object
+ * @returns {Promise<void>}
+ */
+export async function writeManifest(segmentsDir, manifest) {
+  const manifestPath = path.join(segmentsDir, MANIFEST_FILE);
+  const tmpPath = `${manifestPath}.tmp`;
+  await writeFile(tmpPath, JSON.stringify({ ...manifest, updatedAt: new Date().toISOString() }, null, 2));
+  await rename(tmpPath, manifestPath);
+}
+
+/**
+ * Check whether a previous manifest entry can be reused for a new one
+ * @param {Object|undefined} old - Entry from an earlier run
+ * @param {string} url - Current URL of the entry
+ * @param {string} file - Current file name of the entry
+ * @returns {boolean}
+ */
+function canReuseEntry(old, url, file) {
+  return Boolean(old) && typeof old === 'object' && old.status === 'complete' &&
+    old.file === file && stripQuery(old.url) === stripQuery(url);
+}
+
+/**
+ * Create a manifest for a segment list, carrying over completed entries from a
+ * previous manifest when they refer to the same segment URL.
+ * @param {Object} lesson - Lesson object with {number, title}
+ * @param {string} playlistUrl - The media playlist URL
+ * @param {string[]} segmentUrls - Segment URLs in playlist order
+ * @param {Object|null} previous - Manifest from an earlier run, if any
+ * @param {Object} options - Manifest options
+ * @param {'ts'|'fmp4'} options.format - Segment container format (default: ts)
+ * @param {string} options.initUrl - Init segment URL (#EXT-X-MAP), fMP4 only
+ * @returns {Object} The manifest
+ */
+export function createManifest(lesson, playlistUrl, segmentUrls, previous = null, options = {}) {
+  const { format = 'ts', initUrl = null } = options;
+  const extension = format === 'fmp4' ? '.m4s' : '.ts';
+  const previousSegments = previous?.segments || [];
+
+  const segments = segmentUrls.map((url, index) => {
+    const file = segmentFileName(index, extension);
+    const old = previousSegments[index];
+    if (canReuseEntry(old, url, file)) {
+      return { ...old, index, url };
+    }
+    return { index, url, file, size: null, status: 'pending' };
+  });
+
+  const manifest = {
+    lesson: { number: lesson.number, title: lesson.title },
+    playlistUrl,
+    format,
+    totalSegments: segments.length,
+    segments
+  };
+
+  if (initUrl) {
+    manifest.init = canReuseEntry(previous?.init, initUrl, INIT_FILE)
+      ? { ...previous.init, url: initUrl }
+      : { url: initUrl, file: INIT_FILE, size: null, status: 'pending' };
+  }
+
+  return manifest;
+}
+
+/**
+ * Check whether a manifest entry is complete and its file is intact on disk
+ * @param {string} segmentsDir - Directory containing segments
+ * @param {Object} entry - Manifest segment entry
+ * @returns {Promise<boolean>}
+ */
+export async function isSegmentComplete(segmentsDir, entry) {
+  if (!entry || entry.status !== 'complete' || !Number.isInteger(entry.size)) {
+    return false;
+  }
+
+  try {
+    const stats = await stat(path.join(segmentsDir, entry.file));
+    return stats.size === entry.size;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create a writer that serializes manifest saves, so concurrent segment
+ * downloads never interleave writes to the same file.
+ * @param {string} segmentsDir - Directory containing segments
+ * @param {Object} manifest - Manifest object (mutated by callers)
+ * @returns {{save: () => Promise<void>}}
+ */
+export function createManifestWriter(segmentsDir, manifest) {
+  let pending = Promise.resolve();
+
+  return {
+    save() {
+      pending = pending.catch(() => {}).then(() => writeManifest(segmentsDir, manifest));
+      return pending;
+    }
+  };
+}
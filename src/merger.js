@@ -1,6 +1,12 @@
 import { spawn } from 'child_process';
-import { readdir, unlink, readFile } from 'fs/promises';
+import { once } from 'events';
+import { createReadStream, createWriteStream } from 'fs';
+import { readdir, rename, rm, rmdir, unlink, writeFile } from 'fs/promises';
 import path from 'path';
+import { pipeline } from 'stream/promises';
+import { INIT_FILE, MANIFEST_FILE, readManifest, segmentFileName } from './manifest.js';
+
+const SEGMENT_EXTENSIONS = ['.ts', '.m4s'];
 
 /**
  * Check if ffmpeg is installed and available
@@ -23,48 +29,282 @@ export async function checkFfmpeg() {
 }
 
 /**
- * Read segment manifest from directory
- * @param {string} segmentsDir - Directory containing segments
- * @returns {Promise<{segments: string[], lesson?: object}>} Manifest data
+ * Read a media file's duration with ffprobe
+ * @param {string} filePath - Media file
+ * @returns {Promise<number>} Duration in seconds
  */
-async function readManifest(segmentsDir) {
-  const manifestPath = path.join(segmentsDir, 'manifest.json');
-  
-  try {
-    const content = await readFile(manifestPath, 'utf-8');
-    const manifest = JSON.parse(content);
-    return {
-      segments: manifest.segments || [],
-      lesson: manifest.lesson
-    };
-  } catch {
-    // Manifest doesn't exist or is invalid, fall back to reading directory
-    return null;
-  }
+export function probeDuration(filePath) {
+  return new Promise((resolve, reject) => {
+    const ffprobe = spawn('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      filePath
+    ], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let stdout = '';
+    let stderr = '';
+    ffprobe.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    ffprobe.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffprobe.on('close', (code) => {
+      const duration = parseFloat(stdout);
+      if (code !== 0 || !Number.isFinite(duration)) {
+        reject(new Error(`Could not read the duration of ${path.basename(filePath)}: ${stderr.trim() || `ffprobe exited with code ${code}`}`));
+        return;
+      }
+      resolve(duration);
+    });
+
+    ffprobe.on('error', (err) => {
+      reject(new Error(`Failed to spawn ffprobe: ${err.message}`));
+    });
+  });
 }
 
 /**
  * Get segment files from directory, sorted numerically
- * @param {string} segmentsDir - Directory containing .ts files
+ * @param {string} segmentsDir - Directory containing .ts or .m4s files
  * @returns {Promise<string[]>} Sorted segment filenames
  */
 async function getSegmentsFromDir(segmentsDir) {
   const files = await readdir(segmentsDir);
   return files
-    .filter(f => f.endsWith('.ts'))
-    .sort((a, b) => {
-      const numA = parseInt(a.replace('.ts', ''), 10);
-      const numB = parseInt(b.replace('.ts', ''), 10);
-      return numA - numB;
+    .filter(f => SEGMENT_EXTENSIONS.includes(path.extname(f)))
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+}
+
+/**
+ * Work out the segment files, their container format and the init segment
+ * (fMP4 only) for a segments directory, preferring the downloader's manifest.
+ * @param {string} segmentsDir - Directory containing segments
+ * @returns {Promise<{format: 'ts'|'fmp4', segmentFiles: string[], initFile: string|null}>}
+ */
+async function readSegmentLayout(segmentsDir) {
+  const manifest = await readManifest(segmentsDir);
+  if (manifest && manifest.segments.length > 0) {
+    return {
+      format: manifest.format === 'fmp4' ? 'fmp4' : 'ts',
+      segmentFiles: manifest.segments.map((segment, index) => segment?.file || segmentFileName(index)),
+      initFile: manifest.init?.file || null
+    };
+  }
+
+  // No manifest: infer the format from the files on disk
+  const segmentFiles = await getSegmentsFromDir(segmentsDir);
+  const files = await readdir(segmentsDir);
+  const isFmp4 = files.includes(INIT_FILE) || segmentFiles.some(f => f.endsWith('.m4s'));
+
+  return {
+    format: isFmp4 ? 'fmp4' : 'ts',
+    segmentFiles,
+    initFile: isFmp4 && files.includes(INIT_FILE) ? INIT_FILE : null
+  };
+}
+
+/**
+ * Concatenate files byte-for-byte into a single output file
+ * @param {string[]} inputPaths - Files to concatenate, in order
+ * @param {string} outputPath - Destination file
+ * @returns {Promise<void>}
+ */
+async function concatFiles(inputPaths, outputPath) {
+  const output = createWriteStream(outputPath);
+  try {
+    for (const inputPath of inputPaths) {
+      await pipeline(createReadStream(inputPath), output, { end: false });
+    }
+  } finally {
+    await new Promise((resolve, reject) => {
+      output.end((err) => (err ? reject(err) : resolve()));
+    });
+  }
+}
+
+/**
+ * Run ffmpeg with the given arguments
+ * @param {string[]} ffmpegArgs - ffmpeg arguments
+ * @returns {Promise<void>} Resolves when ffmpeg exits successfully
+ */
+function runFfmpeg(ffmpegArgs) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', ffmpegArgs, {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let stderr = '';
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffmpeg exited with code ${code}: ${stderr}`));
+        return;
+      }
+      resolve();
+    });
+
+    ffmpeg.on('error', (err) => {
+      reject(new Error(`Failed to spawn ffmpeg: ${err.message}`));
     });
+  });
+}
+
+// MP4 tags written from the lesson metadata, in ffmpeg's key names
+const METADATA_KEYS = ['title', 'track', 'album', 'artist', 'album_artist', 'description', 'date'];
+
+/**
+ * Build the ffmpeg arguments that map the video, its audio (from input 0 or
+ * a separate audio input), an optional subtitle file as a mov_text track and
+ * an optional cover image as an attached picture. Without any extra inputs
+ * ffmpeg's default stream selection is kept.
+ * @param {Object} inputs - Input indexes
+ * @param {number|null} inputs.audioInput - Index of a separate audio input
+ * @param {number|null} inputs.subtitleInput - Index of the subtitle input
+ * @param {number|null} inputs.coverInput - Index of the cover image input
+ * @returns {string[]} Arguments to place before the codec options
+ */
+function streamMapArgs({ audioInput = null, subtitleInput = null, coverInput = null }) {
+  if (audioInput === null && subtitleInput === null && coverInput === null) {
+    return [];
+  }
+
+  const args = ['-map', '0:v', '-map', audioInput !== null ? `${audioInput}:a` : '0:a?'];
+  if (subtitleInput !== null) {
+    args.push('-map', `${subtitleInput}:s`);
+  }
+  if (coverInput !== null) {
+    args.push('-map', `${coverInput}:v`);
+  }
+  return args;
+}
+
+/**
+ * Build the codec arguments: everything is copied, except that subtitles
+ * become mov_text and the cover image is stored as a JPEG attached picture
+ * (course thumbnails may be WebP, which MP4 can't hold)
+ * @param {boolean} subtitles - Whether a subtitle track is mapped
+ * @param {boolean} cover - Whether a cover image is mapped
+ * @returns {string[]}
+ */
+function codecArgs(subtitles, cover) {
+  const args = ['-c', 'copy'];
+  if (subtitles) {
+    args.push('-c:s', 'mov_text');
+  }
+  if (cover) {
+    args.push('-c:v:1', 'mjpeg', '-disposition:v:1', 'attached_pic');
+  }
+  return args;
+}
+
+/**
+ * Build the ffmpeg -metadata arguments for an MP4's tags. Empty values are
+ * left out.
+ * @param {Object} metadata - Tags to write
+ * @param {string} metadata.title - Lesson title
+ * @param {string} metadata.track - Track number, e.g. "3/42"
+ * @param {string} metadata.album - Course title
+ * @param {string} metadata.artist - Instructor
+ * @param {string} metadata.album_artist - Instructor
+ * @param {string} metadata.description - Description
+ * @param {string} metadata.date - Release date (YYYY-MM-DD)
+ * @returns {string[]}
+ */
+export function metadataArgs(metadata = {}) {
+  const args = [];
+  for (const key of METADATA_KEYS) {
+    const value = metadata[key];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      args.push('-metadata', `${key}=${String(value).trim()}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Prepare a track's segments directory as an ffmpeg input. TS segments go
+ * through the concat demuxer; fMP4 fragments are joined behind their init
+ * segment into one fragmented MP4.
+ * @param {string} segmentsDir - Directory containing segment files
+ * @param {string} location - How to describe the directory in errors
+ * @returns {Promise<{format: 'ts'|'fmp4', inputArgs: string[], inputFile: string, mergedFiles: string[]}>}
+ */
+async function prepareTrackInput(segmentsDir, location = 'directory') {
+  // Try to read manifest first, fall back to directory listing
+  const { format, segmentFiles, initFile } = await readSegmentLayout(segmentsDir);
+
+  if (segmentFiles.length === 0) {
+    throw new Error(`No ${format === 'fmp4' ? 'fMP4' : 'TS'} segments found in ${location}`);
+  }
+
+  const mergedFiles = initFile ? [initFile, ...segmentFiles] : segmentFiles;
+
+  if (format === 'fmp4') {
+    // fMP4 fragments are only playable behind their init segment, so prepend
+    // it and hand ffmpeg a single fragmented MP4 to remux
+    const inputFile = path.join(segmentsDir, 'combined.mp4');
+    await concatFiles(mergedFiles.map(f => path.join(segmentsDir, f)), inputFile);
+    return { format, inputArgs: ['-i', inputFile], inputFile, mergedFiles };
+  }
+
+  // Create concat file list for ffmpeg
+  const inputFile = path.join(segmentsDir, 'concat.txt');
+  const concatContent = segmentFiles
+    .map(f => `file '${path.join(segmentsDir, f)}'`)
+    .join('\n');
+  await writeFile(inputFile, concatContent);
+
+  return { format, inputArgs: ['-f', 'concat', '-safe', '0', '-i', inputFile], inputFile, mergedFiles };
+}
+
+/**
+ * Delete merged segment files and remove the directory if nothing else is left
+ * @param {string} segmentsDir - Directory containing segment files
+ * @param {string[]} mergedFiles - Files that went into the merge
+ * @returns {Promise<void>}
+ */
+async function cleanupTrack(segmentsDir, mergedFiles) {
+  for (const file of mergedFiles) {
+    try {
+      await unlink(path.join(segmentsDir, file));
+    } catch {
+      // Ignore errors during cleanup
+    }
+  }
+
+  // Try to remove the temp directory if empty
+  try {
+    const remaining = await readdir(segmentsDir);
+    if (remaining.length === 0 || (remaining.length === 1 && remaining[0] === MANIFEST_FILE)) {
+      if (remaining.length === 1) {
+        await unlink(path.join(segmentsDir, MANIFEST_FILE));
+      }
+      await rmdir(segmentsDir);
+    }
+  } catch {
+    // Ignore errors during cleanup
+  }
 }
 
 /**
- * Merge TS segments into a single MP4 file using ffmpeg
- * @param {string} segmentsDir - Directory containing .ts segment files
+ * Merge TS or fMP4 segments into a single MP4 file using ffmpeg, muxing in a
+ * separately downloaded audio track when one is given
+ * @param {string} segmentsDir - Directory containing segment files
  * @param {string} outputPath - Output MP4 file path
  * @param {Object} options - Merge options
- * @param {boolean} options.cleanup - Whether to delete TS files after merge (default: true)
+ * @param {string} options.audioDir - Directory containing separate audio rendition segments
+ * @param {string} options.subtitlePath - Subtitle file (SRT or WebVTT) to soft-mux as a mov_text track
+ * @param {Object} options.metadata - MP4 tags (see metadataArgs)
+ * @param {string} options.coverPath - Image to attach as the MP4's cover art
+ * @param {boolean} options.cleanup - Whether to delete segment files after merge (default: true)
  * @param {boolean} options.hardwareAccel - Whether to use hardware acceleration (default: true on macOS)
  * @returns {Promise<void>}
  */
@@ -87,102 +327,216 @@ export async function mergeSegments(segmentsDir, outputPath, options = {}) {
     );
   }
 
-  const { cleanup = true, hardwareAccel = true } = options;
+  const { audioDir = null, subtitlePath = null, metadata = null, coverPath = null, cleanup = true, hardwareAccel = true } = options;
+  const tracks = [];
 
-  // Try to read manifest first, fall back to directory listing
-  let segmentFiles = [];
-  let useManifest = false;
-  
-  const manifest = await readManifest(segmentsDir);
-  if (manifest && manifest.segments.length > 0) {
-    segmentFiles = manifest.segments.map((_, index) => `${String(index).padStart(5, '0')}.ts`);
-    useManifest = true;
-  } else {
-    segmentFiles = await getSegmentsFromDir(segmentsDir);
-  }
+  try {
+    const video = await prepareTrackInput(segmentsDir);
+    tracks.push(video);
 
-  if (segmentFiles.length === 0) {
-    throw new Error('No TS segments found in directory');
-  }
+    let audio = null;
+    if (audioDir) {
+      audio = await prepareTrackInput(audioDir, 'audio directory');
+      tracks.push(audio);
+    }
 
-  // Create concat file list for ffmpeg
-  const concatFile = path.join(segmentsDir, 'concat.txt');
-  const concatContent = segmentFiles
-    .map(f => `file '${path.join(segmentsDir, f)}'`)
-    .join('\n');
-  
-  const { writeFile } = await import('fs/promises');
-  await writeFile(concatFile, concatContent);
+    // Build ffmpeg arguments
+    const ffmpegArgs = tracks.flatMap(track => track.inputArgs);
 
-  // Build ffmpeg arguments
-  const ffmpegArgs = [
-    '-f', 'concat',
-    '-safe', '0',
-    '-i', concatFile,
-    '-c', 'copy',
-    '-bsf:a', 'aac_adtstoasc',
-    '-movflags', '+faststart'
-  ];
+    // Extra inputs follow the video and audio tracks
+    let nextInput = tracks.length;
+    const subtitleInput = subtitlePath ? nextInput++ : null;
+    const coverInput = coverPath ? nextInput++ : null;
+    if (subtitlePath) {
+      ffmpegArgs.push('-i', subtitlePath);
+    }
+    if (coverPath) {
+      ffmpegArgs.push('-i', coverPath);
+    }
 
-  // Add hardware acceleration for encoding if available (macOS)
-  if (hardwareAccel && process.platform === 'darwin') {
-    ffmpegArgs.push('-videotoolbox');
-  }
+    ffmpegArgs.push(
+      ...streamMapArgs({ audioInput: audio ? 1 : null, subtitleInput, coverInput }),
+      ...codecArgs(Boolean(subtitlePath), Boolean(coverPath)),
+      ...metadataArgs(metadata || {})
+    );
 
-  ffmpegArgs.push('-y', outputPath);
+    // AAC in MPEG-TS is ADTS framed and needs converting for MP4
+    if ((audio || video).format === 'ts') {
+      ffmpegArgs.push('-bsf:a', 'aac_adtstoasc');
+    }
 
-  // Run ffmpeg to merge segments
-  return new Promise((resolve, reject) => {
-    const ffmpeg = spawn('ffmpeg', ffmpegArgs, {
-      stdio: ['ignore', 'pipe', 'pipe']
-    });
+    ffmpegArgs.push('-movflags', '+faststart');
 
-    let stderr = '';
-    ffmpeg.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+    // Add hardware acceleration for encoding if available (macOS)
+    if (hardwareAccel && process.platform === 'darwin') {
+      ffmpegArgs.push('-videotoolbox');
+    }
 
-    ffmpeg.on('close', async (code) => {
-      // Clean up concat file
+    ffmpegArgs.push('-y', outputPath);
+
+    // Run ffmpeg to merge segments
+    await runFfmpeg(ffmpegArgs);
+  } finally {
+    // Clean up concat lists / combined files
+    for (const track of tracks) {
       try {
-        await unlink(concatFile);
+        await unlink(track.inputFile);
       } catch {}
+    }
+  }
 
-      if (code !== 0) {
-        reject(new Error(`ffmpeg exited with code ${code}: ${stderr}`));
-        return;
-      }
+  // Clean up segment files if requested (audio first, it lives inside the video dir)
+  if (cleanup) {
+    if (audioDir) {
+      await cleanupTrack(audioDir, tracks[1].mergedFiles);
+    }
+    await cleanupTrack(segmentsDir, tracks[0].mergedFiles);
+  }
+}
 
-      // Clean up TS files if requested
-      if (cleanup) {
-        for (const file of segmentFiles) {
-          try {
-            await unlink(path.join(segmentsDir, file));
-          } catch {
-            // Ignore errors during cleanup
-          }
-        }
-        
-        // Try to remove the temp directory if empty
-        try {
-          const remaining = await readdir(segmentsDir);
-          if (remaining.length === 0 || (remaining.length === 1 && remaining[0] === 'manifest.json')) {
-            if (remaining.length === 1) {
-              await unlink(path.join(segmentsDir, 'manifest.json'));
-            }
-            const { rmdir } = await import('fs/promises');
-            await rmdir(segmentsDir);
-          }
-        } catch {
-          // Ignore errors during cleanup
-        }
-      }
+/**
+ * Start an ffmpeg process that remuxes segments piped to its stdin into an
+ * MP4 file. Segments must be written in playlist order (for fMP4, the init
+ * segment first). Output goes to a `.part` file that is renamed into place
+ * once ffmpeg succeeds.
+ * @param {string} outputPath - Output MP4 file path
+ * @param {Object} options - Merge options
+ * @param {'ts'|'fmp4'} options.format - Segment container format (default: ts)
+ * @param {string} options.subtitlePath - Subtitle file (SRT or WebVTT) to soft-mux as a mov_text track
+ * @param {Object} options.metadata - MP4 tags (see metadataArgs)
+ * @param {string} options.coverPath - Image to attach as the MP4's cover art
+ * @returns {{write: (data: Buffer) => Promise<void>, finish: () => Promise<void>, abort: () => Promise<void>}}
+ */
+export function createStreamingMerger(outputPath, options = {}) {
+  const { format = 'ts', subtitlePath = null, metadata = null, coverPath = null } = options;
+  const partPath = `${outputPath}.part`;
 
-      resolve();
-    });
+  const ffmpegArgs = ['-f', format === 'fmp4' ? 'mp4' : 'mpegts', '-i', 'pipe:0'];
+  let nextInput = 1;
+  const subtitleInput = subtitlePath ? nextInput++ : null;
+  const coverInput = coverPath ? nextInput++ : null;
+  if (subtitlePath) {
+    ffmpegArgs.push('-i', subtitlePath);
+  }
+  if (coverPath) {
+    ffmpegArgs.push('-i', coverPath);
+  }
+  ffmpegArgs.push(
+    ...streamMapArgs({ subtitleInput, coverInput }),
+    ...codecArgs(Boolean(subtitlePath), Boolean(coverPath)),
+    ...metadataArgs(metadata || {})
+  );
+  // AAC in MPEG-TS is ADTS framed and needs converting for MP4
+  if (format === 'ts') {
+    ffmpegArgs.push('-bsf:a', 'aac_adtstoasc');
+  }
+  ffmpegArgs.push('-movflags', '+faststart', '-f', 'mp4', '-y', partPath);
+
+  const ffmpeg = spawn('ffmpeg', ffmpegArgs, {
+    stdio: ['pipe', 'ignore', 'pipe']
+  });
+
+  let stderr = '';
+  ffmpeg.stderr.on('data', (data) => {
+    stderr += data.toString();
+  });
 
+  // Write errors (EPIPE) surface through ffmpeg's exit status instead
+  ffmpeg.stdin.on('error', () => {});
+
+  // Resolves with null on success, or the error ffmpeg failed with
+  let exitError;
+  const exited = new Promise((resolve) => {
+    ffmpeg.on('close', (code) => {
+      exitError = code === 0 ? null : new Error(`ffmpeg exited with code ${code}: ${stderr}`);
+      resolve(exitError);
+    });
     ffmpeg.on('error', (err) => {
-      reject(new Error(`Failed to spawn ffmpeg: ${err.message}`));
+      exitError = new Error(`Failed to spawn ffmpeg: ${err.message}`);
+      resolve(exitError);
     });
   });
+
+  return {
+    async write(data) {
+      if (exitError !== undefined) {
+        throw exitError || new Error('ffmpeg exited before all segments were written');
+      }
+      if (!ffmpeg.stdin.write(data)) {
+        // Wait for ffmpeg to catch up, unless it exits first
+        await Promise.race([once(ffmpeg.stdin, 'drain').catch(() => exited), exited]);
+        if (exitError !== undefined) {
+          throw exitError || new Error('ffmpeg exited before all segments were written');
+        }
+      }
+    },
+
+    async finish() {
+      ffmpeg.stdin.end();
+      const error = await exited;
+      if (error) {
+        await rm(partPath, { force: true });
+        throw error;
+      }
+      await rename(partPath, outputPath);
+    },
+
+    async abort() {
+      ffmpeg.stdin.destroy();
+      ffmpeg.kill();
+      await exited;
+      await rm(partPath, { force: true });
+    }
+  };
+}
+
+/**
+ * Join finished lesson MP4s into one video with ffmpeg's concat demuxer,
+ * taking global tags and chapters from an ffmetadata file. Video and audio
+ * are copied; cover art and subtitle tracks are left out, since they can
+ * differ between lessons. Output goes to a `.part` file that is renamed
+ * into place once ffmpeg succeeds.
+ * @param {string[]} inputPaths - Lesson files, in playback order
+ * @param {string} outputPath - Output file path (.mp4 or .mkv)
+ * @param {Object} options - Join options
+ * @param {string} options.metadataPath - ffmetadata file with the tags and chapters
+ * @param {'mp4'|'mkv'} options.format - Output container (default: mp4)
+ * @returns {Promise<void>}
+ */
+export async function joinLessonFiles(inputPaths, outputPath, options = {}) {
+  const { metadataPath = null, format = 'mp4' } = options;
+
+  if (!Array.isArray(inputPaths) || inputPaths.length === 0) {
+    throw new Error('No lesson files to join');
+  }
+
+  const partPath = `${outputPath}.part`;
+  const listPath = `${outputPath}.concat.txt`;
+  const listContent = inputPaths
+    .map(f => `file '${path.resolve(f).replace(/'/g, "'\\''")}'`)
+    .join('\n');
+  await writeFile(listPath, listContent);
+
+  const ffmpegArgs = ['-f', 'concat', '-safe', '0', '-i', listPath];
+  if (metadataPath) {
+    ffmpegArgs.push('-i', metadataPath, '-map_metadata', '1', '-map_chapters', '1');
+  }
+  // 0:V skips attached pictures
+  ffmpegArgs.push('-map', '0:V', '-map', '0:a?', '-c', 'copy');
+  if (format === 'mkv') {
+    ffmpegArgs.push('-f', 'matroska');
+  } else {
+    ffmpegArgs.push('-movflags', '+faststart', '-f', 'mp4');
+  }
+  ffmpegArgs.push('-y', partPath);
+
+  try {
+    await runFfmpeg(ffmpegArgs);
+    await rename(partPath, outputPath);
+  } catch (error) {
+    await rm(partPath, { force: true });
+    throw error;
+  } finally {
+    await rm(listPath, { force: true });
+  }
 }
@@ -0,0 +1,373 @@
+import { parseIV } from './decryptor.js';
+
+/**
+ * Parse an M3U8 attribute list (e.g., `METHOD=AES-128,URI="key.bin",IV=0x01`).
+ * Quoted values may contain commas.
+ * @param {string} attributeString - The attribute list after the tag's colon
+ * @returns {Object<string, string>} Attribute names mapped to unquoted values
+ */
+export function parseAttributeList(attributeString) {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+
+  while ((match = pattern.exec(attributeString || '')) !== null) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+
+  return attributes;
+}
+
+/**
+ * Resolve a playlist URI against the playlist URL
+ * @param {string} uri - Absolute or relative URI
+ * @param {string} [baseUrl] - The playlist URL
+ * @returns {string} Absolute URL, or the URI unchanged when there is no usable base URL
+ */
+function resolveUri(uri, baseUrl) {
+  if (/^https?:\/\//i.test(uri)) {
+    return uri;
+  }
+
+  try {
+    return new URL(uri, baseUrl).href;
+  } catch {
+    return uri;
+  }
+}
+
+/**
+ * Parse a byte range ("<length>[@<offset>]")
+ * @param {string} value - The byte range value
+ * @returns {{length: number, offset: number|null}|null}
+ */
+function parseByteRange(value) {
+  const match = String(value || '').trim().match(/^(\d+)(?:@(\d+))?$/);
+  if (!match) return null;
+  return {
+    length: parseInt(match[1], 10),
+    offset: match[2] !== undefined ? parseInt(match[2], 10) : null
+  };
+}
+
+/**
+ * Parse a RESOLUTION attribute ("1920x1080")
+ * @param {string} value - The resolution value
+ * @returns {{width: number, height: number}|null}
+ */
+function parseResolution(value) {
+  const match = String(value || '').match(/^(\d+)x(\d+)$/);
+  return match ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * Parse an optional integer attribute
+ * @param {string|undefined} value - Attribute value
+ * @returns {number|null}
+ */
+function parseOptionalInt(value) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Build a variant stream from #EXT-X-STREAM-INF / #EXT-X-I-FRAME-STREAM-INF attributes
+ * @param {Object<string, string>} attributes - Tag attributes
+ * @param {string} uri - Variant playlist URI
+ * @param {string} baseUrl - The playlist URL
+ * @returns {Object} Variant
+ */
+function buildVariant(attributes, uri, baseUrl) {
+  return {
+    url: resolveUri(uri, baseUrl),
+    bandwidth: parseOptionalInt(attributes.BANDWIDTH) || 0,
+    averageBandwidth: parseOptionalInt(attributes['AVERAGE-BANDWIDTH']),
+    resolution: parseResolution(attributes.RESOLUTION),
+    codecs: attributes.CODECS || null,
+    frameRate: attributes['FRAME-RATE'] ? parseFloat(attributes['FRAME-RATE']) : null,
+    audio: attributes.AUDIO || null,
+    video: attributes.VIDEO || null,
+    subtitles: attributes.SUBTITLES || null,
+    closedCaptions: attributes['CLOSED-CAPTIONS'] || null,
+    attributes
+  };
+}
+
+/**
+ * Build a rendition from #EXT-X-MEDIA attributes
+ * @param {Object<string, string>} attributes - Tag attributes
+ * @param {string} baseUrl - The playlist URL
+ * @returns {Object} Rendition
+ */
+function buildRendition(attributes, baseUrl) {
+  return {
+    type: attributes.TYPE || null,
+    groupId: attributes['GROUP-ID'] || '',
+    name: attributes.NAME || '',
+    language: attributes.LANGUAGE || null,
+    assocLanguage: attributes['ASSOC-LANGUAGE'] || null,
+    default: attributes.DEFAULT === 'YES',
+    autoselect: attributes.AUTOSELECT === 'YES',
+    forced: attributes.FORCED === 'YES',
+    characteristics: attributes.CHARACTERISTICS || null,
+    channels: attributes.CHANNELS || null,
+    instreamId: attributes['INSTREAM-ID'] || null,
+    // Renditions without a URI are muxed into the variant stream itself
+    url: attributes.URI ? resolveUri(attributes.URI, baseUrl) : null,
+    attributes
+  };
+}
+
+/**
+ * Build a key descriptor from #EXT-X-KEY / #EXT-X-SESSION-KEY attributes
+ * @param {Object<string, string>} attributes - Tag attributes
+ * @param {string} baseUrl - The playlist URL
+ * @returns {Object|null} Key descriptor, or null for METHOD=NONE
+ */
+function buildKey(attributes, baseUrl) {
+  const method = attributes.METHOD || 'NONE';
+  if (method === 'NONE') {
+    return null;
+  }
+
+  return {
+    method,
+    uri: attributes.URI ? resolveUri(attributes.URI, baseUrl) : null,
+    iv: attributes.IV ? parseIV(attributes.IV) : null,
+    keyFormat: attributes.KEYFORMAT || 'identity',
+    keyFormatVersions: attributes.KEYFORMATVERSIONS || null
+  };
+}
+
+/**
+ * Parse M3U8 playlist content (RFC 8216) into a structured model.
+ *
+ * Master playlists yield `{type: 'master', variants, iframeVariants, media,
+ * mediaGroups, sessionKeys}`; media playlists yield `{type: 'media',
+ * targetDuration, mediaSequence, discontinuitySequence, playlistType, endList,
+ * segments, totalDuration}`. Each media segment carries its EXTINF duration,
+ * sequence number, discontinuity flag, byte range and the key and init
+ * section (#EXT-X-MAP) in effect for it. Unknown tags are ignored.
+ *
+ * @param {string} content - The M3U8 playlist content (LF or CRLF line endings)
+ * @param {string} baseUrl - The playlist URL, for resolving relative URIs
+ * @returns {Object} The playlist model
+ */
+export function parsePlaylist(content, baseUrl) {
+  if (!content || typeof content !== 'string') {
+    throw new Error('Invalid M3U8 content provided');
+  }
+
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  let version = null;
+  let independentSegments = false;
+
+  // Master playlist state
+  let isMaster = false;
+  let pendingStreamInf = null;
+  const variants = [];
+  const iframeVariants = [];
+  const media = [];
+  const sessionKeys = [];
+
+  // Media playlist state
+  let targetDuration = null;
+  let mediaSequence = 0;
+  let discontinuitySequence = 0;
+  let currentDiscontinuity = 0;
+  let playlistType = null;
+  let iFramesOnly = false;
+  let endList = false;
+  let key = null;
+  let map = null;
+  let pending = {};
+  const segments = [];
+  const byteRangeEnds = new Map();
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith('#')) {
+      // Lines starting with '#' but not '#EXT' are comments
+      if (!line.startsWith('#EXT')) continue;
+
+      const colon = line.indexOf(':');
+      const tag = colon === -1 ? line.slice(1) : line.slice(1, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1);
+
+      switch (tag) {
+        case 'EXT-X-VERSION':
+          version = parseOptionalInt(value);
+          break;
+
+        case 'EXT-X-INDEPENDENT-SEGMENTS':
+          independentSegments = true;
+          break;
+
+        case 'EXT-X-STREAM-INF':
+          isMaster = true;
+          pendingStreamInf = parseAttributeList(value);
+          break;
+
+        case 'EXT-X-I-FRAME-STREAM-INF': {
+          isMaster = true;
+          const attributes = parseAttributeList(value);
+          if (attributes.URI) {
+            iframeVariants.push(buildVariant(attributes, attributes.URI, baseUrl));
+          }
+          break;
+        }
+
+        case 'EXT-X-MEDIA':
+          isMaster = true;
+          media.push(buildRendition(parseAttributeList(value), baseUrl));
+          break;
+
+        case 'EXT-X-SESSION-KEY': {
+          const sessionKey = buildKey(parseAttributeList(value), baseUrl);
+          if (sessionKey) sessionKeys.push(sessionKey);
+          break;
+        }
+
+        case 'EXT-X-TARGETDURATION':
+          targetDuration = parseOptionalInt(value);
+          break;
+
+        case 'EXT-X-MEDIA-SEQUENCE':
+          mediaSequence = parseOptionalInt(value) || 0;
+          break;
+
+        case 'EXT-X-DISCONTINUITY-SEQUENCE':
+          discontinuitySequence = parseOptionalInt(value) || 0;
+          currentDiscontinuity = discontinuitySequence;
+          break;
+
+        case 'EXT-X-PLAYLIST-TYPE':
+          playlistType = value.trim() || null;
+          break;
+
+        case 'EXT-X-I-FRAMES-ONLY':
+          iFramesOnly = true;
+          break;
+
+        case 'EXT-X-ENDLIST':
+          endList = true;
+          break;
+
+        case 'EXTINF': {
+          const comma = value.indexOf(',');
+          pending.duration = parseFloat(comma === -1 ? value : value.slice(0, comma));
+          pending.title = comma === -1 ? '' : value.slice(comma + 1).trim();
+          break;
+        }
+
+        case 'EXT-X-BYTERANGE':
+          pending.byteRange = parseByteRange(value);
+          break;
+
+        case 'EXT-X-DISCONTINUITY':
+          pending.discontinuity = true;
+          break;
+
+        case 'EXT-X-PROGRAM-DATE-TIME':
+          pending.programDateTime = value.trim();
+          break;
+
+        case 'EXT-X-KEY':
+          key = buildKey(parseAttributeList(value), baseUrl);
+          break;
+
+        case 'EXT-X-MAP': {
+          const attributes = parseAttributeList(value);
+          map = attributes.URI
+            ? { url: resolveUri(attributes.URI, baseUrl), byteRange: parseByteRange(attributes.BYTERANGE), key }
+            : null;
+          break;
+        }
+
+        default:
+          // Unknown or unused tags are ignored
+          break;
+      }
+      continue;
+    }
+
+    // URI line: either a variant playlist or a media segment
+    if (pendingStreamInf) {
+      variants.push(buildVariant(pendingStreamInf, line, baseUrl));
+      pendingStreamInf = null;
+      continue;
+    }
+
+    if (isMaster) {
+      // Stray URI in a master playlist
+      continue;
+    }
+
+    const url = resolveUri(line, baseUrl);
+
+    // A byte range without an offset continues where the previous range of
+    // the same resource ended
+    let byteRange = pending.byteRange || null;
+    if (byteRange) {
+      const offset = byteRange.offset ?? byteRangeEnds.get(url) ?? 0;
+      byteRange = { length: byteRange.length, offset };
+      byteRangeEnds.set(url, offset + byteRange.length);
+    }
+
+    if (pending.discontinuity) {
+      currentDiscontinuity++;
+    }
+
+    segments.push({
+      url,
+      duration: Number.isFinite(pending.duration) ? pending.duration : null,
+      title: pending.title || '',
+      sequence: mediaSequence + segments.length,
+      discontinuity: Boolean(pending.discontinuity),
+      discontinuitySequence: currentDiscontinuity,
+      byteRange,
+      programDateTime: pending.programDateTime || null,
+      key,
+      map
+    });
+    pending = {};
+  }
+
+  if (isMaster) {
+    const mediaGroups = {};
+    for (const rendition of media) {
+      const type = rendition.type || 'UNKNOWN';
+      mediaGroups[type] = mediaGroups[type] || {};
+      mediaGroups[type][rendition.groupId] = mediaGroups[type][rendition.groupId] || [];
+      mediaGroups[type][rendition.groupId].push(rendition);
+    }
+
+    return {
+      type: 'master',
+      version,
+      independentSegments,
+      variants,
+      iframeVariants,
+      media,
+      mediaGroups,
+      sessionKeys
+    };
+  }
+
+  return {
+    type: 'media',
+    version,
+    independentSegments,
+    targetDuration,
+    mediaSequence,
+    discontinuitySequence,
+    playlistType,
+    iFramesOnly,
+    endList,
+    segments,
+    totalDuration: segments.reduce((total, segment) => total + (segment.duration || 0), 0)
+  };
+}
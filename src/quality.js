@@ -0,0 +1,132 @@
+const UNIT_MULTIPLIERS = { '': 1, k: 1e3, m: 1e6, g: 1e9 };
+
+const CODEC_ALIASES = {
+  h264: ['avc1', 'avc3'],
+  avc: ['avc1', 'avc3'],
+  h265: ['hvc1', 'hev1'],
+  hevc: ['hvc1', 'hev1'],
+  av1: ['av01'],
+  vp9: ['vp09']
+};
+
+// Error code for a --quality/--codec that none of a lesson's variants match
+const VARIANT_MISMATCH = 'ERR_NO_MATCHING_VARIANT';
+
+/**
+ * Parse a quality spec into a structured selector.
+ * Accepted forms: "best", "worst", "720p" (exact height), "<=1080p" (height
+ * cap) and "<=3M" / "<=2500k" / "<=3000000" (bandwidth cap in bits/s).
+ * @param {string} spec - The quality spec
+ * @returns {{mode: 'best'|'worst'|'height'|'maxHeight'|'maxBandwidth', value?: number}}
+ */
+export function parseQualitySpec(spec = 'best') {
+  const normalized = String(spec || 'best').trim().toLowerCase();
+
+  if (normalized === 'best' || normalized === 'worst') {
+    return { mode: normalized };
+  }
+
+  const heightMatch = normalized.match(/^(<=)?\s*(\d+)p$/);
+  if (heightMatch) {
+    return { mode: heightMatch[1] ? 'maxHeight' : 'height', value: parseInt(heightMatch[2], 10) };
+  }
+
+  const bandwidthMatch = normalized.match(/^<=\s*(\d+(?:\.\d+)?)\s*([kmg]?)(?:bps)?$/);
+  if (bandwidthMatch) {
+    return { mode: 'maxBandwidth', value: Math.round(parseFloat(bandwidthMatch[1]) * UNIT_MULTIPLIERS[bandwidthMatch[2]]) };
+  }
+
+  throw new Error(`Invalid quality "${spec}". Use best, worst, 720p, <=1080p or a bandwidth cap such as <=3M`);
+}
+
+/**
+ * Check whether a variant's CODECS attribute contains the requested codec
+ * @param {Object} variant - Variant with a codecs string
+ * @param {string} codec - Codec name or prefix (e.g., "h264", "hevc", "avc1")
+ * @returns {boolean}
+ */
+function matchesCodec(variant, codec) {
+  if (!variant.codecs) return false;
+  const wanted = codec.toLowerCase();
+  const prefixes = CODEC_ALIASES[wanted] || [wanted];
+  return variant.codecs.toLowerCase().split(',').some(c => prefixes.some(p => c.trim().startsWith(p)));
+}
+
+/**
+ * Describe a variant for logs and error messages
+ * @param {Object} variant - Variant from parseAllVariants
+ * @returns {string} e.g. "1920x1080 30fps, 5000 kbps (avc1.640028,mp4a.40.2)"
+ */
+export function describeVariant(variant) {
+  const parts = [];
+  if (variant.resolution) {
+    parts.push(`${variant.resolution.width}x${variant.resolution.height}${variant.frameRate ? ` ${Math.round(variant.frameRate)}fps` : ''}`);
+  }
+  parts.push(`${Math.round(variant.bandwidth / 1000)} kbps`);
+
+  return `${parts.join(', ')}${variant.codecs ? ` (${variant.codecs})` : ''}`;
+}
+
+/**
+ * Select the variants matching a quality spec, in order of preference.
+ * Throws an error listing the available variants when nothing matches.
+ * @param {Array<Object>} variants - Variants from parseAllVariants
+ * @param {string} quality - Quality spec (default: best)
+ * @param {string} [codec] - Only keep variants using this codec
+ * @returns {Array<Object>} Matching variants, most preferred first
+ */
+export function selectVariants(variants, quality = 'best', codec) {
+  const selector = parseQualitySpec(quality);
+  const height = v => v.resolution?.height || 0;
+  const byBandwidthDesc = (a, b) => b.bandwidth - a.bandwidth;
+
+  let candidates = codec ? variants.filter(v => matchesCodec(v, codec)) : [...variants];
+
+  switch (selector.mode) {
+    case 'worst':
+      candidates.sort((a, b) => a.bandwidth - b.bandwidth);
+      break;
+
+    case 'height':
+      candidates = candidates.filter(v => height(v) === selector.value).sort(byBandwidthDesc);
+      break;
+
+    case 'maxHeight':
+      candidates = candidates
+        .filter(v => v.resolution && height(v) <= selector.value)
+        .sort((a, b) => height(b) - height(a) || byBandwidthDesc(a, b));
+      break;
+
+    case 'maxBandwidth':
+      candidates = candidates.filter(v => v.bandwidth <= selector.value).sort(byBandwidthDesc);
+      break;
+
+    default:
+      candidates.sort(byBandwidthDesc);
+  }
+
+  if (candidates.length === 0) {
+    const wanted = codec ? `quality "${quality}" with codec "${codec}"` : `quality "${quality}"`;
+    const available = variants.map(describeVariant).join('; ') || 'none';
+    const error = new Error(`No variant matches ${wanted}. Available: ${available}`);
+    error.code = VARIANT_MISMATCH;
+    throw error;
+  }
+
+  return candidates;
+}
+
+/**
+ * Check whether an error means no variant matched the requested quality or
+ * codec, looking through wrapped errors
+ * @param {Error} error - The error to check
+ * @returns {boolean}
+ */
+export function isVariantMismatchError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.code === VARIANT_MISMATCH) {
+      return true;
+    }
+  }
+  return false;
+}
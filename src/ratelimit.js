@@ -0,0 +1,104 @@
+import { Transform } from 'stream';
+
+const RATE_MULTIPLIERS = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+/**
+ * Parse a rate limit like curl's --limit-rate: bytes per second with an
+ * optional K/M/G suffix (powers of 1024)
+ * @param {string} spec - Rate spec (e.g., "2M", "500k", "1.5M", "100000")
+ * @returns {number} Bytes per second
+ */
+export function parseRate(spec) {
+  const match = String(spec ?? '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)(?:i?b(?:\/s)?)?$/);
+  const rate = match ? Math.floor(parseFloat(match[1]) * RATE_MULTIPLIERS[match[2]]) : 0;
+
+  if (!rate) {
+    throw new Error(`Invalid rate "${spec}". Use bytes per second with an optional K, M or G suffix, e.g. 2M`);
+  }
+  return rate;
+}
+
+/**
+ * Parse a daily time window ("01:00-07:00"). Windows that end before they
+ * start run past midnight ("22:00-06:00").
+ * @param {string} spec - Time window spec
+ * @returns {{start: number, end: number}} Start and end in minutes after midnight (local time)
+ */
+export function parseTimeWindow(spec) {
+  const match = String(spec ?? '').trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  const times = match ? [[match[1], match[2]], [match[3], match[4]]].map(([h, m]) => parseInt(h, 10) * 60 + parseInt(m, 10)) : [];
+
+  // 24:00 is allowed as the end of the day
+  if (!match || parseInt(match[2], 10) > 59 || parseInt(match[4], 10) > 59 || times.some(t => t > 24 * 60)) {
+    throw new Error(`Invalid time window "${spec}". Use HH:MM-HH:MM, e.g. 01:00-07:00`);
+  }
+
+  return { start: times[0], end: times[1] };
+}
+
+/**
+ * Check whether a time falls inside a daily window
+ * @param {{start: number, end: number}} window - Window from parseTimeWindow
+ * @param {Date} date - The time to check (default: now)
+ * @returns {boolean}
+ */
+export function isInTimeWindow(window, date = new Date()) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  if (window.start <= window.end) {
+    return minutes >= window.start && minutes < window.end;
+  }
+  return minutes >= window.start || minutes < window.end;
+}
+
+/**
+ * Create a token-bucket rate limiter shared by every concurrent download.
+ * Tokens are bytes; the bucket holds one second's worth, and takers that
+ * overdraw it wait until the debt is paid back, so concurrent downloads
+ * queue behind each other.
+ * @param {Object} options - Limiter options
+ * @param {number} options.rate - Bytes per second
+ * @param {{start: number, end: number}} [options.fullSpeedWindow] - Daily window without limiting
+ * @param {() => number} [options.now] - Clock in milliseconds (for tests)
+ * @param {() => Date} [options.date] - Wall clock for the time window (for tests)
+ * @returns {{take: (bytes: number) => Promise<void>, isLimiting: () => boolean}}
+ */
+export function createRateLimiter(options) {
+  const { rate, fullSpeedWindow = null, now = Date.now, date = () => new Date() } = options;
+  let tokens = rate;
+  let updatedAt = now();
+
+  const isLimiting = () => !fullSpeedWindow || !isInTimeWindow(fullSpeedWindow, date());
+
+  return {
+    isLimiting,
+
+    async take(bytes) {
+      const current = now();
+      tokens = Math.min(rate, tokens + ((current - updatedAt) / 1000) * rate);
+      updatedAt = current;
+
+      if (!isLimiting()) {
+        tokens = rate;
+        return;
+      }
+
+      tokens -= bytes;
+      if (tokens < 0) {
+        await new Promise(resolve => setTimeout(resolve, (-tokens / rate) * 1000));
+      }
+    }
+  };
+}
+
+/**
+ * Create a transform stream that passes data through at the limiter's pace
+ * @param {{take: (bytes: number) => Promise<void>}} limiter - Rate limiter
+ * @returns {Transform}
+ */
+export function createThrottleStream(limiter) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      limiter.take(chunk.length).then(() => callback(null, chunk), callback);
+    }
+  });
+}
@@ -0,0 +1,181 @@
+import { mkdir, stat } from 'fs/promises';
+import path from 'path';
+import { downloadWithSession, getSessionFromPage } from './session.js';
+import { sanitizeFilename } from './utils.js';
+
+// Links to these are downloaded into resources/; everything else is listed
+const FILE_EXTENSIONS = ['.pdf', '.zip', '.tgz', '.gz', '.tar', '.pptx', '.ppt', '.key', '.docx', '.epub'];
+const SLIDE_EXTENSIONS = ['.pptx', '.ppt', '.key'];
+const REPOSITORY_HOSTS = ['github.com', 'gitlab.com', 'bitbucket.org', 'codesandbox.io', 'stackblitz.com'];
+const SOCIAL_HOSTS = ['twitter.com', 'x.com', 'facebook.com', 'linkedin.com', 'reddit.com', 'youtube.com'];
+
+const SECTION_TITLES = {
+  slides: 'Slides',
+  repository: 'Repositories',
+  website: 'Websites & Notes',
+  file: 'Files'
+};
+
+/**
+ * Decode a percent-encoded URL path segment, keeping it as-is when it isn't
+ * valid percent-encoding (e.g. a stray "%")
+ * @param {string} value - Encoded value
+ * @returns {string}
+ */
+function decodePathSegment(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Classify a link from the course page as a course resource
+ * @param {{url: string, text: string, inResources: boolean}} link - Link with its text, and whether it sits in a resources section
+ * @returns {{title: string, url: string, type: 'slides'|'repository'|'website'|'file', download: boolean}|null} The resource, or null if the link isn't one
+ */
+export function classifyResource(link) {
+  let url;
+  try {
+    url = new URL(link.url);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+
+  const host = url.hostname.replace(/^www\./, '');
+  if (SOCIAL_HOSTS.includes(host)) return null;
+
+  const text = (link.text || '').trim();
+  const extension = path.posix.extname(url.pathname).toLowerCase();
+  const download = FILE_EXTENSIONS.includes(extension);
+  const pathParts = url.pathname.split('/').filter(Boolean);
+
+  let type = null;
+  if (download) {
+    type = SLIDE_EXTENSIONS.includes(extension) || /slide/i.test(text) ? 'slides' : 'file';
+  } else if (/slides|speakerdeck\.com|slideshare\.net|docs\.google\.com\/presentation/i.test(host + url.pathname) || /\bslides?\b/i.test(text)) {
+    type = 'slides';
+  } else if (REPOSITORY_HOSTS.includes(host) && pathParts.length >= 2) {
+    type = 'repository';
+  } else if (host === 'frontendmasters.com') {
+    // Other course pages, lessons and the site navigation
+    return null;
+  } else if (link.inResources || /\b(course (website|site|notes)|notes|website|workshop)\b/i.test(text)) {
+    type = 'website';
+  }
+
+  if (!type) return null;
+
+  return {
+    title: text || decodePathSegment(pathParts[pathParts.length - 1] || host),
+    url: url.href,
+    type,
+    download
+  };
+}
+
+/**
+ * Turn the links found on a course page into a list of resources, keeping
+ * the first occurrence of each URL
+ * @param {Array<{url: string, text: string, inResources: boolean}>} links - Links from the course page
+ * @returns {Array<{title: string, url: string, type: string, download: boolean}>}
+ */
+export function collectResources(links) {
+  const resources = new Map();
+  for (const link of links) {
+    const resource = classifyResource(link);
+    if (resource && !resources.has(resource.url)) {
+      resources.set(resource.url, resource);
+    }
+  }
+  return [...resources.values()];
+}
+
+/**
+ * Pick a file name for a downloaded resource from its URL, avoiding names
+ * already used by other resources
+ * @param {string} url - Resource URL
+ * @param {Set<string>} usedNames - Names taken so far (updated)
+ * @returns {string} The file name
+ */
+export function resourceFileName(url, usedNames) {
+  const baseName = sanitizeFilename(decodePathSegment(path.posix.basename(new URL(url).pathname))) || 'resource';
+  const { name, ext } = path.parse(baseName);
+
+  let fileName = baseName;
+  for (let n = 2; usedNames.has(fileName.toLowerCase()); n++) {
+    fileName = `${name}-${n}${ext}`;
+  }
+  usedNames.add(fileName.toLowerCase());
+  return fileName;
+}
+
+/**
+ * Format the course resources as Markdown, grouped by type. Downloaded
+ * files link to their copy in resources/.
+ * @param {string} courseTitle - Course title
+ * @param {Array<Object>} resources - Resources from collectResources
+ * @param {Array<{url: string, file: string}>} files - Files that were downloaded
+ * @returns {string}
+ */
+export function formatResourcesMarkdown(courseTitle, resources, files = []) {
+  const localFiles = new Map(files.map(file => [file.url, file.file]));
+  const lines = [`# ${courseTitle || 'Course'} - Resources`];
+
+  for (const [type, heading] of Object.entries(SECTION_TITLES)) {
+    const entries = resources.filter(resource => resource.type === type);
+    if (entries.length === 0) continue;
+
+    lines.push('', `## ${heading}`, '');
+    for (const resource of entries) {
+      const local = localFiles.get(resource.url);
+      const title = resource.title.replace(/[[\]]/g, '\\$&');
+      lines.push(`- [${title}](${resource.url})${local ? ` (saved as [${local}](resources/${encodeURI(local)}))` : ''}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Download the directly hosted resources (PDFs, zips, slide decks) with the
+ * browser session's cookies. Files already on disk are kept, and a failed
+ * download doesn't stop the others.
+ * @param {import('puppeteer').Page} page - Puppeteer page instance (for authentication context)
+ * @param {Array<Object>} resources - Resources from collectResources
+ * @param {string} resourcesDir - Directory to save them in
+ * @param {Object} options - Download options
+ * @param {Object} options.rateLimiter - Rate limiter shared with the segment downloads
+ * @returns {Promise<{files: Array<{title: string, url: string, file: string}>, failed: Array<{title: string, url: string, error: string}>}>}
+ */
+export async function downloadResources(page, resources, resourcesDir, options = {}) {
+  const { rateLimiter = null } = options;
+  const downloads = resources.filter(resource => resource.download);
+  const files = [];
+  const failed = [];
+  if (downloads.length === 0) {
+    return { files, failed };
+  }
+
+  await mkdir(resourcesDir, { recursive: true });
+  const session = await getSessionFromPage(page);
+  const usedNames = new Set();
+
+  for (const resource of downloads) {
+    try {
+      const file = resourceFileName(resource.url, usedNames);
+      const destination = path.join(resourcesDir, file);
+      const existing = await stat(destination).catch(() => null);
+      if (!existing || existing.size === 0) {
+        await downloadWithSession(session, resource.url, destination, { limiter: rateLimiter });
+      }
+      files.push({ title: resource.title, url: resource.url, file });
+    } catch (error) {
+      failed.push({ title: resource.title, url: resource.url, error: error.message });
+    }
+  }
+
+  return { files, failed };
+}
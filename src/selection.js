@@ -0,0 +1,87 @@
+/**
+ * Parse a lesson selection like "1-5,8,12-" into number ranges. A range
+ * without an end runs to the last lesson.
+ * @param {string} spec - Comma-separated lesson numbers and ranges
+ * @returns {Array<{start: number, end: number}>} Inclusive ranges (end is Infinity for open ranges)
+ */
+export function parseLessonRanges(spec) {
+  const parts = String(spec ?? '').split(',').map(part => part.trim());
+  const ranges = parts.map((part) => {
+    const match = part.match(/^(\d+)(?:\s*(-)\s*(\d*))?$/);
+    if (!match) return null;
+
+    const start = parseInt(match[1], 10);
+    const end = !match[2] ? start : match[3] ? parseInt(match[3], 10) : Infinity;
+    return start >= 1 && end >= start ? { start, end } : null;
+  });
+
+  if (ranges.length === 0 || ranges.includes(null)) {
+    throw new Error(`Invalid lesson selection "${spec}". Use lesson numbers and ranges, e.g. 1-5,8,12-`);
+  }
+  return ranges;
+}
+
+/**
+ * Compile a case-insensitive pattern for --match and --section
+ * @param {string} pattern - Regular expression source
+ * @param {string} option - Option name used in errors (e.g., --match)
+ * @returns {RegExp}
+ */
+export function parseTitlePattern(pattern, option = '--match') {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`Invalid ${option} pattern "${pattern}": ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Check whether any selection filter is set
+ * @param {{lessons?: string, match?: string, section?: string}} selection - Selection options
+ * @returns {boolean}
+ */
+export function hasSelection(selection = {}) {
+  return Boolean(selection.lessons || selection.match || selection.section);
+}
+
+/**
+ * Find the lessons to download again even if they were completed before:
+ * only lesson numbers listed on their own in --lessons (e.g. "7" or "3,7"),
+ * so a broken lesson can be re-fetched. Ranges, --match and --section skip
+ * completed lessons, so rerunning them resumes where they stopped.
+ * @param {{lessons?: string}} selection - Selection options
+ * @returns {Set<number>} Lesson numbers to re-download
+ */
+export function getRedownloadLessons(selection = {}) {
+  if (!selection.lessons) {
+    return new Set();
+  }
+
+  parseLessonRanges(selection.lessons);
+  return new Set(String(selection.lessons).split(',')
+    .map(part => part.trim())
+    .filter(part => /^\d+$/.test(part))
+    .map(part => parseInt(part, 10)));
+}
+
+/**
+ * Filter a lesson list by number ranges, a title pattern and a section
+ * pattern. All given filters must match.
+ * @param {Array<{number: number, title: string, section?: string|null}>} lessons - Lessons from extractLessonList
+ * @param {Object} selection - Selection options
+ * @param {string} selection.lessons - Lesson numbers and ranges, e.g. "1-5,8,12-"
+ * @param {string} selection.match - Pattern matched against lesson titles
+ * @param {string} selection.section - Pattern matched against section headings
+ * @returns {Array<Object>} The selected lessons, in course order
+ */
+export function selectLessons(lessons, selection = {}) {
+  const ranges = selection.lessons ? parseLessonRanges(selection.lessons) : null;
+  const titlePattern = selection.match ? parseTitlePattern(selection.match, '--match') : null;
+  const sectionPattern = selection.section ? parseTitlePattern(selection.section, '--section') : null;
+
+  return lessons.filter(lesson =>
+    (!ranges || ranges.some(range => lesson.number >= range.start && lesson.number <= range.end)) &&
+    (!titlePattern || titlePattern.test(lesson.title)) &&
+    (!sectionPattern || sectionPattern.test(lesson.section || ''))
+  );
+}
@@ -0,0 +1,207 @@
+import { createWriteStream } from 'fs';
+import { rename, rm, stat } from 'fs/promises';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createThrottleStream } from './ratelimit.js';
+
+/**
+ * Check whether a browser cookie should be sent with a request to a URL
+ * (domain, path, secure flag and expiry)
+ * @param {Object} cookie - Puppeteer cookie ({name, value, domain, path, secure, expires})
+ * @param {string} url - The request URL
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+function cookieMatchesUrl(cookie, url, now = Date.now()) {
+  const { protocol, hostname, pathname } = new URL(url);
+  const host = hostname.toLowerCase();
+  const domain = (cookie.domain || '').toLowerCase();
+  const bareDomain = domain.replace(/^\./, '');
+
+  // Host-only cookies match exactly; ".example.com" cookies also match subdomains
+  const domainMatches = host === bareDomain || (domain.startsWith('.') && host.endsWith(domain));
+  if (!domainMatches) return false;
+
+  const cookiePath = cookie.path || '/';
+  const pathMatches = pathname === cookiePath ||
+    pathname.startsWith(cookiePath.endsWith('/') ? cookiePath : `${cookiePath}/`);
+  if (!pathMatches) return false;
+
+  if (cookie.secure && protocol !== 'https:') return false;
+
+  // Session cookies have expires <= 0
+  if (cookie.expires > 0 && cookie.expires * 1000 <= now) return false;
+
+  return true;
+}
+
+/**
+ * Build a Cookie header value for a URL from browser cookies
+ * @param {Array<Object>} cookies - Puppeteer cookies
+ * @param {string} url - The request URL
+ * @returns {string} Cookie header value (empty when no cookie applies)
+ */
+export function buildCookieHeader(cookies, url) {
+  return (cookies || [])
+    .filter(cookie => cookieMatchesUrl(cookie, url))
+    .map(cookie => `${cookie.name}=${cookie.value}`)
+    .join('; ');
+}
+
+/**
+ * Capture the logged-in browser session (every cookie, including CloudFront
+ * cookies on other domains, plus the user agent) so segments can be fetched
+ * directly from Node.
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @returns {Promise<{cookies: Array<Object>, userAgent: string, referer: string, directRefused: boolean}>}
+ */
+export async function getSessionFromPage(page) {
+  const browser = typeof page.browser === 'function' ? page.browser() : null;
+  const cookies = browser && typeof browser.cookies === 'function'
+    ? await browser.cookies()
+    : await page.cookies();
+  const userAgent = await page.evaluate(() => navigator.userAgent);
+
+  let referer = '';
+  try {
+    referer = new URL(page.url()).origin + '/';
+  } catch {
+    // Page has no URL yet
+  }
+
+  return { cookies, userAgent, referer, directRefused: false };
+}
+
+/**
+ * Check whether an error is the server refusing a request (401/403), also
+ * looking through the errors it wraps (`cause`)
+ * @param {Error} error - The error
+ * @returns {boolean}
+ */
+export function isRefusedError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.status === 401 || current.status === 403) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Request a URL from Node with the session's cookies and user agent
+ * @param {Object} session - Session from getSessionFromPage()
+ * @param {string} url - The URL
+ * @param {Object} options - Request options
+ * @param {{length: number, offset: number}} options.byteRange - Only fetch this byte range
+ * @param {AbortSignal} options.signal - Aborts the request
+ * @returns {Promise<Response>} The successful response; non-2xx responses throw an error with a `status`
+ */
+async function sessionRequest(session, url, { byteRange, signal } = {}) {
+  const headers = { 'User-Agent': session.userAgent };
+
+  const cookieHeader = buildCookieHeader(session.cookies, url);
+  if (cookieHeader) headers.Cookie = cookieHeader;
+  if (session.referer) headers.Referer = session.referer;
+  if (byteRange) headers.Range = `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}`;
+
+  const response = await fetch(url, { headers, signal });
+  if (!response.ok) {
+    // Drain the body so the connection can be reused
+    await response.body?.cancel().catch(() => {});
+    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * Read the body length a response promises, when it can be checked
+ * @param {Response} response - Fetch response
+ * @returns {number|null} Content-Length, or null when absent or the body is compressed
+ */
+function expectedLength(response) {
+  const encoding = response.headers.get('content-encoding');
+  if (encoding && encoding !== 'identity') return null;
+
+  const length = parseInt(response.headers.get('content-length'), 10);
+  return Number.isFinite(length) ? length : null;
+}
+
+/**
+ * Throw when fewer (or more) bytes arrived than the Content-Length promised
+ * @param {number} received - Bytes received
+ * @param {number|null} expected - Content-Length
+ */
+export function checkContentLength(received, expected) {
+  if (expected !== null && expected !== undefined && received !== expected) {
+    throw new Error(`Incomplete download: received ${received} of ${expected} bytes`);
+  }
+}
+
+/**
+ * Fetch a URL from Node into memory (for small resources such as keys and playlists)
+ * @param {Object} session - Session from getSessionFromPage()
+ * @param {string} url - The URL
+ * @param {Object} options - Request options (see sessionRequest)
+ * @param {{take: (bytes: number) => Promise<void>}} options.limiter - Rate limiter to read the body through
+ * @returns {Promise<Buffer>}
+ */
+export async function fetchWithSession(session, url, options = {}) {
+  const { limiter, ...requestOptions } = options;
+  const response = await sessionRequest(session, url, requestOptions);
+
+  let data;
+  if (limiter) {
+    const chunks = [];
+    for await (const chunk of Readable.fromWeb(response.body)) {
+      await limiter.take(chunk.length);
+      chunks.push(chunk);
+    }
+    data = Buffer.concat(chunks);
+  } else {
+    data = Buffer.from(await response.arrayBuffer());
+  }
+  checkContentLength(data.length, expectedLength(response));
+  return data;
+}
+
+/**
+ * Stream a URL from Node straight to disk. Data goes to a `.part` file that is
+ * renamed into place once complete, so an interrupted download never leaves a
+ * truncated file under the final name.
+ * @param {Object} session - Session from getSessionFromPage()
+ * @param {string} url - The URL
+ * @param {string} destination - Destination file path
+ * @param {Object} options - Request options (see sessionRequest)
+ * @param {import('stream').Transform[]} options.transforms - Streams to pipe the body through (e.g., decryption)
+ * @param {{take: (bytes: number) => Promise<void>}} options.limiter - Rate limiter to read the body through
+ * @returns {Promise<number>} Bytes written
+ */
+export async function downloadWithSession(session, url, destination, options = {}) {
+  const { transforms = [], limiter, ...requestOptions } = options;
+  const response = await sessionRequest(session, url, requestOptions);
+  const partPath = `${destination}.part`;
+
+  // Count the bytes as received, before any decryption changes the size
+  let received = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    const throttle = limiter ? [createThrottleStream(limiter)] : [];
+    await pipeline(Readable.fromWeb(response.body), counter, ...throttle, ...transforms, createWriteStream(partPath), { signal: requestOptions.signal });
+    checkContentLength(received, expectedLength(response));
+    await rename(partPath, destination);
+  } catch (error) {
+    await rm(partPath, { force: true });
+    throw error;
+  }
+
+  return (await stat(destination)).size;
+}
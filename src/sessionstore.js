@@ -0,0 +1,105 @@
+import { chmod, mkdir, readFile, rm, writeFile } from 'fs/promises';
+import path from 'path';
+
+export const DEFAULT_SESSION_PATH = 'config/session.json';
+
+// Browser-session cookies have no expiry of their own, so a saved session
+// is dropped after this long even if the server would still accept it
+const MAX_SESSION_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a cookie has expired. Cookies without an expiry (-1) are
+ * browser-session cookies and never expire on their own.
+ * @param {{expires?: number}} cookie - Puppeteer cookie (expires in seconds since the epoch)
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+export function isCookieExpired(cookie, now = Date.now()) {
+  return typeof cookie.expires === 'number' && cookie.expires > 0 && cookie.expires * 1000 <= now;
+}
+
+/**
+ * Save the logged-in browser's cookies so later runs can skip the login.
+ * The file is readable only by the current user.
+ * @param {Array<Object>} cookies - Cookies from browser.cookies()
+ * @param {Object} options - Store options
+ * @param {string|null} options.email - Account the session belongs to (null after a manual login)
+ * @param {string} options.sessionPath - Session file (default: config/session.json)
+ * @param {string} options.savedAt - When the session was first saved, kept when a restored session is saved again so its age keeps counting (default: now)
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Promise<void>}
+ */
+export async function saveSession(cookies, options = {}) {
+  const { email = null, sessionPath = DEFAULT_SESSION_PATH, now = Date.now() } = options;
+  const savedAt = options.savedAt || new Date(now).toISOString();
+
+  await mkdir(path.dirname(sessionPath), { recursive: true });
+  await writeFile(sessionPath, JSON.stringify({
+    email,
+    savedAt,
+    cookies: cookies.filter(cookie => !isCookieExpired(cookie, now))
+  }, null, 2), { mode: 0o600 });
+  // writeFile's mode only applies when the file is created
+  await chmod(sessionPath, 0o600);
+}
+
+/**
+ * Load the saved session, if there is one that may still be valid: not too
+ * old, for the same account, and with unexpired cookies left. Whether the
+ * server still accepts it is only known once a page is loaded with it.
+ * @param {Object} options - Store options
+ * @param {string} options.email - Account about to be used; a session saved for another account, or for an unknown one, is ignored
+ * @param {string} options.sessionPath - Session file (default: config/session.json)
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Promise<{email: string|null, savedAt: string, cookies: Array<Object>}|null>}
+ */
+export async function loadSavedSession(options = {}) {
+  const { email = null, sessionPath = DEFAULT_SESSION_PATH, now = Date.now() } = options;
+
+  let session;
+  try {
+    session = JSON.parse(await readFile(sessionPath, 'utf-8'));
+  } catch {
+    // Missing or unreadable: log in again
+    return null;
+  }
+
+  if (!session || !Array.isArray(session.cookies)) {
+    return null;
+  }
+
+  const savedAt = Date.parse(session.savedAt);
+  if (!Number.isFinite(savedAt) || now - savedAt > MAX_SESSION_AGE) {
+    return null;
+  }
+
+  // A session from a manual (--visible) login has no email, so it could
+  // belong to any account
+  if (email && (!session.email || email.trim().toLowerCase() !== session.email.trim().toLowerCase())) {
+    return null;
+  }
+
+  const cookies = session.cookies.filter(cookie => !isCookieExpired(cookie, now));
+  if (cookies.length === 0) {
+    return null;
+  }
+
+  return { email: session.email || null, savedAt: session.savedAt, cookies };
+}
+
+/**
+ * Delete the saved session
+ * @param {string} sessionPath - Session file (default: config/session.json)
+ * @returns {Promise<boolean>} Whether there was a session to delete
+ */
+export async function clearSavedSession(sessionPath = DEFAULT_SESSION_PATH) {
+  try {
+    await rm(sessionPath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw new Error(`Failed to delete the saved session ${sessionPath}: ${error.message}`, { cause: error });
+  }
+}
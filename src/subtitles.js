@@ -0,0 +1,206 @@
+import { writeFile } from 'fs/promises';
+
+const TIMESTAMP_PATTERN = /(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})/;
+const PTS_CLOCK = 90000;
+// Thumbnail-storyboard cues point at a sprite image, e.g. "sprite.jpg#xywh=0,0,160,90"
+const IMAGE_CUE_PATTERN = /^\S+\.(?:jpe?g|png|webp|gif)(?:[?#]\S*)?$|#xywh=/i;
+
+/**
+ * Parse a WebVTT or SRT timestamp ("01:02:03.456", "02:03.456" or "01:02:03,456")
+ * @param {string} value - Timestamp text
+ * @returns {number|null} Seconds, or null if it isn't a timestamp
+ */
+function parseTimestamp(value) {
+  const match = value.match(TIMESTAMP_PATTERN);
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, millis] = match;
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10) + parseInt(millis, 10) / 1000;
+}
+
+/**
+ * Format seconds as a subtitle timestamp (HH:MM:SS.mmm)
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Separator before the milliseconds ("." for WebVTT, "," for SRT)
+ * @returns {string}
+ */
+function formatTimestamp(seconds, separator = '.') {
+  const totalMillis = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMillis / 3600000);
+  const minutes = Math.floor((totalMillis % 3600000) / 60000);
+  const secs = Math.floor((totalMillis % 60000) / 1000);
+  const millis = totalMillis % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(millis).padStart(3, '0')}`;
+}
+
+/**
+ * Check whether text is a WebVTT file
+ * @param {string} content - File content
+ * @returns {boolean}
+ */
+export function isWebVTT(content) {
+  return typeof content === 'string' && /^\uFEFF?WEBVTT(?:[ \t]|\r?\n|$)/.test(content);
+}
+
+/**
+ * Parse WebVTT content into cues. NOTE, STYLE and REGION blocks are
+ * dropped. HLS subtitle segments may carry an X-TIMESTAMP-MAP header that
+ * ties their cue times to the video's MPEG-TS timestamps.
+ * @param {string} content - WebVTT content
+ * @returns {{cues: Array<{start: number, end: number, text: string}>, timestampMap: {mpegts: number, local: number}|null}}
+ */
+export function parseWebVTT(content) {
+  if (!isWebVTT(content)) {
+    throw new Error('Not a WebVTT file (missing WEBVTT header)');
+  }
+
+  const blocks = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const header = blocks.shift();
+
+  let timestampMap = null;
+  const mapLine = header.split('\n').find(line => line.startsWith('X-TIMESTAMP-MAP='));
+  if (mapLine) {
+    const mpegts = mapLine.match(/MPEGTS:(\d+)/);
+    const local = mapLine.match(/LOCAL:([\d:.]+)/);
+    timestampMap = {
+      mpegts: mpegts ? parseInt(mpegts[1], 10) : 0,
+      local: local ? parseTimestamp(local[1]) ?? 0 : 0
+    };
+  }
+
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    if (/^(NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+    // An optional cue identifier comes before the timing line
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || timingIndex > 1) continue;
+
+    const [startText, endText] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText);
+    const text = lines.slice(timingIndex + 1).join('\n').trim();
+    if (start === null || end === null || !text) continue;
+
+    cues.push({ start, end, text });
+  }
+
+  return { cues, timestampMap };
+}
+
+/**
+ * Check whether a WebVTT file is a thumbnail storyboard (every cue is an
+ * image reference) rather than captions. Players load these for the
+ * seek-bar previews.
+ * @param {string} content - WebVTT content
+ * @returns {boolean}
+ */
+export function isThumbnailTrack(content) {
+  if (!isWebVTT(content)) return false;
+
+  const { cues } = parseWebVTT(content);
+  return cues.length > 0 && cues.every(cue => IMAGE_CUE_PATTERN.test(cue.text));
+}
+
+/**
+ * Format cues as a WebVTT file
+ * @param {Array<{start: number, end: number, text: string}>} cues - Cues in order
+ * @returns {string}
+ */
+export function formatWebVTT(cues) {
+  const body = cues.map(cue => `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}`);
+  return ['WEBVTT', ...body].join('\n\n') + '\n';
+}
+
+/**
+ * Put WebVTT segments captured out of order back in playback order, by the
+ * time of their first cue (after applying the X-TIMESTAMP-MAP). Segments
+ * without cues go last so they don't set the timing base in joinWebVTT().
+ * @param {string[]} contents - WebVTT contents in any order
+ * @returns {string[]} The contents in playback order
+ */
+export function orderWebVTTSegments(contents) {
+  const startTime = (content) => {
+    const { cues, timestampMap } = parseWebVTT(content);
+    if (cues.length === 0) return Infinity;
+    const offset = timestampMap ? timestampMap.mpegts / PTS_CLOCK - timestampMap.local : 0;
+    return offset + Math.min(...cues.map(cue => cue.start));
+  };
+
+  return contents
+    .map((content, index) => ({ content, index, start: startTime(content) }))
+    .sort((a, b) => a.start - b.start || a.index - b.index)
+    .map(entry => entry.content);
+}
+
+/**
+ * Join WebVTT files, such as the segments of an HLS subtitle playlist, into
+ * one. Segments are aligned using their X-TIMESTAMP-MAP relative to the
+ * first segment, and cues repeated across segment boundaries are kept once.
+ * @param {string[]} contents - WebVTT contents in playlist order
+ * @returns {{vtt: string, cueCount: number}} The joined WebVTT file
+ */
+export function joinWebVTT(contents) {
+  const cues = [];
+  const seen = new Set();
+  let baseOffset = null;
+
+  for (const content of contents) {
+    const parsed = parseWebVTT(content);
+    const offset = parsed.timestampMap ? parsed.timestampMap.mpegts / PTS_CLOCK - parsed.timestampMap.local : 0;
+    if (baseOffset === null) {
+      baseOffset = offset;
+    }
+
+    const shift = offset - baseOffset;
+    for (const cue of parsed.cues) {
+      const shifted = { start: cue.start + shift, end: cue.end + shift, text: cue.text };
+      const key = `${shifted.start.toFixed(3)}|${shifted.end.toFixed(3)}|${shifted.text}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        cues.push(shifted);
+      }
+    }
+  }
+
+  cues.sort((a, b) => a.start - b.start || a.end - b.end);
+  return { vtt: formatWebVTT(cues), cueCount: cues.length };
+}
+
+/**
+ * Convert WebVTT to SRT. Cue settings and WebVTT-only markup (voices,
+ * classes, timestamps) are dropped; <b>, <i> and <u> are kept.
+ * @param {string} vtt - WebVTT content
+ * @returns {string} SRT content
+ */
+export function vttToSrt(vtt) {
+  const { cues } = parseWebVTT(vtt);
+
+  return cues.map((cue, index) => {
+    const text = cue.text
+      .replace(/<(?!\/?[biu]>)[^>]*>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&');
+    return `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${text}\n`;
+  }).join('\n');
+}
+
+/**
+ * Save captions as a .vtt file and its .srt conversion next to a lesson's MP4
+ * @param {string} outputFile - The lesson's MP4 path
+ * @param {string} vtt - WebVTT content
+ * @returns {Promise<{vttPath: string, srtPath: string}>} The written files
+ */
+export async function saveSubtitleFiles(outputFile, vtt) {
+  const basePath = outputFile.replace(/\.mp4$/i, '');
+  const vttPath = `${basePath}.vtt`;
+  const srtPath = `${basePath}.srt`;
+
+  await writeFile(vttPath, vtt);
+  await writeFile(srtPath, vttToSrt(vtt));
+  return { vttPath, srtPath };
+}
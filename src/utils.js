@@ -56,6 +56,47 @@ export async function ensureDir(dirPath) {
   }
 }
 
+/**
+ * Build a lesson's MP4 path: "NN-title.mp4" in the output directory, or
+ * inside an "NN-section" folder when section folders are enabled and the
+ * lesson has a section
+ * @param {string} outputDir - Course output directory
+ * @param {{number: number, title: string, section?: string|null, sectionNumber?: number|null}} lesson - The lesson
+ * @param {Object} options - Naming options
+ * @param {boolean} options.sectionFolders - Group lessons into one folder per section (default: false)
+ * @returns {string} The output file path
+ */
+export function getLessonPath(outputDir, lesson, options = {}) {
+  const { sectionFolders = false } = options;
+  const fileName = `${String(lesson.number).padStart(2, '0')}-${slugify(lesson.title)}.mp4`;
+
+  if (sectionFolders && lesson.section && lesson.sectionNumber) {
+    const folder = `${String(lesson.sectionNumber).padStart(2, '0')}-${slugify(lesson.section)}`;
+    return path.join(outputDir, folder, fileName);
+  }
+  return path.join(outputDir, fileName);
+}
+
+/**
+ * Build the MP4 tags for a lesson: its title and track number, with the
+ * course as the album and the instructor as the artist
+ * @param {{title: string, instructor?: string|null, description?: string|null, releaseDate?: string|null}} course - Course metadata from getCourseMetadata
+ * @param {{number: number, title: string, description?: string|null}} lesson - The lesson
+ * @param {number} lessonCount - Number of lessons in the course
+ * @returns {{title: string, track: string, album: string, artist: string|null, album_artist: string|null, description: string|null, date: string|null}}
+ */
+export function getLessonMetadata(course, lesson, lessonCount) {
+  return {
+    title: lesson.title,
+    track: lessonCount ? `${lesson.number}/${lessonCount}` : String(lesson.number),
+    album: course.title || null,
+    artist: course.instructor || null,
+    album_artist: course.instructor || null,
+    description: lesson.description || course.description || null,
+    date: course.releaseDate || null
+  };
+}
+
 /**
  * Format seconds to HH:MM:SS
  * @param {number} seconds - Duration in seconds
@@ -75,3 +116,61 @@ export function formatDuration(seconds) {
   }
   return `${minutes}:${String(secs).padStart(2, '0')}`;
 }
+
+/**
+ * Format a byte count with binary units (e.g., "1.5 GB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size string
+ */
+export function formatBytes(bytes) {
+  if (!Number.isFinite(bytes) || bytes < 0) {
+    return '0 B';
+  }
+
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Run an async worker over a list of items with a bounded number in flight.
+ * Items are claimed in list order. The first failure stops the remaining
+ * workers from claiming new items, aborts the signal handed to each worker,
+ * and is rethrown once every in-flight call has settled.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent workers
+ * @param {(item: any, index: number, signal: AbortSignal) => Promise<void>} worker - Worker function
+ * @returns {Promise<void>}
+ */
+export async function runWorkerPool(items, concurrency, worker) {
+  const workerCount = Math.max(1, Math.min(Math.floor(concurrency) || 1, items.length));
+  const controller = new AbortController();
+  let nextIndex = 0;
+  let failure = null;
+
+  const runWorker = async () => {
+    while (!controller.signal.aborted && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        await worker(items[index], index, controller.signal);
+      } catch (error) {
+        if (!failure) {
+          failure = error;
+          controller.abort();
+        }
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  if (failure) {
+    throw failure;
+  }
+}
@@ -0,0 +1,184 @@
+const TS_PACKET_SIZE = 188;
+const TS_SYNC_BYTE = 0x47;
+const PTS_CLOCK = 90000;
+const PTS_WRAP = 2 ** 33;
+
+/**
+ * Read the 33-bit PTS from a PES header
+ * @param {Buffer} data - Segment data
+ * @param {number} offset - Offset of the PTS field (5 bytes)
+ * @returns {number} PTS in 90 kHz ticks
+ */
+function readPTS(data, offset) {
+  return ((data[offset] >> 1) & 0x07) * 2 ** 30 +
+    (data[offset + 1] << 22) +
+    ((data[offset + 2] >> 1) << 15) +
+    (data[offset + 3] << 7) +
+    (data[offset + 4] >> 1);
+}
+
+/**
+ * Measure the duration of an MPEG-TS segment from the PTS range of its
+ * elementary streams (the longest one wins)
+ * @param {Buffer} data - Segment data made of whole 188-byte packets
+ * @returns {number|null} Duration in seconds, or null if fewer than two timestamps were found
+ */
+export function measureTsDuration(data) {
+  const ranges = new Map();
+
+  for (let offset = 0; offset + TS_PACKET_SIZE <= data.length; offset += TS_PACKET_SIZE) {
+    const payloadStart = (data[offset + 1] & 0x40) !== 0;
+    const adaptationControl = (data[offset + 3] >> 4) & 0x03;
+    if (!payloadStart || !(adaptationControl & 0x01)) continue;
+
+    const pid = ((data[offset + 1] & 0x1f) << 8) | data[offset + 2];
+    const pes = offset + 4 + (adaptationControl & 0x02 ? 1 + data[offset + 4] : 0);
+
+    // PES start code, then PTS_DTS_flags in the header
+    if (pes + 14 > offset + TS_PACKET_SIZE) continue;
+    if (data[pes] !== 0 || data[pes + 1] !== 0 || data[pes + 2] !== 1) continue;
+    if (!((data[pes + 7] >> 6) & 0x02)) continue;
+
+    const pts = readPTS(data, pes + 9);
+    const range = ranges.get(pid);
+    if (!range) {
+      ranges.set(pid, { first: pts, min: 0, max: 0, count: 1 });
+      continue;
+    }
+
+    // Timestamps relative to the first one, allowing for the 33-bit wrap and
+    // B-frames that run slightly backwards
+    let relative = (pts - range.first + PTS_WRAP) % PTS_WRAP;
+    if (relative > PTS_WRAP / 2) relative -= PTS_WRAP;
+    range.min = Math.min(range.min, relative);
+    range.max = Math.max(range.max, relative);
+    range.count++;
+  }
+
+  const spans = [...ranges.values()].filter(range => range.count > 1).map(range => range.max - range.min);
+  return spans.length > 0 ? Math.max(...spans) / PTS_CLOCK : null;
+}
+
+/**
+ * Describe data that is clearly not media (e.g., an HTML error page)
+ * @param {Buffer} data - Segment data
+ * @returns {string|null} Description, or null if it doesn't look like text
+ */
+function describeTextBody(data) {
+  const head = data.subarray(0, 64).toString('utf-8').trimStart();
+  if (/^<(!doctype|html|\?xml|error)/i.test(head)) {
+    return 'received an HTML/XML page instead of media';
+  }
+  if (/^[{[]/.test(head)) {
+    return 'received a JSON response instead of media';
+  }
+  return null;
+}
+
+/**
+ * Check an MPEG-TS segment: sync byte on every 188-byte packet, and a
+ * duration close to the playlist's EXTINF
+ * @param {Buffer} data - Segment data
+ * @param {number|null} expectedDuration - EXTINF duration in seconds
+ * @returns {{valid: boolean, reason: string|null, duration: number|null}}
+ */
+function verifyTs(data, expectedDuration) {
+  if (data[0] !== TS_SYNC_BYTE) {
+    return { valid: false, reason: describeTextBody(data) || 'missing MPEG-TS sync byte', duration: null };
+  }
+
+  if (data.length % TS_PACKET_SIZE !== 0) {
+    return { valid: false, reason: `size ${data.length} is not a multiple of ${TS_PACKET_SIZE}-byte packets (truncated?)`, duration: null };
+  }
+
+  for (let offset = 0; offset < data.length; offset += TS_PACKET_SIZE) {
+    if (data[offset] !== TS_SYNC_BYTE) {
+      return { valid: false, reason: `lost MPEG-TS sync at packet ${offset / TS_PACKET_SIZE}`, duration: null };
+    }
+  }
+
+  const duration = measureTsDuration(data);
+  if (duration !== null && expectedDuration > 0) {
+    // The PTS range stops one frame short of the EXTINF duration
+    const tolerance = Math.max(1, expectedDuration * 0.25);
+    if (Math.abs(duration - expectedDuration) > tolerance) {
+      return {
+        valid: false,
+        reason: `duration ${duration.toFixed(2)}s doesn't match EXTINF ${expectedDuration.toFixed(2)}s`,
+        duration
+      };
+    }
+  }
+
+  return { valid: true, reason: null, duration };
+}
+
+/**
+ * Check an fMP4 segment: a chain of ISO BMFF boxes that exactly covers the
+ * data, with the boxes an init segment (ftyp/moov) or media fragment
+ * (moof/mdat) needs
+ * @param {Buffer} data - Segment data
+ * @param {boolean} init - Whether this is the init segment (#EXT-X-MAP)
+ * @returns {{valid: boolean, reason: string|null, duration: null}}
+ */
+function verifyFmp4(data, init) {
+  const textBody = describeTextBody(data);
+  if (textBody) {
+    return { valid: false, reason: textBody, duration: null };
+  }
+
+  const boxes = new Set();
+  let offset = 0;
+
+  while (offset < data.length) {
+    if (offset + 8 > data.length) {
+      return { valid: false, reason: `truncated box header at byte ${offset}`, duration: null };
+    }
+
+    let size = data.readUInt32BE(offset);
+    const type = data.toString('latin1', offset + 4, offset + 8);
+    if (size === 1 && offset + 16 <= data.length) {
+      size = Number(data.readBigUInt64BE(offset + 8));
+    } else if (size === 0) {
+      size = data.length - offset;
+    }
+
+    if (size < 8 || !/^[\x20-\x7e]{4}$/.test(type)) {
+      return { valid: false, reason: `invalid MP4 box at byte ${offset}`, duration: null };
+    }
+    if (offset + size > data.length) {
+      return { valid: false, reason: `"${type}" box runs past the end of the data (truncated?)`, duration: null };
+    }
+
+    boxes.add(type);
+    offset += size;
+  }
+
+  const required = init ? ['moov'] : ['moof', 'mdat'];
+  const missing = required.filter(type => !boxes.has(type));
+  if (missing.length > 0) {
+    return { valid: false, reason: `missing ${missing.join('/')} box`, duration: null };
+  }
+
+  return { valid: true, reason: null, duration: null };
+}
+
+/**
+ * Verify that downloaded (and decrypted) data is an intact media segment
+ * rather than a truncated body or an error page saved under a segment name
+ * @param {Buffer} data - Segment data
+ * @param {Object} options - Verification options
+ * @param {'ts'|'fmp4'} options.format - Segment container format (default: ts)
+ * @param {number|null} options.duration - EXTINF duration in seconds, if known
+ * @param {boolean} options.init - Whether this is an fMP4 init segment
+ * @returns {{valid: boolean, reason: string|null, duration: number|null}} Result with the measured duration (TS only)
+ */
+export function verifySegment(data, options = {}) {
+  const { format = 'ts', duration = null, init = false } = options;
+
+  if (!data || data.length === 0) {
+    return { valid: false, reason: 'empty response', duration: null };
+  }
+
+  return format === 'fmp4' || init ? verifyFmp4(data, init) : verifyTs(data, duration);
+}
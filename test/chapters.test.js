@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildChapters, formatFFMetadata } from '../src/chapters.js';
+
+const entries = [
+  { title: 'Introduction', section: null, duration: 61.5 },
+  { title: 'useState', section: 'Local State', duration: 300 },
+  { title: 'useReducer', section: 'Local State', duration: 240.25 },
+  { title: 'Context', section: 'Global State', duration: 120 }
+];
+
+describe('chapters.js', () => {
+  describe('buildChapters', () => {
+    it('starts each lesson where the previous one ended', () => {
+      const lessons = buildChapters(entries, { sectionChapters: false });
+      assert.deepStrictEqual(lessons.map(c => [c.start, c.end]), [
+        [0, 61500],
+        [61500, 361500],
+        [361500, 601750],
+        [601750, 721750]
+      ]);
+    });
+
+    it('adds a chapter spanning each section, ahead of its first lesson', () => {
+      const chapters = buildChapters(entries);
+      assert.deepStrictEqual(chapters.map(c => c.title), [
+        'Introduction',
+        'Local State',
+        'useState',
+        'useReducer',
+        'Global State',
+        'Context'
+      ]);
+      assert.deepStrictEqual(chapters[1], { title: 'Local State', start: 61500, end: 601750 });
+    });
+
+    it('folds sections into lesson titles without section chapters', () => {
+      const chapters = buildChapters(entries, { sectionChapters: false });
+      assert.deepStrictEqual(chapters.map(c => c.title), [
+        'Introduction',
+        'Local State: useState',
+        'Local State: useReducer',
+        'Global State: Context'
+      ]);
+    });
+
+    it('splits a section that appears twice', () => {
+      const chapters = buildChapters([
+        { title: 'A', section: 'Intro', duration: 10 },
+        { title: 'B', section: 'Other', duration: 10 },
+        { title: 'C', section: 'Intro', duration: 10 }
+      ]);
+      assert.deepStrictEqual(chapters.filter(c => c.title === 'Intro').map(c => c.start), [0, 20000]);
+    });
+  });
+
+  describe('formatFFMetadata', () => {
+    it('writes global tags and chapters, escaping special characters', () => {
+      const output = formatFFMetadata(
+        { title: 'Course; Part=1', artist: 'Jane Doe', date: null },
+        [{ title: 'Intro #1', start: 0, end: 61500 }]
+      );
+
+      assert.strictEqual(output, [
+        ';FFMETADATA1',
+        'title=Course\\; Part\\=1',
+        'artist=Jane Doe',
+        '',
+        '[CHAPTER]',
+        'TIMEBASE=1/1000',
+        'START=0',
+        'END=61500',
+        'title=Intro \\#1',
+        ''
+      ].join('\n'));
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, rm, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { formatNetscapeCookies, parseNetscapeCookies, readCookieFile, writeCookieFile } from '../src/cookiefile.js';
+
+const TEST_DIR = path.join(os.tmpdir(), `fmdl-cookies-${Date.now()}`);
+
+const COOKIES_TXT = [
+  '# Netscape HTTP Cookie File',
+  '# https://curl.se/docs/http-cookies.html',
+  '',
+  '.frontendmasters.com\tTRUE\t/\tTRUE\t1893456000\tfm_session\tabc=123',
+  '#HttpOnly_frontendmasters.com\tFALSE\t/api\tFALSE\t0\tcsrf\txyz',
+  ''
+].join('\n');
+
+describe('cookiefile.js', () => {
+  after(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  describe('parseNetscapeCookies', () => {
+    it('reads cookies, skipping comments and blank lines', () => {
+      assert.deepStrictEqual(parseNetscapeCookies(COOKIES_TXT), [
+        { name: 'fm_session', value: 'abc=123', domain: '.frontendmasters.com', path: '/', expires: 1893456000, httpOnly: false, secure: true },
+        { name: 'csrf', value: 'xyz', domain: 'frontendmasters.com', path: '/api', expires: -1, httpOnly: true, secure: false }
+      ]);
+    });
+
+    it('handles Windows line endings, a BOM and empty values', () => {
+      const cookies = parseNetscapeCookies('\uFEFFfrontendmasters.com\tTRUE\t/\tFALSE\t0\tempty\t\r\n');
+      assert.deepStrictEqual(cookies.map(c => [c.domain, c.name, c.value]), [['.frontendmasters.com', 'empty', '']]);
+    });
+
+    it('rejects malformed lines with their line number', () => {
+      assert.throws(
+        () => parseNetscapeCookies('# Netscape HTTP Cookie File\nfrontendmasters.com fm_session abc'),
+        /Invalid cookies\.txt line 2: expected 7 tab-separated fields, found 1/
+      );
+      assert.throws(
+        () => parseNetscapeCookies('frontendmasters.com\tTRUE\t/\tFALSE\tsoon\tname\tvalue'),
+        /Invalid cookies\.txt line 1: missing domain, name or expiry/
+      );
+    });
+  });
+
+  describe('formatNetscapeCookies', () => {
+    it('round-trips through parseNetscapeCookies', () => {
+      const cookies = parseNetscapeCookies(COOKIES_TXT);
+      const output = formatNetscapeCookies(cookies);
+
+      assert.ok(output.startsWith('# Netscape HTTP Cookie File\n'));
+      assert.match(output, /^#HttpOnly_frontendmasters\.com\tFALSE\t\/api\tFALSE\t0\tcsrf\txyz$/m);
+      assert.deepStrictEqual(parseNetscapeCookies(output), cookies);
+    });
+
+    it('writes fractional expiry times as whole seconds', () => {
+      const output = formatNetscapeCookies([{ name: 'a', value: 'b', domain: 'x.com', path: '/', expires: 1893456000.75, secure: false }]);
+      assert.match(output, /\t1893456000\ta\tb\n$/);
+    });
+  });
+
+  describe('readCookieFile / writeCookieFile', () => {
+    it('writes a private file that reads back the same cookies', async () => {
+      const filePath = path.join(TEST_DIR, 'cookies.txt');
+      const cookies = parseNetscapeCookies(COOKIES_TXT);
+      await mkdir(TEST_DIR, { recursive: true });
+
+      await writeCookieFile(filePath, cookies);
+      assert.deepStrictEqual(await readCookieFile(filePath), cookies);
+      if (process.platform !== 'win32') {
+        assert.strictEqual((await stat(filePath)).mode & 0o777, 0o600);
+      }
+    });
+
+    it('rejects missing files and files without cookies', async () => {
+      await assert.rejects(() => readCookieFile(path.join(TEST_DIR, 'missing.txt')), /Failed to read cookies from/);
+
+      const emptyPath = path.join(TEST_DIR, 'empty.txt');
+      await writeFile(emptyPath, '# Netscape HTTP Cookie File\n');
+      await assert.rejects(() => readCookieFile(emptyPath), /No cookies found in/);
+    });
+  });
+});
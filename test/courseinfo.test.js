@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildCourseInfo, formatEpisodeNfo, formatShowNfo } from '../src/courseinfo.js';
+
+const metadata = {
+  title: 'React & Next.js State',
+  slug: 'react-nextjs-state',
+  lessonCount: 2,
+  instructors: ['Jane Doe', 'John Roe'],
+  instructor: 'Jane Doe, John Roe',
+  description: 'Manage state <well>',
+  releaseDate: '2024-03-12',
+  level: 'Intermediate',
+  thumbnailUrl: 'https://static.frontendmasters.com/thumb.jpg'
+};
+
+const lessons = [
+  { number: 1, title: 'Introduction', duration: 95, url: 'https://frontendmasters.com/courses/react-nextjs-state/introduction/', description: 'What we will build', section: 'Intro', sectionNumber: 1 },
+  { number: 2, title: 'useState', duration: 20, url: 'https://frontendmasters.com/courses/react-nextjs-state/usestate/', section: null, sectionNumber: null }
+];
+
+describe('courseinfo.js', () => {
+  describe('buildCourseInfo', () => {
+    it('combines the course details with the full lesson list', () => {
+      const info = buildCourseInfo(metadata, lessons, 'https://frontendmasters.com/courses/react-nextjs-state/');
+
+      assert.strictEqual(info.url, 'https://frontendmasters.com/courses/react-nextjs-state/');
+      assert.deepStrictEqual(info.instructors, ['Jane Doe', 'John Roe']);
+      assert.strictEqual(info.level, 'Intermediate');
+      assert.strictEqual(info.lessonCount, 2);
+      assert.strictEqual(info.totalDuration, 115);
+      assert.deepStrictEqual(info.lessons[1], {
+        number: 2,
+        title: 'useState',
+        section: null,
+        sectionNumber: null,
+        duration: 20,
+        description: null,
+        url: 'https://frontendmasters.com/courses/react-nextjs-state/usestate/'
+      });
+    });
+
+    it('fills in missing details', () => {
+      const info = buildCourseInfo({ title: 'Course', slug: 'course' }, [], 'https://example.com');
+      assert.deepStrictEqual(info.instructors, []);
+      assert.strictEqual(info.releaseDate, null);
+      assert.strictEqual(info.totalDuration, 0);
+    });
+  });
+
+  describe('formatShowNfo', () => {
+    it('writes the course as a show with escaped text', () => {
+      const nfo = formatShowNfo(buildCourseInfo(metadata, lessons, 'https://example.com'));
+
+      assert.ok(nfo.startsWith('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<tvshow>\n'));
+      assert.match(nfo, /<title>React &amp; Next\.js State<\/title>/);
+      assert.match(nfo, /<plot>Manage state &lt;well&gt;<\/plot>/);
+      assert.match(nfo, /<premiered>2024-03-12<\/premiered>\n {2}<year>2024<\/year>/);
+      assert.match(nfo, /<runtime>2<\/runtime>/);
+      assert.match(nfo, /<tag>Intermediate<\/tag>/);
+      assert.match(nfo, /<actor>\n {4}<name>John Roe<\/name>\n {4}<role>Instructor<\/role>\n {2}<\/actor>/);
+      assert.match(nfo, /<thumb aspect="poster">https:\/\/static\.frontendmasters\.com\/thumb\.jpg<\/thumb>/);
+      assert.match(nfo, /<uniqueid type="frontendmasters" default="true">react-nextjs-state<\/uniqueid>\n<\/tvshow>\n$/);
+    });
+
+    it('leaves out unknown details', () => {
+      const nfo = formatShowNfo(buildCourseInfo({ title: 'Course' }, [], 'https://example.com'));
+      assert.doesNotMatch(nfo, /<plot>|<premiered>|<runtime>|<actor>|<thumb/);
+    });
+  });
+
+  describe('formatEpisodeNfo', () => {
+    it('writes a lesson as an episode of season 1', () => {
+      const info = buildCourseInfo(metadata, lessons, 'https://example.com');
+      assert.strictEqual(formatEpisodeNfo(info, info.lessons[0]), [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<episodedetails>',
+        '  <title>Introduction</title>',
+        '  <showtitle>React &amp; Next.js State</showtitle>',
+        '  <season>1</season>',
+        '  <episode>1</episode>',
+        '  <plot>What we will build</plot>',
+        '  <aired>2024-03-12</aired>',
+        '  <runtime>2</runtime>',
+        '  <studio>Frontend Masters</studio>',
+        '  <credits>Jane Doe</credits>',
+        '  <credits>John Roe</credits>',
+        '</episodedetails>',
+        ''
+      ].join('\n'));
+    });
+  });
+});
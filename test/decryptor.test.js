@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createCipheriv, randomBytes } from 'crypto';
+import { sequenceIV, parseIV, decryptSegment, createDecryptStream, createKeyCache } from '../src/decryptor.js';
+
+function encrypt(data, key, iv) {
+  const cipher = createCipheriv('aes-128-cbc', key, iv);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+describe('decryptor.js', () => {
+  describe('sequenceIV', () => {
+    it('encodes the media sequence as a 128-bit big-endian integer', () => {
+      assert.strictEqual(sequenceIV(0).toString('hex'), '0'.repeat(32));
+      assert.strictEqual(sequenceIV(1).toString('hex'), '0'.repeat(31) + '1');
+      assert.strictEqual(sequenceIV(258).toString('hex'), '0'.repeat(28) + '0102');
+    });
+  });
+
+  describe('parseIV', () => {
+    it('parses hexadecimal IVs with or without 0x prefix', () => {
+      assert.strictEqual(parseIV('0x000102030405060708090a0b0c0d0e0f').toString('hex'), '000102030405060708090a0b0c0d0e0f');
+      assert.strictEqual(parseIV('0X1').toString('hex'), '0'.repeat(31) + '1');
+    });
+
+    it('rejects invalid IVs', () => {
+      assert.throws(() => parseIV('0xnothex'), /Invalid IV/);
+      assert.throws(() => parseIV('0x' + 'f'.repeat(33)), /Invalid IV/);
+    });
+  });
+
+  describe('decryptSegment', () => {
+    it('decrypts AES-128-CBC data', () => {
+      const key = randomBytes(16);
+      const iv = sequenceIV(7);
+      const plain = Buffer.from('G'.repeat(188 * 3));
+
+      assert.deepStrictEqual(decryptSegment(encrypt(plain, key, iv), key, iv), plain);
+    });
+
+    it('rejects keys that are not 16 bytes', () => {
+      assert.throws(() => decryptSegment(Buffer.alloc(16), Buffer.alloc(8), sequenceIV(0)), /Invalid AES-128 key/);
+      assert.throws(() => decryptSegment(Buffer.alloc(16), null, sequenceIV(0)), /Invalid AES-128 key/);
+    });
+  });
+
+  describe('createDecryptStream', () => {
+    it('decrypts data written in chunks', () => {
+      const key = randomBytes(16);
+      const iv = sequenceIV(3);
+      const plain = Buffer.from('G'.repeat(188 * 3));
+      const encrypted = encrypt(plain, key, iv);
+      const stream = createDecryptStream(key, iv);
+
+      const output = Buffer.concat([stream.update(encrypted.subarray(0, 100)), stream.update(encrypted.subarray(100)), stream.final()]);
+      assert.deepStrictEqual(output, plain);
+    });
+
+    it('rejects keys that are not 16 bytes', () => {
+      assert.throws(() => createDecryptStream(Buffer.alloc(8), sequenceIV(0)), /Invalid AES-128 key/);
+    });
+  });
+
+  describe('createKeyCache', () => {
+    it('fetches each key URI once', async () => {
+      let calls = 0;
+      const cache = createKeyCache(async () => {
+        calls++;
+        return Buffer.alloc(16);
+      });
+
+      await Promise.all([cache.get('https://k/1'), cache.get('https://k/1'), cache.get('https://k/1')]);
+      await cache.get('https://k/2');
+      assert.strictEqual(calls, 2);
+    });
+
+    it('does not cache failed fetches', async () => {
+      let calls = 0;
+      const cache = createKeyCache(async () => {
+        calls++;
+        if (calls === 1) throw new Error('HTTP 503');
+        return Buffer.alloc(16);
+      });
+
+      await assert.rejects(cache.get('https://k/1'), /HTTP 503/);
+      await assert.doesNotReject(cache.get('https://k/1'));
+      assert.strictEqual(calls, 2);
+    });
+  });
+});
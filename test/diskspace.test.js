@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import os from 'os';
+import {
+  estimateSize,
+  estimateTempSize,
+  getFreeSpace,
+  isDiskFullError,
+  ensureFreeSpace
+} from '../src/diskspace.js';
+
+describe('diskspace.js', () => {
+  describe('estimateSize', () => {
+    it('converts bits per second over a duration to bytes', () => {
+      assert.strictEqual(estimateSize(8000000, 60), 60000000);
+      assert.strictEqual(estimateSize(1000, 0.5), 63);
+    });
+
+    it('returns null when the bitrate or duration is unknown', () => {
+      assert.strictEqual(estimateSize(0, 60), null);
+      assert.strictEqual(estimateSize(8000000, 0), null);
+      assert.strictEqual(estimateSize(undefined, 60), null);
+    });
+  });
+
+  describe('estimateTempSize', () => {
+    it('counts the joined intermediate file for fMP4', () => {
+      assert.strictEqual(estimateTempSize(1000, 'ts'), 1000);
+      assert.strictEqual(estimateTempSize(1000, 'fmp4'), 2000);
+    });
+  });
+
+  describe('getFreeSpace / ensureFreeSpace', () => {
+    it('reports the free space of a volume', async () => {
+      const free = await getFreeSpace(os.tmpdir());
+      assert.ok(Number.isFinite(free) && free >= 0);
+    });
+
+    it('passes when the space is available', async () => {
+      assert.ok(await ensureFreeSpace(os.tmpdir(), 0, 'lesson 1') >= 0);
+    });
+
+    it('throws a disk-full error when it is not', async () => {
+      await assert.rejects(
+        () => ensureFreeSpace(os.tmpdir(), Number.MAX_SAFE_INTEGER, 'lesson 3'),
+        (error) => error.code === 'ENOSPC' && /Not enough disk space in .*: lesson 3 needs about/.test(error.message)
+      );
+    });
+  });
+
+  describe('isDiskFullError', () => {
+    it('detects ENOSPC and ffmpeg output, including wrapped errors', () => {
+      assert.strictEqual(isDiskFullError(Object.assign(new Error('write failed'), { code: 'ENOSPC' })), true);
+      assert.strictEqual(isDiskFullError(new Error('ffmpeg exited with code 1: ... No space left on device')), true);
+      assert.strictEqual(isDiskFullError(new Error('Failed to download video segment 2/9', { cause: Object.assign(new Error('x'), { code: 'ENOSPC' }) })), true);
+      assert.strictEqual(isDiskFullError(new Error('HTTP 403: Forbidden')), false);
+    });
+  });
+});
@@ -1,6 +1,60 @@
-import { describe, it } from 'node:test';
+import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert';
-import { parseM3U8Playlist, downloadLesson } from '../src/downloader.js';
+import { createServer } from 'http';
+import { createCipheriv, randomBytes } from 'crypto';
+import { readFile, rm } from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { sequenceIV } from '../src/decryptor.js';
+import {
+  parseM3U8Playlist,
+  parseMediaSegments,
+  parseAttributeList,
+  isMediaPlaylist,
+  parseAllVariants,
+  parseAudioRenditions,
+  selectAudioRendition,
+  downloadLesson,
+  streamLesson,
+  estimateLesson,
+  downloadCaptions,
+  prepareLesson
+} from '../src/downloader.js';
+
+const TEST_DIR = path.join(os.tmpdir(), `fmdl-downloader-${Date.now()}`);
+
+/**
+ * Build an MPEG-TS segment of whole 188-byte packets filled with one byte
+ */
+function tsData(fill, packets = 2) {
+  const data = Buffer.alloc(188 * packets, fill);
+  for (let offset = 0; offset < data.length; offset += 188) {
+    data[offset] = 0x47;
+  }
+  return data;
+}
+
+/**
+ * Encrypt a segment the way an AES-128 HLS stream does
+ */
+function encrypt(data, key, sequence) {
+  const cipher = createCipheriv('aes-128-cbc', key, sequenceIV(sequence));
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+/**
+ * Build a media playlist listing the given segment files
+ */
+function mediaPlaylist(files, { key = null } = {}) {
+  return [
+    '#EXTM3U',
+    '#EXT-X-TARGETDURATION:4',
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    ...(key ? [`#EXT-X-KEY:METHOD=AES-128,URI="${key}"`] : []),
+    ...files.flatMap(file => ['#EXTINF:4.0,', file]),
+    '#EXT-X-ENDLIST'
+  ].join('\n');
+}
 
 describe('downloader.js', () => {
   describe('parseM3U8Playlist', () => {
@@ -93,6 +147,149 @@ https://example.com/not-a-segment.mp4
     });
   });
 
+  describe('parseAttributeList', () => {
+    it('should parse quoted and unquoted attributes', () => {
+      const attributes = parseAttributeList('METHOD=AES-128,URI="https://example.com/key?a=1,b=2",IV=0x01');
+
+      assert.deepStrictEqual(attributes, {
+        METHOD: 'AES-128',
+        URI: 'https://example.com/key?a=1,b=2',
+        IV: '0x01'
+      });
+    });
+  });
+
+  describe('parseMediaSegments', () => {
+    it('should attach keys and media sequence numbers to segments', () => {
+      const m3u8Content = `#EXTM3U
+#EXT-X-MEDIA-SEQUENCE:10
+#EXT-X-KEY:METHOD=AES-128,URI="key1.bin"
+#EXTINF:10.000,
+segment_0.ts
+#EXT-X-KEY:METHOD=AES-128,URI="https://keys.example.com/key2.bin",IV=0x0000000000000000000000000000000F
+#EXTINF:10.000,
+segment_1.ts
+#EXT-X-KEY:METHOD=NONE
+#EXTINF:10.000,
+segment_2.ts
+#EXT-X-ENDLIST`;
+
+      const segments = parseMediaSegments(m3u8Content, 'https://example.com/video/playlist.m3u8');
+
+      assert.strictEqual(segments.length, 3);
+      assert.deepStrictEqual(segments.map(s => s.sequence), [10, 11, 12]);
+      assert.strictEqual(segments[0].key.method, 'AES-128');
+      assert.strictEqual(segments[0].key.uri, 'https://example.com/video/key1.bin');
+      assert.strictEqual(segments[0].key.iv, null);
+      assert.strictEqual(segments[1].key.uri, 'https://keys.example.com/key2.bin');
+      assert.strictEqual(segments[1].key.iv.toString('hex'), '0'.repeat(31) + 'f');
+      assert.strictEqual(segments[2].key, null);
+    });
+
+    it('should parse fMP4 segments and their #EXT-X-MAP init segment', () => {
+      const m3u8Content = `#EXTM3U
+#EXT-X-VERSION:7
+#EXT-X-TARGETDURATION:6
+#EXT-X-MAP:URI="init.mp4"
+#EXTINF:6.000,
+seg_0.m4s
+#EXTINF:6.000,
+seg_1.m4s?token=abc
+#EXT-X-ENDLIST`;
+
+      const segments = parseMediaSegments(m3u8Content, 'https://example.com/video/playlist.m3u8');
+
+      assert.deepStrictEqual(segments.map(s => s.url), [
+        'https://example.com/video/seg_0.m4s',
+        'https://example.com/video/seg_1.m4s?token=abc'
+      ]);
+      assert.strictEqual(segments[0].map.uri, 'https://example.com/video/init.mp4');
+      assert.strictEqual(segments[1].map.uri, 'https://example.com/video/init.mp4');
+    });
+
+    it('should leave map empty for MPEG-TS playlists', () => {
+      const segments = parseMediaSegments('#EXTM3U\n#EXTINF:10.000,\nsegment_0.ts\n', 'https://example.com/v.m3u8');
+      assert.strictEqual(segments[0].map, null);
+    });
+
+    it('should throw error for invalid M3U8 content', () => {
+      assert.throws(() => parseMediaSegments(null, 'https://example.com'), /Invalid M3U8 content/);
+    });
+  });
+
+  describe('isMediaPlaylist', () => {
+    it('should detect media playlists from their tags', () => {
+      assert.strictEqual(isMediaPlaylist('#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXTINF:6,\nseg.m4s\n'), true);
+      assert.strictEqual(isMediaPlaylist('#EXTM3U\n#EXTINF:10,\nsegment.ts\n'), true);
+    });
+
+    it('should not treat master playlists as media playlists', () => {
+      const master = '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=5000000\nvideo_1080.m3u8\n# see segment.ts\n';
+      assert.strictEqual(isMediaPlaylist(master), false);
+      assert.strictEqual(isMediaPlaylist(''), false);
+      assert.strictEqual(isMediaPlaylist(null), false);
+    });
+  });
+
+  describe('audio renditions', () => {
+    const masterContent = `#EXTM3U
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="English",LANGUAGE="en-US",DEFAULT=YES,AUTOSELECT=YES,URI="audio/en.m3u8"
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="Español",LANGUAGE="es",AUTOSELECT=YES,URI="audio/es.m3u8"
+#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",LANGUAGE="en",URI="subs/en.m3u8"
+#EXT-X-STREAM-INF:AVERAGE-BANDWIDTH=900000,BANDWIDTH=1000000,AUDIO="aac"
+video_720.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=5000000,AUDIO="aac"
+video_1080.m3u8`;
+    const masterUrl = 'https://example.com/hls/index.m3u8';
+
+    it('should read RESOLUTION, CODECS and FRAME-RATE of each variant', () => {
+      const content = `#EXTM3U
+#EXT-X-STREAM-INF:BANDWIDTH=5000000,RESOLUTION=1920x1080,CODECS="avc1.640028,mp4a.40.2",FRAME-RATE=29.970
+video_1080.m3u8`;
+      const [variant] = parseAllVariants(content, masterUrl);
+
+      assert.deepStrictEqual(variant.resolution, { width: 1920, height: 1080 });
+      assert.strictEqual(variant.codecs, 'avc1.640028,mp4a.40.2');
+      assert.strictEqual(variant.frameRate, 29.97);
+    });
+
+    it('should read the AUDIO group and BANDWIDTH of each variant', () => {
+      const variants = parseAllVariants(masterContent, masterUrl);
+
+      assert.deepStrictEqual(variants.map(v => v.bandwidth), [5000000, 1000000]);
+      assert.ok(variants.every(v => v.audio === 'aac'));
+    });
+
+    it('should parse only TYPE=AUDIO media entries', () => {
+      const renditions = parseAudioRenditions(masterContent, masterUrl);
+
+      assert.strictEqual(renditions.length, 2);
+      assert.deepStrictEqual(renditions[0], {
+        groupId: 'aac',
+        name: 'English',
+        language: 'en-US',
+        default: true,
+        autoselect: true,
+        url: 'https://example.com/hls/audio/en.m3u8'
+      });
+    });
+
+    it('should prefer the requested language, matching on the primary subtag', () => {
+      const renditions = parseAudioRenditions(masterContent, masterUrl);
+
+      assert.strictEqual(selectAudioRendition(renditions, 'es').name, 'Español');
+      assert.strictEqual(selectAudioRendition(renditions, 'en').name, 'English');
+    });
+
+    it('should fall back to the DEFAULT rendition', () => {
+      const renditions = parseAudioRenditions(masterContent, masterUrl);
+
+      assert.strictEqual(selectAudioRendition(renditions, 'fr').name, 'English');
+      assert.strictEqual(selectAudioRendition(renditions).name, 'English');
+      assert.strictEqual(selectAudioRendition([]), null);
+    });
+  });
+
   describe('downloadLesson exports', () => {
     it('should export downloadLesson function', () => {
       assert.strictEqual(typeof downloadLesson, 'function');
@@ -205,4 +402,397 @@ https://example.com/not-a-segment.mp4
       );
     });
   });
+
+  describe('estimateLesson', () => {
+    const mockPage = { cookies: () => Promise.resolve([]) };
+    const masterUrl = 'https://cdn.example.com/index.m3u8';
+    const master = [
+      '#EXTM3U',
+      '#EXT-X-STREAM-INF:BANDWIDTH=4000000,RESOLUTION=1920x1080',
+      '1080p.m3u8',
+      '#EXT-X-STREAM-INF:BANDWIDTH=1000000,RESOLUTION=640x360',
+      '360p.m3u8'
+    ].join('\n');
+    const media = '#EXTM3U\n#EXT-X-TARGETDURATION:10\n#EXTINF:10.0,\n0.ts\n#EXTINF:10.0,\n1.ts\n#EXTINF:5.0,\n2.ts\n#EXT-X-ENDLIST';
+
+    it('estimates from the preferred variant bandwidth and the EXTINF total', async () => {
+      const lesson = {
+        number: 1,
+        duration: 60,
+        m3u8Url: masterUrl,
+        m3u8Responses: { [masterUrl]: master, 'https://cdn.example.com/1080p.m3u8': media }
+      };
+      const estimate = await estimateLesson(mockPage, lesson, { browserFetch: true });
+
+      assert.strictEqual(estimate.variant.bandwidth, 4000000);
+      assert.strictEqual(estimate.duration, 25);
+      assert.strictEqual(estimate.size, 12500000);
+      assert.strictEqual(estimate.tempSize, 12500000);
+    });
+
+    it('falls back to the scraped duration when the playlist has no durations', async () => {
+      const lesson = {
+        number: 1,
+        duration: 60,
+        m3u8Url: masterUrl,
+        m3u8Responses: { [masterUrl]: master, 'https://cdn.example.com/360p.m3u8': '<html>Not Found</html>' }
+      };
+      const estimate = await estimateLesson(mockPage, lesson, { browserFetch: true, quality: '360p' });
+
+      assert.strictEqual(estimate.duration, 60);
+      assert.strictEqual(estimate.size, 7500000);
+    });
+
+    it('reports a quality mismatch as it is', async () => {
+      const lesson = { number: 1, m3u8Url: masterUrl, m3u8Responses: { [masterUrl]: master } };
+      await assert.rejects(
+        () => estimateLesson(mockPage, lesson, { browserFetch: true, quality: '480p' }),
+        /^Error: No variant matches quality "480p"/
+      );
+    });
+
+    it('shares one prepared session and variant list between steps', async () => {
+      let sessionReads = 0;
+      const page = {
+        cookies: () => {
+          sessionReads++;
+          return Promise.resolve([]);
+        },
+        url: () => 'https://frontendmasters.com/',
+        evaluate: () => Promise.resolve('TestAgent/1.0')
+      };
+      const lesson = {
+        number: 1,
+        m3u8Url: masterUrl,
+        m3u8Responses: { [masterUrl]: master, 'https://cdn.example.com/1080p.m3u8': media }
+      };
+
+      const prepared = await prepareLesson(page, lesson);
+      const estimate = await estimateLesson(page, lesson, { prepared });
+      const captions = await downloadCaptions(page, lesson, { prepared });
+
+      assert.strictEqual(sessionReads, 1);
+      assert.strictEqual(estimate.variant, prepared.candidates[0]);
+      assert.strictEqual(captions, null);
+    });
+  });
+
+  describe('downloadCaptions', () => {
+    const mockPage = { cookies: () => Promise.resolve([]) };
+    const masterUrl = 'https://cdn.example.com/index.m3u8';
+    const master = [
+      '#EXTM3U',
+      '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="Deutsch",LANGUAGE="de",URI="subs/de.m3u8"',
+      '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",LANGUAGE="en",DEFAULT=YES,URI="subs/en.m3u8"',
+      '#EXT-X-STREAM-INF:BANDWIDTH=4000000,SUBTITLES="subs"',
+      'video.m3u8'
+    ].join('\n');
+    const cue = (start, text) => `WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000\n\n${start} --> 00:00:09.000\n${text}\n`;
+
+    const lesson = () => ({
+      number: 1,
+      m3u8Url: masterUrl,
+      m3u8Responses: {
+        [masterUrl]: master,
+        'https://cdn.example.com/subs/en.m3u8': '#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXTINF:6,\nen0.vtt\n#EXTINF:6,\nen1.vtt\n#EXT-X-ENDLIST',
+        'https://cdn.example.com/subs/de.m3u8': '#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXTINF:6,\nde0.vtt\n#EXT-X-ENDLIST'
+      },
+      captionResponses: {
+        'https://cdn.example.com/subs/en0.vtt': cue('00:00:01.000', 'Hello'),
+        'https://cdn.example.com/subs/en1.vtt': cue('00:00:07.000', 'again'),
+        'https://cdn.example.com/subs/de0.vtt': cue('00:00:01.000', 'Hallo')
+      },
+      captionTracks: []
+    });
+
+    it('joins the DEFAULT subtitle rendition from its captured segments', async () => {
+      const captions = await downloadCaptions(mockPage, lesson(), { browserFetch: true });
+
+      assert.strictEqual(captions.language, 'en');
+      assert.strictEqual(captions.cueCount, 2);
+      assert.match(captions.vtt, /^WEBVTT\n\n00:00:01\.000 --> 00:00:09\.000\nHello\n\n00:00:07\.000 --> 00:00:09\.000\nagain\n$/);
+    });
+
+    it('prefers the requested language', async () => {
+      const captions = await downloadCaptions(mockPage, lesson(), { browserFetch: true, subtitleLanguage: 'de' });
+      assert.strictEqual(captions.name, 'Deutsch');
+      assert.match(captions.vtt, /Hallo/);
+    });
+
+    it('uses side-loaded tracks and returns null without captions', async () => {
+      const sideLoaded = {
+        number: 1,
+        m3u8Url: 'https://cdn.example.com/video.m3u8',
+        m3u8Responses: { 'https://cdn.example.com/video.m3u8': '#EXTM3U\n#EXTINF:6,\n0.ts\n#EXT-X-ENDLIST' },
+        captionTracks: [{ url: 'https://cdn.example.com/captions.vtt', language: 'en', name: 'English', default: true }],
+        captionResponses: { 'https://cdn.example.com/captions.vtt': 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHi\n' }
+      };
+      assert.strictEqual((await downloadCaptions(mockPage, sideLoaded, { browserFetch: true })).cueCount, 1);
+
+      sideLoaded.captionTracks = [];
+      sideLoaded.captionResponses = {};
+      assert.strictEqual(await downloadCaptions(mockPage, sideLoaded, { browserFetch: true }), null);
+    });
+
+    it('joins captured caption segments that have no SUBTITLES rendition', async () => {
+      const captured = {
+        number: 1,
+        m3u8Url: 'https://cdn.example.com/video.m3u8',
+        m3u8Responses: { 'https://cdn.example.com/video.m3u8': '#EXTM3U\n#EXTINF:6,\n0.ts\n#EXT-X-ENDLIST' },
+        captionTracks: [],
+        // Arrived out of order
+        captionResponses: {
+          'https://cdn.example.com/subs/en1.vtt': cue('00:00:07.000', 'again'),
+          'https://cdn.example.com/subs/en0.vtt': cue('00:00:01.000', 'Hello')
+        }
+      };
+
+      const captions = await downloadCaptions(mockPage, captured, { browserFetch: true });
+      assert.strictEqual(captions.cueCount, 2);
+      assert.match(captions.vtt, /^WEBVTT\n\n00:00:01\.000 --> 00:00:09\.000\nHello\n\n00:00:07\.000 --> 00:00:09\.000\nagain\n$/);
+    });
+
+    it('follows a captured subtitle playlist that lists the captured segments', async () => {
+      const captured = {
+        number: 1,
+        m3u8Url: 'https://cdn.example.com/video.m3u8',
+        m3u8Responses: {
+          'https://cdn.example.com/video.m3u8': '#EXTM3U\n#EXTINF:6,\n0.ts\n#EXT-X-ENDLIST',
+          'https://cdn.example.com/subs/en.m3u8': '#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXTINF:6,\nen0.vtt\n#EXTINF:6,\nen1.vtt\n#EXT-X-ENDLIST'
+        },
+        captionTracks: [],
+        captionResponses: {
+          'https://cdn.example.com/subs/en0.vtt': cue('00:00:01.000', 'Hello'),
+          'https://cdn.example.com/subs/en1.vtt': cue('00:00:07.000', 'again')
+        }
+      };
+
+      assert.strictEqual((await downloadCaptions(mockPage, captured, { browserFetch: true })).cueCount, 2);
+    });
+
+    it('ignores thumbnail storyboard VTTs', async () => {
+      const storyboard = 'WEBVTT\n\n00:00:00.000 --> 00:00:05.000\nsprite.jpg#xywh=0,0,160,90\n';
+      const lessonWithStoryboard = {
+        number: 1,
+        m3u8Url: 'https://cdn.example.com/video.m3u8',
+        m3u8Responses: { 'https://cdn.example.com/video.m3u8': '#EXTM3U\n#EXTINF:6,\n0.ts\n#EXT-X-ENDLIST' },
+        captionTracks: [],
+        captionResponses: { 'https://cdn.example.com/thumbs.vtt': storyboard }
+      };
+      assert.strictEqual(await downloadCaptions(mockPage, lessonWithStoryboard, { browserFetch: true }), null);
+
+      lessonWithStoryboard.captionTracks = [{ url: 'https://cdn.example.com/thumbs.vtt', language: null, name: null, default: false }];
+      assert.strictEqual(await downloadCaptions(mockPage, lessonWithStoryboard, { browserFetch: true }), null);
+    });
+  });
+
+  describe('streamLesson validation', () => {
+    const mockPage = { cookies: () => Promise.resolve([]) };
+
+    it('should throw error when page lacks cookies method', async () => {
+      await assert.rejects(
+        () => streamLesson({}, { number: 1, m3u8Url: 'https://example.com' }, '/output/01.mp4'),
+        /Invalid Puppeteer page instance provided/
+      );
+    });
+
+    it('should throw error when lesson M3U8 URL is missing', async () => {
+      await assert.rejects(
+        () => streamLesson(mockPage, { number: 1 }, '/output/01.mp4'),
+        /Lesson M3U8 URL is required/
+      );
+    });
+
+    it('should throw error when output path is missing', async () => {
+      await assert.rejects(
+        () => streamLesson(mockPage, { number: 1, m3u8Url: 'https://example.com' }, ''),
+        /Output path is required/
+      );
+    });
+  });
+
+  describe('downloadLesson against a server', () => {
+    const USER_AGENT = 'TestAgent/1.0';
+    let server;
+    let baseUrl;
+    let handler;
+    let requests;
+
+    // Direct requests carry the session's user agent; anything run through
+    // page.evaluate() is fetched like the browser would, without it
+    const page = {
+      cookies: () => Promise.resolve([]),
+      url: () => 'https://frontendmasters.com/courses/test/',
+      evaluate: async (fn, ...args) => (args.length > 0 ? fn(...args) : USER_AGENT)
+    };
+    const isDirect = (req) => req.headers['user-agent'] === USER_AGENT;
+
+    before(async () => {
+      server = createServer((req, res) => {
+        requests.push(req.url);
+        handler(req, res);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+      await new Promise(resolve => server.close(resolve));
+      await rm(TEST_DIR, { recursive: true, force: true });
+    });
+
+    it('downloads, decrypts, verifies and resumes a lesson', async () => {
+      const key = randomBytes(16);
+      const plain = [0x10, 0x11, 0x12, 0x13].map(fill => tsData(fill));
+      const files = plain.map((_, index) => `${index}.ts`);
+      let truncatedSent = false;
+
+      handler = (req, res) => {
+        const name = path.posix.basename(req.url);
+        if (name === 'index.m3u8') {
+          res.end(mediaPlaylist(files, { key: 'key.bin' }));
+        } else if (name === 'key.bin') {
+          res.end(key);
+        } else if (name === '0.ts') {
+          // Finishes after segment 1, which must not change the file order
+          setTimeout(() => res.end(encrypt(plain[0], key, 0)), 200);
+        } else if (name === '2.ts' && !truncatedSent) {
+          // Complete as far as HTTP goes, but not whole TS packets
+          truncatedSent = true;
+          res.end(encrypt(plain[2].subarray(0, 300), key, 2));
+        } else if (name === '3.ts' && isDirect(req)) {
+          res.writeHead(403);
+          res.end();
+        } else {
+          const index = files.indexOf(name);
+          res.end(encrypt(plain[index], key, index));
+        }
+      };
+
+      const outputDir = path.join(TEST_DIR, 'e2e');
+      const lesson = { number: 1, title: 'Intro', m3u8Url: `${baseUrl}/lesson/index.m3u8` };
+      requests = [];
+      const result = await downloadLesson(page, lesson, outputDir, { concurrency: 2 });
+
+      assert.strictEqual(result.segmentCount, 4);
+      assert.strictEqual(result.skippedCount, 0);
+      for (const [index, data] of plain.entries()) {
+        assert.deepStrictEqual(await readFile(path.join(result.tempDir, `0000${index}.ts`)), data, `segment ${index}`);
+      }
+      // The truncated segment was fetched again
+      assert.strictEqual(requests.filter(url => url === '/lesson/2.ts').length, 2);
+      // The refused segment came through the browser instead
+      assert.strictEqual(requests.filter(url => url === '/lesson/3.ts').length, 2);
+
+      // A second run only fetches what is missing on disk
+      await rm(path.join(result.tempDir, '00001.ts'));
+      requests = [];
+      const resumed = await downloadLesson(page, lesson, outputDir, { concurrency: 2 });
+
+      assert.strictEqual(resumed.skippedCount, 3);
+      assert.deepStrictEqual(requests.filter(url => url.endsWith('.ts')), ['/lesson/1.ts']);
+      assert.deepStrictEqual(await readFile(path.join(resumed.tempDir, '00001.ts')), plain[1]);
+    });
+
+    it('refreshes expired playlist signatures and continues from the failed segment', async () => {
+      const plain = [0x30, 0x31, 0x32].map(fill => tsData(fill));
+      const files = plain.map((_, index) => `${index}.ts`);
+      // The first signature expires as soon as one segment has been served
+      let validSignature = '1';
+
+      handler = (req, res) => {
+        const url = new URL(req.url, baseUrl);
+        const signature = url.searchParams.get('sig');
+        const name = path.posix.basename(url.pathname);
+        if (name === 'index.m3u8') {
+          res.end(mediaPlaylist(files.map(file => `${file}?sig=${signature}`)));
+        } else if (signature !== validSignature) {
+          res.writeHead(403);
+          res.end();
+        } else {
+          validSignature = '2';
+          res.end(plain[files.indexOf(name)]);
+        }
+      };
+
+      // Revisiting the lesson page makes the player load a freshly signed playlist
+      const listeners = new Set();
+      let visits = 0;
+      const refreshingPage = {
+        ...page,
+        evaluate: async (fn, ...args) => (args.length > 0 ? fn(...args) : String(fn).includes('userAgent') ? USER_AGENT : []),
+        on: (event, listener) => listeners.add(listener),
+        off: (event, listener) => listeners.delete(listener),
+        waitForSelector: async () => {},
+        goto: async () => {
+          visits++;
+          const playlistUrl = `${baseUrl}/signed/index.m3u8?sig=2`;
+          const body = await (await fetch(playlistUrl)).text();
+          for (const listener of listeners) {
+            await listener({ url: () => playlistUrl, headers: () => ({}), text: async () => body });
+          }
+        }
+      };
+
+      const lesson = {
+        number: 3,
+        title: 'Signed',
+        url: 'https://frontendmasters.com/courses/test/signed/',
+        m3u8Url: `${baseUrl}/signed/index.m3u8?sig=1`
+      };
+      requests = [];
+      const result = await downloadLesson(refreshingPage, lesson, path.join(TEST_DIR, 'signed'));
+
+      assert.strictEqual(visits, 1);
+      assert.strictEqual(lesson.m3u8Url, `${baseUrl}/signed/index.m3u8?sig=2`);
+      // The segment completed before the refresh is kept
+      assert.deepStrictEqual(requests.filter(url => url.startsWith('/signed/0.ts')), ['/signed/0.ts?sig=1']);
+      assert.ok(requests.includes('/signed/1.ts?sig=2'));
+      assert.ok(requests.includes('/signed/2.ts?sig=2'));
+      for (const [index, data] of plain.entries()) {
+        assert.deepStrictEqual(await readFile(path.join(result.tempDir, `0000${index}.ts`)), data, `segment ${index}`);
+      }
+    });
+
+    it('fetches uncaptured variant playlists and falls back to the next variant', async () => {
+      const low = tsData(0x21);
+
+      handler = (req, res) => {
+        const name = path.posix.basename(req.url);
+        if (name === 'high.m3u8' || name === 'low.m3u8') {
+          res.end(mediaPlaylist([name.replace('.m3u8', '-0.ts')]));
+        } else if (name === 'high-0.ts') {
+          res.writeHead(500);
+          res.end();
+        } else {
+          res.end(low);
+        }
+      };
+
+      const masterUrl = `${baseUrl}/variants/index.m3u8`;
+      const lesson = {
+        number: 2,
+        title: 'Variants',
+        m3u8Url: masterUrl,
+        // Only the master playlist was captured
+        m3u8Responses: {
+          [masterUrl]: [
+            '#EXTM3U',
+            '#EXT-X-STREAM-INF:BANDWIDTH=4000000,RESOLUTION=1920x1080',
+            'high.m3u8',
+            '#EXT-X-STREAM-INF:BANDWIDTH=1000000,RESOLUTION=640x360',
+            'low.m3u8'
+          ].join('\n')
+        }
+      };
+      requests = [];
+      const result = await downloadLesson(page, lesson, path.join(TEST_DIR, 'variants'));
+
+      assert.ok(requests.includes('/variants/high.m3u8'));
+      assert.ok(requests.includes('/variants/low.m3u8'));
+      assert.strictEqual(requests.filter(url => url === '/variants/high-0.ts').length, 3);
+      assert.strictEqual(result.variant.url, `${baseUrl}/variants/low.m3u8`);
+      assert.deepStrictEqual(await readFile(path.join(result.tempDir, '00000.ts')), low);
+    });
+  });
 });
@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { extractCourseSlug, extractCourseData, getCourseMetadata } from '../src/extractor.js';
+import { extractCourseSlug, extractCourseData, extractLessonList, getCourseMetadata, normalizeReleaseDate, refreshLessonPlaylists } from '../src/extractor.js';
 
 describe('extractor.js', () => {
   describe('extractCourseSlug', () => {
@@ -110,6 +110,45 @@ describe('extractor.js', () => {
     });
   });
 
+  describe('getCourseMetadata', () => {
+    it('should return the page details with a normalized release date and the slug', async () => {
+      const page = {
+        goto: async () => {},
+        evaluate: async () => ({
+          title: 'React and Next.js State',
+          lessonCount: 42,
+          instructors: ['Jane Doe', 'John Roe'],
+          description: 'Course summary',
+          releaseDate: '2024-03-12T08:00:00.000Z',
+          thumbnailUrl: 'https://static.frontendmasters.com/thumb.jpg'
+        })
+      };
+
+      const metadata = await getCourseMetadata(page, 'https://frontendmasters.com/courses/react-nextjs-state/');
+      assert.strictEqual(metadata.slug, 'react-nextjs-state');
+      assert.strictEqual(metadata.releaseDate, '2024-03-12');
+      assert.deepStrictEqual(metadata.instructors, ['Jane Doe', 'John Roe']);
+      assert.strictEqual(metadata.instructor, 'Jane Doe, John Roe');
+      assert.strictEqual(metadata.thumbnailUrl, 'https://static.frontendmasters.com/thumb.jpg');
+    });
+  });
+
+  describe('normalizeReleaseDate', () => {
+    it('should keep the date part of ISO timestamps', () => {
+      assert.strictEqual(normalizeReleaseDate('2024-03-12T23:30:00-05:00'), '2024-03-12');
+      assert.strictEqual(normalizeReleaseDate('2024-03-12'), '2024-03-12');
+    });
+
+    it('should parse written dates', () => {
+      assert.strictEqual(normalizeReleaseDate('March 5, 2024'), '2024-03-05');
+    });
+
+    it('should return null for missing or unparseable dates', () => {
+      assert.strictEqual(normalizeReleaseDate(null), null);
+      assert.strictEqual(normalizeReleaseDate('soon'), null);
+    });
+  });
+
   describe('lesson object structure', () => {
     it('should define expected lesson object properties', () => {
       // Verify the expected structure is documented via JSDoc
@@ -149,4 +188,50 @@ describe('extractor.js', () => {
       assert.strictEqual(extractCourseSlug('frontendmasters.com/courses/react/'), '');
     });
   });
+
+  describe('refreshLessonPlaylists validation', () => {
+    it('should throw error when the lesson has no page URL', async () => {
+      await assert.rejects(
+        () => refreshLessonPlaylists({}, { number: 4, m3u8Url: 'https://example.com/index.m3u8' }),
+        /Lesson 4 has no page URL to refresh its playlists from/
+      );
+    });
+  });
+
+  describe('extractLessonList validation', () => {
+    it('should throw error when page is null', async () => {
+      await assert.rejects(
+        () => extractLessonList(null, 'https://example.com'),
+        /Invalid Puppeteer page instance provided/
+      );
+    });
+
+    it('should throw error when course URL is missing', async () => {
+      await assert.rejects(
+        () => extractLessonList({ goto: () => {} }, ''),
+        /Course URL is required/
+      );
+    });
+  });
+
+  describe('extractCourseData lesson selection', () => {
+    it('only visits the selected lessons', async () => {
+      const visited = [];
+      const page = {
+        goto: async (url) => { visited.push(url); },
+        waitForSelector: async () => {},
+        evaluate: async () => [
+          { number: 1, title: 'Intro', duration: 60, url: 'https://frontendmasters.com/courses/x/intro/', section: 'Start' },
+          { number: 2, title: 'Hooks', duration: 60, url: 'https://frontendmasters.com/courses/x/hooks/', section: 'React' }
+        ]
+      };
+
+      const lessons = await extractCourseData(page, 'https://frontendmasters.com/courses/x/', {
+        select: (all) => all.filter(lesson => lesson.section === 'Nothing')
+      });
+
+      assert.deepStrictEqual(lessons, []);
+      assert.deepStrictEqual(visited, ['https://frontendmasters.com/courses/x/']);
+    });
+  });
 });
@@ -0,0 +1,201 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert';
+import { existsSync } from 'fs';
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { downloadLessons, exportSingleFile } from '../src/index.js';
+import { describeVariant, selectVariants } from '../src/quality.js';
+import { selectLessons } from '../src/selection.js';
+import { getLessonPath } from '../src/utils.js';
+
+const TEST_DIR = path.join(os.tmpdir(), `fmdl-index-${Date.now()}`);
+
+/**
+ * Read the completed lessons from a course's progress file
+ */
+async function readCompleted(outputDir) {
+  try {
+    return JSON.parse(await readFile(path.join(outputDir, '.download-progress.json'), 'utf-8')).completed;
+  } catch {
+    return [];
+  }
+}
+
+describe('index.js', () => {
+  describe('exportSingleFile', () => {
+    const courseLessons = [
+      { number: 1, title: 'Intro', section: null },
+      { number: 2, title: 'Setup', section: null },
+      { number: 3, title: 'Wrapping Up', section: null }
+    ];
+    const metadata = { title: 'Course', slug: 'course' };
+
+    before(async () => {
+      await mkdir(TEST_DIR, { recursive: true });
+    });
+
+    after(async () => {
+      await rm(TEST_DIR, { recursive: true, force: true });
+    });
+
+    it('waits for the whole course when only a selection is on disk', async () => {
+      // A "--lessons 2" run: only the selected lesson has been downloaded
+      const [selected] = selectLessons(courseLessons, { lessons: '2' });
+      await writeFile(getLessonPath(TEST_DIR, selected), 'lesson 2');
+
+      await exportSingleFile(courseLessons, {
+        outputDir: TEST_DIR,
+        metadata,
+        lessonDetails: {},
+        sectionFolders: false,
+        format: 'mp4',
+        changed: true
+      });
+
+      assert.strictEqual(existsSync(path.join(TEST_DIR, 'course.mp4')), false);
+    });
+  });
+
+  describe('downloadLessons', () => {
+    const lessons = [1, 2, 3].map(number => ({ number, title: `Lesson ${number}`, duration: 60 }));
+
+    // Progress goes to stdout and failures to stderr; keep both out of the
+    // test runner's output
+    before(() => {
+      mock.method(console, 'log', () => {});
+      mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+      mock.restoreAll();
+    });
+
+    /**
+     * Download steps that log what they do instead of doing it
+     */
+    function recordingSteps(events, overrides = {}) {
+      return {
+        extractLessonPlaylists: async (page, lesson) => {
+          events.push(`extract ${lesson.number}`);
+          return { ...lesson, m3u8Url: `https://cdn.example.com/${lesson.number}.m3u8` };
+        },
+        prepareLesson: async () => ({}),
+        estimateLesson: async () => null,
+        downloadLesson: async (page, lesson) => {
+          events.push(`download ${lesson.number}`);
+          return { segmentCount: 1, tempDir: `temp-${lesson.number}`, audioDir: null, variant: null };
+        },
+        mergeSegments: async (tempDir) => {
+          events.push(`merge ${tempDir.split('-')[1]}`);
+        },
+        ...overrides
+      };
+    }
+
+    const run = (outputDir, steps) => downloadLessons({}, lessons, {
+      outputDir,
+      metadata: { title: 'Course' },
+      lessonCount: lessons.length,
+      completedLessons: [],
+      lessonDetails: {},
+      redownload: new Set(),
+      subtitles: false,
+      steps
+    });
+
+    it('downloads the next lesson while the previous one merges, and records a lesson once merged', async () => {
+      const outputDir = path.join(TEST_DIR, 'overlap');
+      const events = [];
+      let finishFirstMerge;
+      let completedDuringMerge;
+
+      const steps = recordingSteps(events, {
+        downloadLesson: async (page, lesson) => {
+          events.push(`download ${lesson.number}`);
+          if (lesson.number === 2) {
+            // Lesson 1 is still merging
+            completedDuringMerge = await readCompleted(outputDir);
+            finishFirstMerge();
+          }
+          return { segmentCount: 1, tempDir: `temp-${lesson.number}`, audioDir: null, variant: null };
+        },
+        mergeSegments: (tempDir) => {
+          const number = tempDir.split('-')[1];
+          events.push(`merge ${number}`);
+          if (number === '1') {
+            return new Promise((resolve) => {
+              finishFirstMerge = () => {
+                events.push('merged 1');
+                resolve();
+              };
+            });
+          }
+          return number === '2' ? Promise.reject(new Error('ffmpeg failed')) : Promise.resolve();
+        }
+      });
+
+      const savedCount = await run(outputDir, steps);
+
+      assert.deepStrictEqual(events, [
+        'extract 1', 'download 1', 'merge 1',
+        'extract 2', 'download 2', 'merged 1', 'merge 2',
+        'extract 3', 'download 3', 'merge 3'
+      ]);
+      assert.deepStrictEqual(completedDuringMerge, []);
+      // The lesson whose merge failed stays pending
+      assert.strictEqual(savedCount, 2);
+      assert.deepStrictEqual(await readCompleted(outputDir), [1, 3]);
+    });
+
+    it('records the quality that was actually saved', async () => {
+      const outputDir = path.join(TEST_DIR, 'quality');
+      // The preferred variant failed and downloadLesson fell back to this one
+      const fallback = { url: 'https://cdn.example.com/360p.m3u8', bandwidth: 800000, resolution: { width: 640, height: 360 }, codecs: null, frameRate: null };
+      const steps = recordingSteps([], {
+        downloadLesson: async (page, lesson) => ({ segmentCount: 1, tempDir: `temp-${lesson.number}`, audioDir: null, variant: fallback })
+      });
+
+      await run(outputDir, steps);
+
+      const progress = JSON.parse(await readFile(path.join(outputDir, '.download-progress.json'), 'utf-8'));
+      assert.deepStrictEqual(progress.lessons[1], {
+        title: 'Lesson 1',
+        section: null,
+        sectionNumber: null,
+        file: '01-lesson-1.mp4',
+        quality: describeVariant(fallback),
+        resolution: { width: 640, height: 360 },
+        bandwidth: 800000
+      });
+    });
+
+    it('keeps going after a lesson fails to download', async () => {
+      const outputDir = path.join(TEST_DIR, 'failure');
+      const events = [];
+      const steps = recordingSteps(events, {
+        downloadLesson: async (page, lesson) => {
+          events.push(`download ${lesson.number}`);
+          if (lesson.number === 1) {
+            throw new Error('Failed to download video segment 3/10');
+          }
+          return { segmentCount: 1, tempDir: `temp-${lesson.number}`, audioDir: null, variant: null };
+        }
+      });
+
+      assert.strictEqual(await run(outputDir, steps), 2);
+      assert.deepStrictEqual(await readCompleted(outputDir), [2, 3]);
+    });
+
+    it('stops the run when the requested quality is not offered', async () => {
+      const outputDir = path.join(TEST_DIR, 'mismatch');
+      const events = [];
+      const steps = recordingSteps(events, {
+        prepareLesson: async () => ({ candidates: selectVariants([{ url: '360p.m3u8', bandwidth: 800000, resolution: { width: 640, height: 360 } }], '1080p') })
+      });
+
+      await assert.rejects(() => run(outputDir, steps), /No variant matches quality "1080p"/);
+      assert.deepStrictEqual(events, ['extract 1']);
+    });
+  });
+});
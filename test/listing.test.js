@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildLessonRows, formatLessonTable } from '../src/listing.js';
+
+const lessons = [
+  { number: 1, title: 'Introduction', duration: 241, url: 'https://frontendmasters.com/courses/x/introduction/' },
+  { number: 2, title: 'State Management', duration: 1325, url: 'https://frontendmasters.com/courses/x/state/' },
+  { number: 10, title: 'Wrapping Up', duration: 3725, url: 'https://frontendmasters.com/courses/x/wrapping-up/' }
+];
+
+const progress = {
+  completed: [1, 10],
+  total: 3,
+  lessons: { 1: { title: 'Introduction', quality: '1920x1080, 4000 kbps' }, 10: { title: 'Wrapping Up', quality: null } }
+};
+
+describe('listing.js', () => {
+  describe('buildLessonRows', () => {
+    it('marks lessons from the progress file as downloaded', () => {
+      const rows = buildLessonRows(lessons, progress);
+
+      assert.deepStrictEqual(rows.map(row => row.status), ['downloaded', 'pending', 'downloaded']);
+      assert.strictEqual(rows[0].quality, '1920x1080, 4000 kbps');
+      assert.strictEqual(rows[1].quality, null);
+      assert.strictEqual(rows[2].url, lessons[2].url);
+    });
+
+    it('treats every lesson as pending without progress', () => {
+      assert.ok(buildLessonRows(lessons).every(row => row.status === 'pending'));
+      assert.ok(buildLessonRows(lessons, {}).every(row => row.status === 'pending'));
+    });
+  });
+
+  describe('formatLessonTable', () => {
+    it('prints aligned rows with formatted durations and status', () => {
+      const lines = formatLessonTable(buildLessonRows(lessons, progress)).split('\n');
+
+      assert.strictEqual(lines[0], ' #  Title             Duration  Status');
+      assert.strictEqual(lines[1], ' 1  Introduction          4:01  ✅ downloaded (1920x1080, 4000 kbps)');
+      assert.strictEqual(lines[2], ' 2  State Management     22:05  ⬜ pending');
+      assert.strictEqual(lines[3], '10  Wrapping Up        1:02:05  ✅ downloaded');
+    });
+
+    it('ends with a totals line', () => {
+      const table = formatLessonTable(buildLessonRows(lessons, progress));
+      assert.match(table, /\n3 lessons, 1:28:11 total, 2 downloaded, 1 pending$/);
+    });
+
+    it('prints section headings above their lessons', () => {
+      const table = formatLessonTable(buildLessonRows([
+        { number: 1, title: 'Introduction', duration: 60, section: 'Getting Started' },
+        { number: 2, title: 'Setup', duration: 60, section: 'Getting Started' },
+        { number: 3, title: 'Hooks', duration: 60, section: 'React' }
+      ]));
+
+      assert.deepStrictEqual(table.split('\n').slice(1, 8), [
+        '',
+        'Getting Started',
+        '1  Introduction      1:00  ⬜ pending',
+        '2  Setup             1:00  ⬜ pending',
+        '',
+        'React',
+        '3  Hooks             1:00  ⬜ pending'
+      ]);
+    });
+
+    it('shortens very long titles', () => {
+      const table = formatLessonTable(buildLessonRows([{ number: 1, title: 'x'.repeat(80), duration: 60 }]));
+      assert.ok(table.includes(`${'x'.repeat(59)}…`));
+      assert.ok(!table.includes('x'.repeat(60)));
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, rm, writeFile } from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+  segmentFileName,
+  readManifest,
+  writeManifest,
+  createManifest,
+  isSegmentComplete,
+  createManifestWriter
+} from '../src/manifest.js';
+
+const TEST_DIR = path.join(os.tmpdir(), `fmdl-manifest-${Date.now()}`);
+const lesson = { number: 3, title: 'Hooks' };
+
+describe('manifest.js', () => {
+  before(async () => {
+    await mkdir(TEST_DIR, { recursive: true });
+  });
+
+  after(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  describe('segmentFileName', () => {
+    it('zero-pads the index', () => {
+      assert.strictEqual(segmentFileName(0), '00000.ts');
+      assert.strictEqual(segmentFileName(42), '00042.ts');
+    });
+  });
+
+  describe('createManifest', () => {
+    it('creates pending entries for every segment', () => {
+      const manifest = createManifest(lesson, 'https://cdn.example.com/v.m3u8', ['https://cdn.example.com/a.ts', 'https://cdn.example.com/b.ts']);
+
+      assert.deepStrictEqual(manifest.lesson, { number: 3, title: 'Hooks' });
+      assert.strictEqual(manifest.totalSegments, 2);
+      assert.deepStrictEqual(manifest.segments[1], {
+        index: 1,
+        url: 'https://cdn.example.com/b.ts',
+        file: '00001.ts',
+        size: null,
+        status: 'pending'
+      });
+    });
+
+    it('keeps completed entries whose URL matches, ignoring query strings', () => {
+      const previous = createManifest(lesson, 'v.m3u8', ['https://cdn.example.com/a.ts?sig=old', 'https://cdn.example.com/b.ts']);
+      previous.segments[0].status = 'complete';
+      previous.segments[0].size = 1880;
+
+      const manifest = createManifest(lesson, 'v.m3u8', ['https://cdn.example.com/a.ts?sig=new', 'https://cdn.example.com/b.ts'], previous);
+
+      assert.strictEqual(manifest.segments[0].status, 'complete');
+      assert.strictEqual(manifest.segments[0].size, 1880);
+      assert.strictEqual(manifest.segments[0].url, 'https://cdn.example.com/a.ts?sig=new');
+      assert.strictEqual(manifest.segments[1].status, 'pending');
+    });
+
+    it('uses .m4s files and tracks the init segment for fMP4', () => {
+      const manifest = createManifest(lesson, 'v.m3u8', ['https://cdn.example.com/a.m4s'], null, {
+        format: 'fmp4',
+        initUrl: 'https://cdn.example.com/init.mp4'
+      });
+
+      assert.strictEqual(manifest.format, 'fmp4');
+      assert.strictEqual(manifest.segments[0].file, '00000.m4s');
+      assert.deepStrictEqual(manifest.init, {
+        url: 'https://cdn.example.com/init.mp4',
+        file: 'init.mp4',
+        size: null,
+        status: 'pending'
+      });
+    });
+
+    it('discards completed TS entries when the playlist switches to fMP4', () => {
+      const previous = createManifest(lesson, 'v.m3u8', ['https://cdn.example.com/a']);
+      previous.segments[0].status = 'complete';
+      previous.segments[0].size = 1880;
+
+      const manifest = createManifest(lesson, 'v.m3u8', ['https://cdn.example.com/a'], previous, { format: 'fmp4' });
+
+      assert.strictEqual(manifest.segments[0].status, 'pending');
+    });
+
+    it('discards completed entries for a different segment URL', () => {
+      const previous = createManifest(lesson, 'v.m3u8', ['https://cdn.example.com/720p/a.ts']);
+      previous.segments[0].status = 'complete';
+      previous.segments[0].size = 1880;
+
+      const manifest = createManifest(lesson, 'v.m3u8', ['https://cdn.example.com/1080p/a.ts'], previous);
+
+      assert.strictEqual(manifest.segments[0].status, 'pending');
+    });
+  });
+
+  describe('readManifest / writeManifest', () => {
+    it('round-trips a manifest', async () => {
+      const dir = path.join(TEST_DIR, 'roundtrip');
+      await mkdir(dir, { recursive: true });
+      const manifest = createManifest(lesson, 'v.m3u8', ['https://cdn.example.com/a.ts']);
+
+      await writeManifest(dir, manifest);
+      const read = await readManifest(dir);
+
+      assert.deepStrictEqual(read.segments, manifest.segments);
+      assert.ok(read.updatedAt);
+    });
+
+    it('returns null for a missing or invalid manifest', async () => {
+      const dir = path.join(TEST_DIR, 'invalid');
+      await mkdir(dir, { recursive: true });
+      assert.strictEqual(await readManifest(dir), null);
+
+      await writeFile(path.join(dir, 'manifest.json'), '{not json');
+      assert.strictEqual(await readManifest(dir), null);
+    });
+  });
+
+  describe('isSegmentComplete', () => {
+    it('requires a complete status and a matching file size', async () => {
+      const dir = path.join(TEST_DIR, 'complete');
+      await mkdir(dir, { recursive: true });
+      await writeFile(path.join(dir, '00000.ts'), Buffer.alloc(188));
+
+      const entry = { index: 0, file: '00000.ts', size: 188, status: 'complete' };
+      assert.strictEqual(await isSegmentComplete(dir, entry), true);
+      assert.strictEqual(await isSegmentComplete(dir, { ...entry, size: 376 }), false);
+      assert.strictEqual(await isSegmentComplete(dir, { ...entry, status: 'pending' }), false);
+      assert.strictEqual(await isSegmentComplete(dir, { ...entry, file: '00001.ts' }), false);
+    });
+  });
+
+  describe('createManifestWriter', () => {
+    it('serializes concurrent saves and persists the latest state', async () => {
+      const dir = path.join(TEST_DIR, 'writer');
+      await mkdir(dir, { recursive: true });
+      const manifest = createManifest(lesson, 'v.m3u8', ['a.ts', 'b.ts']);
+      const writer = createManifestWriter(dir, manifest);
+
+      manifest.segments[0].status = 'complete';
+      const first = writer.save();
+      manifest.segments[1].status = 'complete';
+      await Promise.all([first, writer.save()]);
+
+      const read = await readManifest(dir);
+      assert.deepStrictEqual(read.segments.map(s => s.status), ['complete', 'complete']);
+    });
+  });
+});
@@ -1,7 +1,7 @@
 import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert';
-import { mergeSegments, checkFfmpeg } from '../src/merger.js';
-import { mkdir, writeFile, unlink, rmdir, readdir } from 'fs/promises';
+import { mergeSegments, checkFfmpeg, createStreamingMerger, joinLessonFiles, metadataArgs, probeDuration } from '../src/merger.js';
+import { mkdir, writeFile, unlink, rmdir, readdir, access } from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -188,4 +188,82 @@ describe('merger.js', () => {
       }
     });
   });
+
+  describe('createStreamingMerger()', () => {
+    it('should reject and leave no output when ffmpeg cannot remux the input', async () => {
+      const tempDir = path.join(TEST_DIR, 'test-stream');
+      await mkdir(tempDir, { recursive: true });
+      const outputPath = path.join(tempDir, 'output.mp4');
+
+      const merger = createStreamingMerger(outputPath);
+      await assert.rejects(async () => {
+        await merger.write(Buffer.from('not a transport stream'));
+        await merger.finish();
+      });
+
+      await assert.rejects(() => access(outputPath));
+      await assert.rejects(() => access(`${outputPath}.part`));
+    });
+
+    it('should stop ffmpeg on abort', async () => {
+      const tempDir = path.join(TEST_DIR, 'test-stream-abort');
+      await mkdir(tempDir, { recursive: true });
+      const outputPath = path.join(tempDir, 'output.mp4');
+
+      const merger = createStreamingMerger(outputPath);
+      await merger.abort();
+
+      await assert.rejects(() => access(`${outputPath}.part`));
+      await assert.rejects(() => merger.write(Buffer.from('late')));
+    });
+  });
+
+  describe('metadataArgs()', () => {
+    it('should build -metadata arguments in a fixed order', () => {
+      const args = metadataArgs({
+        date: '2024-03-12',
+        title: 'Server & Client Components',
+        track: '7/42',
+        album: 'React and Next.js State',
+        artist: 'Jane Doe'
+      });
+
+      assert.deepStrictEqual(args, [
+        '-metadata', 'title=Server & Client Components',
+        '-metadata', 'track=7/42',
+        '-metadata', 'album=React and Next.js State',
+        '-metadata', 'artist=Jane Doe',
+        '-metadata', 'date=2024-03-12'
+      ]);
+    });
+
+    it('should skip empty values and unknown keys', () => {
+      assert.deepStrictEqual(metadataArgs({ title: 'Intro', artist: null, description: '  ', comment: 'x' }), ['-metadata', 'title=Intro']);
+      assert.deepStrictEqual(metadataArgs(), []);
+    });
+  });
+
+  describe('joinLessonFiles()', () => {
+    it('should throw error when there are no lesson files', async () => {
+      await assert.rejects(
+        () => joinLessonFiles([], path.join(TEST_DIR, 'course.mp4')),
+        /No lesson files to join/
+      );
+    });
+
+    it('should reject and leave no output when a lesson file is missing', async () => {
+      const outputPath = path.join(TEST_DIR, 'course.mkv');
+      await assert.rejects(() => joinLessonFiles([path.join(TEST_DIR, 'missing.mp4')], outputPath, { format: 'mkv' }));
+
+      await assert.rejects(() => access(outputPath));
+      await assert.rejects(() => access(`${outputPath}.part`));
+      await assert.rejects(() => access(`${outputPath}.concat.txt`));
+    });
+  });
+
+  describe('probeDuration()', () => {
+    it('should reject for a file that is not media', async () => {
+      await assert.rejects(() => probeDuration(path.join(TEST_DIR, 'missing.mp4')));
+    });
+  });
 });
@@ -0,0 +1,170 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parsePlaylist, parseAttributeList } from '../src/playlist.js';
+
+const masterUrl = 'https://cdn.example.com/hls/index.m3u8';
+
+describe('playlist.js', () => {
+  describe('parseAttributeList', () => {
+    it('parses quoted values containing commas and equals signs', () => {
+      assert.deepStrictEqual(parseAttributeList('BANDWIDTH=1000,CODECS="avc1.4d401f,mp4a.40.2",URI="a.m3u8?x=1"'), {
+        BANDWIDTH: '1000',
+        CODECS: 'avc1.4d401f,mp4a.40.2',
+        URI: 'a.m3u8?x=1'
+      });
+    });
+
+    it('returns an empty object for empty input', () => {
+      assert.deepStrictEqual(parseAttributeList(''), {});
+      assert.deepStrictEqual(parseAttributeList(undefined), {});
+    });
+  });
+
+  describe('parsePlaylist (master)', () => {
+    const master = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:6',
+      '#EXT-X-INDEPENDENT-SEGMENTS',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="English",LANGUAGE="en",DEFAULT=YES,AUTOSELECT=YES,CHANNELS="2",URI="audio/en.m3u8"',
+      '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",LANGUAGE="en",FORCED=NO,URI="subs/en.m3u8"',
+      '#EXT-X-STREAM-INF:BANDWIDTH=5000000,AVERAGE-BANDWIDTH=4500000,RESOLUTION=1920x1080,CODECS="avc1.640028,mp4a.40.2",FRAME-RATE=30.000,AUDIO="aac",SUBTITLES="subs"',
+      'video/1080.m3u8',
+      '#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720,AUDIO="aac"',
+      'https://other.example.com/720.m3u8',
+      '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=300000,URI="iframes.m3u8"'
+    ].join('\r\n');
+
+    it('returns variants with parsed attributes in playlist order', () => {
+      const playlist = parsePlaylist(master, masterUrl);
+
+      assert.strictEqual(playlist.type, 'master');
+      assert.strictEqual(playlist.version, 6);
+      assert.strictEqual(playlist.independentSegments, true);
+      assert.strictEqual(playlist.variants.length, 2);
+
+      const [top, second] = playlist.variants;
+      assert.strictEqual(top.url, 'https://cdn.example.com/hls/video/1080.m3u8');
+      assert.strictEqual(top.bandwidth, 5000000);
+      assert.strictEqual(top.averageBandwidth, 4500000);
+      assert.deepStrictEqual(top.resolution, { width: 1920, height: 1080 });
+      assert.strictEqual(top.codecs, 'avc1.640028,mp4a.40.2');
+      assert.strictEqual(top.frameRate, 30);
+      assert.strictEqual(top.audio, 'aac');
+      assert.strictEqual(top.subtitles, 'subs');
+      assert.strictEqual(second.url, 'https://other.example.com/720.m3u8');
+      assert.strictEqual(second.averageBandwidth, null);
+    });
+
+    it('groups renditions by type and group id', () => {
+      const playlist = parsePlaylist(master, masterUrl);
+
+      assert.strictEqual(playlist.media.length, 2);
+      const [audio] = playlist.mediaGroups.AUDIO.aac;
+      assert.strictEqual(audio.url, 'https://cdn.example.com/hls/audio/en.m3u8');
+      assert.strictEqual(audio.default, true);
+      assert.strictEqual(audio.channels, '2');
+      assert.strictEqual(playlist.mediaGroups.SUBTITLES.subs[0].forced, false);
+    });
+
+    it('collects I-frame variants separately', () => {
+      const playlist = parsePlaylist(master, masterUrl);
+
+      assert.strictEqual(playlist.iframeVariants.length, 1);
+      assert.strictEqual(playlist.iframeVariants[0].url, 'https://cdn.example.com/hls/iframes.m3u8');
+    });
+  });
+
+  describe('parsePlaylist (media)', () => {
+    it('parses durations, sequence numbers and end list', () => {
+      const playlist = parsePlaylist([
+        '#EXTM3U',
+        '#EXT-X-TARGETDURATION:10',
+        '#EXT-X-MEDIA-SEQUENCE:5',
+        '#EXT-X-PLAYLIST-TYPE:VOD',
+        '# a comment',
+        '#EXTINF:9.97,Intro',
+        'seg0.ts',
+        '#EXTINF:4.5,',
+        'seg1.ts',
+        '#EXT-X-ENDLIST'
+      ].join('\n'), masterUrl);
+
+      assert.strictEqual(playlist.type, 'media');
+      assert.strictEqual(playlist.targetDuration, 10);
+      assert.strictEqual(playlist.mediaSequence, 5);
+      assert.strictEqual(playlist.playlistType, 'VOD');
+      assert.strictEqual(playlist.endList, true);
+      assert.deepStrictEqual(playlist.segments.map(s => s.sequence), [5, 6]);
+      assert.deepStrictEqual(playlist.segments.map(s => s.duration), [9.97, 4.5]);
+      assert.strictEqual(playlist.segments[0].title, 'Intro');
+      assert.strictEqual(playlist.segments[0].url, 'https://cdn.example.com/hls/seg0.ts');
+      assert.ok(Math.abs(playlist.totalDuration - 14.47) < 1e-9);
+    });
+
+    it('tracks discontinuities', () => {
+      const playlist = parsePlaylist([
+        '#EXTM3U',
+        '#EXT-X-DISCONTINUITY-SEQUENCE:2',
+        '#EXTINF:6,',
+        'a.ts',
+        '#EXT-X-DISCONTINUITY',
+        '#EXTINF:6,',
+        'b.ts'
+      ].join('\n'), masterUrl);
+
+      assert.strictEqual(playlist.discontinuitySequence, 2);
+      assert.deepStrictEqual(playlist.segments.map(s => s.discontinuity), [false, true]);
+      assert.deepStrictEqual(playlist.segments.map(s => s.discontinuitySequence), [2, 3]);
+    });
+
+    it('resolves byte ranges, continuing from the previous range of the same resource', () => {
+      const playlist = parsePlaylist([
+        '#EXTM3U',
+        '#EXT-X-MAP:URI="main.mp4",BYTERANGE="720@0"',
+        '#EXTINF:6,',
+        '#EXT-X-BYTERANGE:1000@720',
+        'main.mp4',
+        '#EXTINF:6,',
+        '#EXT-X-BYTERANGE:2000',
+        'main.mp4'
+      ].join('\n'), masterUrl);
+
+      assert.deepStrictEqual(playlist.segments[0].map.byteRange, { length: 720, offset: 0 });
+      assert.deepStrictEqual(playlist.segments[0].byteRange, { length: 1000, offset: 720 });
+      assert.deepStrictEqual(playlist.segments[1].byteRange, { length: 2000, offset: 1720 });
+    });
+
+    it('applies keys and maps to the segments that follow them', () => {
+      const playlist = parsePlaylist([
+        '#EXTM3U',
+        '#EXT-X-KEY:METHOD=AES-128,URI="k1",KEYFORMAT="identity"',
+        '#EXT-X-MAP:URI="init.mp4"',
+        '#EXTINF:6,',
+        'a.m4s',
+        '#EXT-X-KEY:METHOD=NONE',
+        '#EXTINF:6,',
+        'b.m4s'
+      ].join('\n'), masterUrl);
+
+      const [a, b] = playlist.segments;
+      assert.strictEqual(a.key.uri, 'https://cdn.example.com/hls/k1');
+      assert.strictEqual(a.key.keyFormat, 'identity');
+      assert.strictEqual(a.map.url, 'https://cdn.example.com/hls/init.mp4');
+      assert.strictEqual(a.map.key.uri, 'https://cdn.example.com/hls/k1');
+      assert.strictEqual(b.key, null);
+      assert.strictEqual(b.map.url, 'https://cdn.example.com/hls/init.mp4');
+    });
+
+    it('keeps relative URIs as-is when no base URL is given', () => {
+      const playlist = parsePlaylist('#EXTM3U\n#EXTINF:6,\nseg.ts\n');
+      assert.strictEqual(playlist.segments[0].url, 'seg.ts');
+    });
+  });
+
+  describe('parsePlaylist validation', () => {
+    it('throws for invalid content', () => {
+      assert.throws(() => parsePlaylist(null, masterUrl), /Invalid M3U8 content/);
+      assert.throws(() => parsePlaylist('', masterUrl), /Invalid M3U8 content/);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseQualitySpec, selectVariants, describeVariant, isVariantMismatchError } from '../src/quality.js';
+
+const variants = [
+  { url: 'v1080.m3u8', bandwidth: 5000000, resolution: { width: 1920, height: 1080 }, codecs: 'avc1.640028,mp4a.40.2', frameRate: 30 },
+  { url: 'v1080hevc.m3u8', bandwidth: 3500000, resolution: { width: 1920, height: 1080 }, codecs: 'hvc1.2.4.L123.B0,mp4a.40.2', frameRate: 30 },
+  { url: 'v720.m3u8', bandwidth: 2500000, resolution: { width: 1280, height: 720 }, codecs: 'avc1.64001f,mp4a.40.2', frameRate: 30 },
+  { url: 'v360.m3u8', bandwidth: 800000, resolution: { width: 640, height: 360 }, codecs: 'avc1.42c01e,mp4a.40.2', frameRate: null }
+];
+
+describe('quality.js', () => {
+  describe('parseQualitySpec', () => {
+    it('parses best and worst', () => {
+      assert.deepStrictEqual(parseQualitySpec('best'), { mode: 'best' });
+      assert.deepStrictEqual(parseQualitySpec('WORST'), { mode: 'worst' });
+      assert.deepStrictEqual(parseQualitySpec(), { mode: 'best' });
+    });
+
+    it('parses exact heights and height caps', () => {
+      assert.deepStrictEqual(parseQualitySpec('720p'), { mode: 'height', value: 720 });
+      assert.deepStrictEqual(parseQualitySpec('<=1080p'), { mode: 'maxHeight', value: 1080 });
+    });
+
+    it('parses bandwidth caps with units', () => {
+      assert.deepStrictEqual(parseQualitySpec('<=3M'), { mode: 'maxBandwidth', value: 3000000 });
+      assert.deepStrictEqual(parseQualitySpec('<=2500k'), { mode: 'maxBandwidth', value: 2500000 });
+      assert.deepStrictEqual(parseQualitySpec('<=1.5Mbps'), { mode: 'maxBandwidth', value: 1500000 });
+      assert.deepStrictEqual(parseQualitySpec('<=800000'), { mode: 'maxBandwidth', value: 800000 });
+    });
+
+    it('rejects unknown specs', () => {
+      assert.throws(() => parseQualitySpec('hd'), /Invalid quality "hd"/);
+      assert.throws(() => parseQualitySpec('>=720p'), /Invalid quality/);
+    });
+  });
+
+  describe('selectVariants', () => {
+    it('orders by bandwidth for best and worst', () => {
+      assert.strictEqual(selectVariants(variants, 'best')[0].url, 'v1080.m3u8');
+      assert.strictEqual(selectVariants(variants, 'worst')[0].url, 'v360.m3u8');
+    });
+
+    it('keeps only the exact height', () => {
+      assert.deepStrictEqual(selectVariants(variants, '720p').map(v => v.url), ['v720.m3u8']);
+    });
+
+    it('prefers the tallest variant under a height cap', () => {
+      assert.deepStrictEqual(selectVariants(variants, '<=720p').map(v => v.url), ['v720.m3u8', 'v360.m3u8']);
+    });
+
+    it('applies a bandwidth cap', () => {
+      assert.deepStrictEqual(selectVariants(variants, '<=3M').map(v => v.url), ['v720.m3u8', 'v360.m3u8']);
+    });
+
+    it('filters by codec name or alias', () => {
+      assert.deepStrictEqual(selectVariants(variants, '1080p', 'hevc').map(v => v.url), ['v1080hevc.m3u8']);
+      assert.deepStrictEqual(selectVariants(variants, '1080p', 'avc1').map(v => v.url), ['v1080.m3u8']);
+    });
+
+    it('lists the available variants when nothing matches', () => {
+      assert.throws(
+        () => selectVariants(variants, '2160p'),
+        (error) => {
+          assert.match(error.message, /No variant matches quality "2160p"/);
+          assert.match(error.message, /1920x1080 30fps, 5000 kbps/);
+          assert.match(error.message, /640x360, 800 kbps/);
+          return true;
+        }
+      );
+    });
+  });
+
+  describe('isVariantMismatchError', () => {
+    it('recognizes a mismatch, also when wrapped', () => {
+      let mismatch;
+      try {
+        selectVariants(variants, '2160p', 'av1');
+      } catch (error) {
+        mismatch = error;
+      }
+      assert.strictEqual(isVariantMismatchError(mismatch), true);
+      assert.strictEqual(isVariantMismatchError(new Error('Lesson failed', { cause: mismatch })), true);
+      assert.strictEqual(isVariantMismatchError(new Error('HTTP 403: Forbidden')), false);
+    });
+  });
+
+  describe('describeVariant', () => {
+    it('handles variants without resolution or codecs', () => {
+      assert.strictEqual(describeVariant({ bandwidth: 1234567 }), '1235 kbps');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseRate, parseTimeWindow, isInTimeWindow, createRateLimiter } from '../src/ratelimit.js';
+
+const at = (hours, minutes) => new Date(2024, 0, 1, hours, minutes);
+
+describe('ratelimit.js', () => {
+  describe('parseRate', () => {
+    it('parses plain byte counts and K/M/G suffixes', () => {
+      assert.strictEqual(parseRate('100000'), 100000);
+      assert.strictEqual(parseRate('500k'), 500 * 1024);
+      assert.strictEqual(parseRate('2M'), 2 * 1024 * 1024);
+      assert.strictEqual(parseRate('1.5M'), 1.5 * 1024 * 1024);
+      assert.strictEqual(parseRate('1G'), 1024 ** 3);
+    });
+
+    it('rejects invalid and zero rates', () => {
+      assert.throws(() => parseRate('fast'), /Invalid rate "fast"/);
+      assert.throws(() => parseRate('0'), /Invalid rate/);
+      assert.throws(() => parseRate(''), /Invalid rate/);
+    });
+  });
+
+  describe('parseTimeWindow / isInTimeWindow', () => {
+    it('parses a window within one day', () => {
+      const window = parseTimeWindow('01:00-07:00');
+      assert.deepStrictEqual(window, { start: 60, end: 420 });
+      assert.strictEqual(isInTimeWindow(window, at(3, 30)), true);
+      assert.strictEqual(isInTimeWindow(window, at(7, 0)), false);
+      assert.strictEqual(isInTimeWindow(window, at(0, 59)), false);
+    });
+
+    it('handles windows that run past midnight', () => {
+      const window = parseTimeWindow('22:00-06:00');
+      assert.strictEqual(isInTimeWindow(window, at(23, 15)), true);
+      assert.strictEqual(isInTimeWindow(window, at(5, 59)), true);
+      assert.strictEqual(isInTimeWindow(window, at(12, 0)), false);
+    });
+
+    it('rejects malformed windows', () => {
+      assert.throws(() => parseTimeWindow('1-7'), /Invalid time window/);
+      assert.throws(() => parseTimeWindow('01:75-07:00'), /Invalid time window/);
+      assert.throws(() => parseTimeWindow('25:00-07:00'), /Invalid time window/);
+    });
+  });
+
+  describe('createRateLimiter', () => {
+    it('lets a burst of one second through without waiting', async () => {
+      const limiter = createRateLimiter({ rate: 1000 });
+      const started = Date.now();
+      await limiter.take(1000);
+      assert.ok(Date.now() - started < 50);
+    });
+
+    it('makes takers wait for overdrawn tokens', async () => {
+      const limiter = createRateLimiter({ rate: 10000 });
+      await limiter.take(10000);
+
+      const started = Date.now();
+      await Promise.all([limiter.take(1000), limiter.take(1000)]);
+      // Two concurrent takers share the bucket: 2000 bytes at 10000 B/s
+      assert.ok(Date.now() - started >= 180);
+    });
+
+    it('does not limit inside the full-speed window', async () => {
+      const limiter = createRateLimiter({
+        rate: 1,
+        fullSpeedWindow: parseTimeWindow('01:00-07:00'),
+        date: () => at(2, 0)
+      });
+      assert.strictEqual(limiter.isLimiting(), false);
+
+      const started = Date.now();
+      await limiter.take(1_000_000);
+      assert.ok(Date.now() - started < 50);
+    });
+
+    it('limits outside the full-speed window', () => {
+      const limiter = createRateLimiter({
+        rate: 1,
+        fullSpeedWindow: parseTimeWindow('01:00-07:00'),
+        date: () => at(12, 0)
+      });
+      assert.strictEqual(limiter.isLimiting(), true);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { readFile, readdir, rm } from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+  classifyResource,
+  collectResources,
+  resourceFileName,
+  formatResourcesMarkdown,
+  downloadResources
+} from '../src/resources.js';
+
+const TEST_DIR = path.join(os.tmpdir(), `fmdl-resources-${Date.now()}`);
+
+describe('resources.js', () => {
+  describe('classifyResource', () => {
+    it('downloads directly hosted files', () => {
+      assert.deepStrictEqual(classifyResource({ url: 'https://static.frontendmasters.com/resources/2024/react/slides.pdf', text: 'Slides' }), {
+        title: 'Slides',
+        url: 'https://static.frontendmasters.com/resources/2024/react/slides.pdf',
+        type: 'slides',
+        download: true
+      });
+      assert.strictEqual(classifyResource({ url: 'https://example.com/starter.zip', text: 'Starter files' }).type, 'file');
+    });
+
+    it('recognizes slides, repositories and course websites', () => {
+      assert.strictEqual(classifyResource({ url: 'https://docs.google.com/presentation/d/abc', text: 'Deck' }).type, 'slides');
+      assert.strictEqual(classifyResource({ url: 'https://github.com/owner/course-repo', text: 'Repo' }).type, 'repository');
+      assert.strictEqual(classifyResource({ url: 'https://example.dev/', text: 'Course Website' }).type, 'website');
+      assert.strictEqual(classifyResource({ url: 'https://example.dev/', text: 'Example', inResources: true }).type, 'website');
+    });
+
+    it('ignores everything else', () => {
+      assert.strictEqual(classifyResource({ url: 'https://frontendmasters.com/courses/react/intro/', text: 'Introduction' }), null);
+      assert.strictEqual(classifyResource({ url: 'https://twitter.com/intent/tweet?text=hi', text: 'Share' }), null);
+      assert.strictEqual(classifyResource({ url: 'https://github.com/owner', text: 'Instructor' }), null);
+      assert.strictEqual(classifyResource({ url: 'mailto:support@example.com', text: 'Notes' }), null);
+      assert.strictEqual(classifyResource({ url: 'https://example.com/about', text: 'About' }), null);
+    });
+
+    it('uses the file name when the link has no text', () => {
+      assert.strictEqual(classifyResource({ url: 'https://example.com/files/course%20notes.pdf', text: '' }).title, 'course notes.pdf');
+    });
+
+    it('keeps a file name that is not valid percent-encoding', () => {
+      assert.strictEqual(classifyResource({ url: 'https://example.com/files/100%25%.pdf', text: '' }).title, '100%25%.pdf');
+    });
+  });
+
+  describe('collectResources', () => {
+    it('keeps the first occurrence of each URL', () => {
+      const resources = collectResources([
+        { url: 'https://github.com/owner/repo', text: 'Course repository' },
+        { url: 'https://example.com/about', text: 'About' },
+        { url: 'https://github.com/owner/repo', text: 'GitHub' }
+      ]);
+      assert.deepStrictEqual(resources.map(r => r.title), ['Course repository']);
+    });
+  });
+
+  describe('resourceFileName', () => {
+    it('avoids clashing names', () => {
+      const used = new Set();
+      assert.strictEqual(resourceFileName('https://a.com/x/slides.pdf', used), 'slides.pdf');
+      assert.strictEqual(resourceFileName('https://b.com/y/Slides.pdf', used), 'Slides-2.pdf');
+      assert.strictEqual(resourceFileName('https://c.com/', used), 'resource');
+    });
+
+    it('falls back to the raw name when it is not valid percent-encoding', () => {
+      assert.strictEqual(resourceFileName('https://a.com/50%off.pdf', new Set()), '50%off.pdf');
+    });
+  });
+
+  describe('formatResourcesMarkdown', () => {
+    it('groups resources by type and links saved files', () => {
+      const resources = [
+        { title: 'Repo [main]', url: 'https://github.com/o/r', type: 'repository', download: false },
+        { title: 'Slides', url: 'https://x.com/s.pdf', type: 'slides', download: true }
+      ];
+      const markdown = formatResourcesMarkdown('React', resources, [{ url: 'https://x.com/s.pdf', file: 'my slides.pdf' }]);
+
+      assert.strictEqual(markdown, [
+        '# React - Resources',
+        '',
+        '## Slides',
+        '',
+        '- [Slides](https://x.com/s.pdf) (saved as [my slides.pdf](resources/my%20slides.pdf))',
+        '',
+        '## Repositories',
+        '',
+        '- [Repo \\[main\\]](https://github.com/o/r)',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('downloadResources', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+      server = createServer((req, res) => {
+        if (req.url === '/missing.zip') {
+          res.writeHead(404);
+          res.end();
+          return;
+        }
+        res.end(`contents of ${req.url}`);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+      await new Promise(resolve => server.close(resolve));
+      await rm(TEST_DIR, { recursive: true, force: true });
+    });
+
+    it('saves files and reports failures without stopping', async () => {
+      const page = {
+        cookies: async () => [],
+        evaluate: async () => 'TestAgent/1.0',
+        url: () => 'https://frontendmasters.com/courses/react/'
+      };
+      const resources = [
+        { title: 'Slides', url: `${baseUrl}/slides.pdf`, type: 'slides', download: true },
+        { title: 'Missing', url: `${baseUrl}/missing.zip`, type: 'file', download: true },
+        { title: 'Repo', url: 'https://github.com/o/r', type: 'repository', download: false }
+      ];
+
+      const { files, failed } = await downloadResources(page, resources, TEST_DIR);
+
+      assert.deepStrictEqual(files, [{ title: 'Slides', url: `${baseUrl}/slides.pdf`, file: 'slides.pdf' }]);
+      assert.strictEqual(failed.length, 1);
+      assert.match(failed[0].error, /HTTP 404/);
+      assert.deepStrictEqual(await readdir(TEST_DIR), ['slides.pdf']);
+      assert.strictEqual(await readFile(path.join(TEST_DIR, 'slides.pdf'), 'utf-8'), 'contents of /slides.pdf');
+    });
+  });
+});
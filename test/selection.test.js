@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseLessonRanges, parseTitlePattern, hasSelection, getRedownloadLessons, selectLessons } from '../src/selection.js';
+
+const lessons = [
+  { number: 1, title: 'Introduction', section: 'Introduction' },
+  { number: 2, title: 'useState Basics', section: 'Hooks' },
+  { number: 3, title: 'useEffect Pitfalls', section: 'Hooks' },
+  { number: 4, title: 'Server Components', section: 'Next.js' },
+  { number: 5, title: 'Wrapping Up', section: null }
+];
+
+const numbers = (selected) => selected.map(lesson => lesson.number);
+
+describe('selection.js', () => {
+  describe('parseLessonRanges', () => {
+    it('parses single lessons, ranges and open ranges', () => {
+      assert.deepStrictEqual(parseLessonRanges('1-5,8,12-'), [
+        { start: 1, end: 5 },
+        { start: 8, end: 8 },
+        { start: 12, end: Infinity }
+      ]);
+      assert.deepStrictEqual(parseLessonRanges(' 3 - 4 , 7 '), [{ start: 3, end: 4 }, { start: 7, end: 7 }]);
+    });
+
+    it('rejects malformed selections', () => {
+      for (const spec of ['', 'a', '5-3', '0', '1,,2', '-4', '1-2-3']) {
+        assert.throws(() => parseLessonRanges(spec), /Invalid lesson selection/, spec);
+      }
+    });
+  });
+
+  describe('parseTitlePattern', () => {
+    it('compiles case-insensitive patterns', () => {
+      assert.ok(parseTitlePattern('HOOK').test('Custom hooks'));
+    });
+
+    it('names the option in errors', () => {
+      assert.throws(() => parseTitlePattern('(', '--section'), /Invalid --section pattern "\("/);
+    });
+  });
+
+  describe('hasSelection', () => {
+    it('detects any filter', () => {
+      assert.strictEqual(hasSelection({}), false);
+      assert.strictEqual(hasSelection({ lessons: '', match: '', section: '' }), false);
+      assert.strictEqual(hasSelection({ match: 'hook' }), true);
+    });
+  });
+
+  describe('getRedownloadLessons', () => {
+    it('re-downloads only lessons listed on their own', () => {
+      assert.deepStrictEqual([...getRedownloadLessons({ lessons: '7' })], [7]);
+      assert.deepStrictEqual([...getRedownloadLessons({ lessons: ' 3 , 5-6, 9-, 12' })], [3, 12]);
+    });
+
+    it('never re-downloads for ranges, title or section filters', () => {
+      assert.strictEqual(getRedownloadLessons({ lessons: '12-' }).size, 0);
+      assert.strictEqual(getRedownloadLessons({ lessons: '1-5' }).size, 0);
+      assert.strictEqual(getRedownloadLessons({ match: 'hook', section: 'intro' }).size, 0);
+      assert.strictEqual(getRedownloadLessons({}).size, 0);
+    });
+
+    it('rejects malformed selections', () => {
+      assert.throws(() => getRedownloadLessons({ lessons: '7,a' }), /Invalid lesson selection/);
+    });
+  });
+
+  describe('selectLessons', () => {
+    it('returns every lesson without filters', () => {
+      assert.deepStrictEqual(numbers(selectLessons(lessons)), [1, 2, 3, 4, 5]);
+    });
+
+    it('filters by lesson number ranges', () => {
+      assert.deepStrictEqual(numbers(selectLessons(lessons, { lessons: '1,3-' })), [1, 3, 4, 5]);
+    });
+
+    it('filters by title pattern', () => {
+      assert.deepStrictEqual(numbers(selectLessons(lessons, { match: '^use' })), [2, 3]);
+    });
+
+    it('filters by section heading and skips lessons without one', () => {
+      assert.deepStrictEqual(numbers(selectLessons(lessons, { section: 'next' })), [4]);
+      assert.deepStrictEqual(numbers(selectLessons(lessons, { section: '.' })), [1, 2, 3, 4]);
+    });
+
+    it('combines filters', () => {
+      assert.deepStrictEqual(numbers(selectLessons(lessons, { lessons: '3-5', section: 'hooks' })), [3]);
+      assert.deepStrictEqual(numbers(selectLessons(lessons, { lessons: '1', match: 'hooks' })), []);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { createCipheriv } from 'crypto';
+import { mkdir, readFile, readdir, rm } from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createDecryptStream } from '../src/decryptor.js';
+import {
+  buildCookieHeader,
+  isRefusedError,
+  checkContentLength,
+  fetchWithSession,
+  downloadWithSession
+} from '../src/session.js';
+
+const TEST_DIR = path.join(os.tmpdir(), `fmdl-session-${Date.now()}`);
+
+describe('session.js', () => {
+  describe('buildCookieHeader', () => {
+    const cookies = [
+      { name: 'CloudFront-Policy', value: 'p', domain: '.frontendmasters.com', path: '/', secure: true, expires: -1 },
+      { name: 'host_only', value: 'h', domain: 'frontendmasters.com', path: '/', secure: false, expires: -1 },
+      { name: 'scoped', value: 's', domain: '.frontendmasters.com', path: '/video', secure: false, expires: -1 },
+      { name: 'expired', value: 'x', domain: '.frontendmasters.com', path: '/', secure: false, expires: 1 },
+      { name: 'other', value: 'o', domain: '.example.com', path: '/', secure: false, expires: -1 }
+    ];
+
+    it('includes domain cookies for subdomains but not host-only cookies', () => {
+      assert.strictEqual(
+        buildCookieHeader(cookies, 'https://stream.frontendmasters.com/seg.ts'),
+        'CloudFront-Policy=p'
+      );
+    });
+
+    it('matches host-only cookies on the exact host', () => {
+      assert.strictEqual(
+        buildCookieHeader(cookies, 'https://frontendmasters.com/'),
+        'CloudFront-Policy=p; host_only=h'
+      );
+    });
+
+    it('respects cookie paths', () => {
+      assert.strictEqual(
+        buildCookieHeader(cookies, 'https://frontendmasters.com/video/1.ts'),
+        'CloudFront-Policy=p; host_only=h; scoped=s'
+      );
+      assert.ok(!buildCookieHeader(cookies, 'https://frontendmasters.com/videos/1.ts').includes('scoped'));
+    });
+
+    it('skips secure cookies over http and expired cookies', () => {
+      assert.strictEqual(buildCookieHeader(cookies, 'http://frontendmasters.com/'), 'host_only=h');
+    });
+
+    it('returns an empty string when nothing applies', () => {
+      assert.strictEqual(buildCookieHeader(cookies, 'https://unrelated.org/'), '');
+      assert.strictEqual(buildCookieHeader(undefined, 'https://unrelated.org/'), '');
+    });
+  });
+
+  describe('isRefusedError', () => {
+    it('detects 401 and 403 responses', () => {
+      assert.strictEqual(isRefusedError(Object.assign(new Error('x'), { status: 403 })), true);
+      assert.strictEqual(isRefusedError(Object.assign(new Error('x'), { status: 401 })), true);
+      assert.strictEqual(isRefusedError(Object.assign(new Error('x'), { status: 500 })), false);
+      assert.strictEqual(isRefusedError(new Error('network')), false);
+    });
+
+    it('looks through wrapped errors', () => {
+      const refused = Object.assign(new Error('HTTP 403: Forbidden'), { status: 403 });
+      const wrapped = new Error('Failed to download video segment 3/10', { cause: new Error('after 3 attempts', { cause: refused }) });
+      assert.strictEqual(isRefusedError(wrapped), true);
+      assert.strictEqual(isRefusedError(new Error('outer', { cause: new Error('inner') })), false);
+    });
+  });
+
+  describe('checkContentLength', () => {
+    it('accepts matching or unknown lengths', () => {
+      assert.doesNotThrow(() => checkContentLength(100, 100));
+      assert.doesNotThrow(() => checkContentLength(100, null));
+    });
+
+    it('throws on a short body', () => {
+      assert.throws(() => checkContentLength(60, 100), /Incomplete download: received 60 of 100 bytes/);
+    });
+  });
+
+  describe('direct requests', () => {
+    const key = Buffer.alloc(16, 7);
+    const iv = Buffer.alloc(16, 1);
+    const body = Buffer.from('segment data '.repeat(100));
+    let server;
+    let baseUrl;
+    let lastHeaders;
+
+    before(async () => {
+      await mkdir(TEST_DIR, { recursive: true });
+      server = createServer((req, res) => {
+        lastHeaders = req.headers;
+        if (req.url === '/denied.ts') {
+          res.writeHead(403);
+          res.end();
+          return;
+        }
+        if (req.url === '/encrypted.ts') {
+          const cipher = createCipheriv('aes-128-cbc', key, iv);
+          res.end(Buffer.concat([cipher.update(body), cipher.final()]));
+          return;
+        }
+        if (req.headers.range) {
+          const [, start, end] = req.headers.range.match(/bytes=(\d+)-(\d+)/);
+          res.writeHead(206);
+          res.end(body.subarray(Number(start), Number(end) + 1));
+          return;
+        }
+        res.end(body);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+      await new Promise(resolve => server.close(resolve));
+      await rm(TEST_DIR, { recursive: true, force: true });
+    });
+
+    const session = () => ({
+      cookies: [{ name: 'CloudFront-Signature', value: 'sig', domain: '127.0.0.1', path: '/', secure: false, expires: -1 }],
+      userAgent: 'TestAgent/1.0',
+      referer: 'https://frontendmasters.com/',
+      directRefused: false
+    });
+
+    it('sends the session cookies, user agent and referer', async () => {
+      const data = await fetchWithSession(session(), `${baseUrl}/seg.ts`);
+
+      assert.deepStrictEqual(data, body);
+      assert.strictEqual(lastHeaders.cookie, 'CloudFront-Signature=sig');
+      assert.strictEqual(lastHeaders['user-agent'], 'TestAgent/1.0');
+      assert.strictEqual(lastHeaders.referer, 'https://frontendmasters.com/');
+    });
+
+    it('requests byte ranges', async () => {
+      const data = await fetchWithSession(session(), `${baseUrl}/seg.ts`, { byteRange: { length: 7, offset: 8 } });
+
+      assert.strictEqual(lastHeaders.range, 'bytes=8-14');
+      assert.strictEqual(data.toString(), 'data se');
+    });
+
+    it('throws an error with the status when refused', async () => {
+      await assert.rejects(
+        () => fetchWithSession(session(), `${baseUrl}/denied.ts`),
+        (error) => error.status === 403 && isRefusedError(error)
+      );
+    });
+
+    it('streams a download to disk', async () => {
+      const destination = path.join(TEST_DIR, '00000.ts');
+      const size = await downloadWithSession(session(), `${baseUrl}/seg.ts`, destination);
+
+      assert.strictEqual(size, body.length);
+      assert.deepStrictEqual(await readFile(destination), body);
+      assert.deepStrictEqual(await readdir(TEST_DIR), ['00000.ts']);
+    });
+
+    it('decrypts while streaming', async () => {
+      const destination = path.join(TEST_DIR, '00001.ts');
+      const size = await downloadWithSession(session(), `${baseUrl}/encrypted.ts`, destination, {
+        transforms: [createDecryptStream(key, iv)]
+      });
+
+      assert.strictEqual(size, body.length);
+      assert.deepStrictEqual(await readFile(destination), body);
+    });
+
+    it('leaves no file behind when refused', async () => {
+      const destination = path.join(TEST_DIR, 'denied.ts');
+      await assert.rejects(() => downloadWithSession(session(), `${baseUrl}/denied.ts`, destination), /HTTP 403/);
+      assert.ok(!(await readdir(TEST_DIR)).some(file => file.startsWith('denied')));
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import { readFile, rm, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { clearSavedSession, isCookieExpired, loadSavedSession, saveSession } from '../src/sessionstore.js';
+
+const TEST_DIR = path.join(os.tmpdir(), `fmdl-session-${Date.now()}`);
+const NOW = Date.parse('2026-01-15T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const cookies = [
+  { name: 'fm_session', value: 'abc', domain: '.frontendmasters.com', path: '/', expires: NOW / 1000 + 7 * 24 * 3600 },
+  { name: 'browser_only', value: 'x', domain: 'frontendmasters.com', path: '/', expires: -1 },
+  { name: 'stale', value: 'y', domain: 'frontendmasters.com', path: '/', expires: NOW / 1000 - 60 }
+];
+
+describe('sessionstore.js', () => {
+  after(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  describe('isCookieExpired', () => {
+    it('compares the expiry (in seconds) with the current time', () => {
+      assert.strictEqual(isCookieExpired(cookies[0], NOW), false);
+      assert.strictEqual(isCookieExpired(cookies[2], NOW), true);
+    });
+
+    it('never expires browser-session cookies', () => {
+      assert.strictEqual(isCookieExpired(cookies[1], NOW), false);
+      assert.strictEqual(isCookieExpired({ name: 'a' }, NOW), false);
+    });
+  });
+
+  describe('saveSession / loadSavedSession', () => {
+    const sessionPath = path.join(TEST_DIR, 'config', 'session.json');
+
+    it('saves unexpired cookies readable only by the owner', async () => {
+      await saveSession(cookies, { email: 'me@example.com', sessionPath, now: NOW });
+
+      const saved = JSON.parse(await readFile(sessionPath, 'utf-8'));
+      assert.strictEqual(saved.email, 'me@example.com');
+      assert.strictEqual(saved.savedAt, '2026-01-15T12:00:00.000Z');
+      assert.deepStrictEqual(saved.cookies.map(c => c.name), ['fm_session', 'browser_only']);
+      if (process.platform !== 'win32') {
+        assert.strictEqual((await stat(sessionPath)).mode & 0o777, 0o600);
+      }
+    });
+
+    it('loads the session for the same account', async () => {
+      const session = await loadSavedSession({ email: ' ME@example.com', sessionPath, now: NOW + DAY });
+      assert.strictEqual(session.email, 'me@example.com');
+      assert.strictEqual(session.cookies.length, 2);
+      assert.ok(await loadSavedSession({ sessionPath, now: NOW + DAY }));
+    });
+
+    it('drops cookies that expired since the session was saved', async () => {
+      const session = await loadSavedSession({ sessionPath, now: NOW + 8 * DAY });
+      assert.deepStrictEqual(session.cookies.map(c => c.name), ['browser_only']);
+    });
+
+    it('ignores sessions for other accounts, old sessions and missing files', async () => {
+      assert.strictEqual(await loadSavedSession({ email: 'other@example.com', sessionPath, now: NOW }), null);
+      assert.strictEqual(await loadSavedSession({ sessionPath, now: NOW + 31 * DAY }), null);
+      assert.strictEqual(await loadSavedSession({ sessionPath: path.join(TEST_DIR, 'missing.json'), now: NOW }), null);
+    });
+
+    it('only reuses a session without an email when no email is given', async () => {
+      const manualPath = path.join(TEST_DIR, 'manual.json');
+      await saveSession(cookies, { email: null, sessionPath: manualPath, now: NOW });
+      assert.strictEqual(await loadSavedSession({ email: 'me@example.com', sessionPath: manualPath, now: NOW }), null);
+      assert.strictEqual((await loadSavedSession({ sessionPath: manualPath, now: NOW })).email, null);
+    });
+
+    it('keeps the original save time when a restored session is saved again', async () => {
+      const resavedPath = path.join(TEST_DIR, 'resaved.json');
+      await saveSession(cookies, { email: 'me@example.com', sessionPath: resavedPath, now: NOW });
+      const restored = await loadSavedSession({ sessionPath: resavedPath, now: NOW + 20 * DAY });
+      await saveSession(restored.cookies, { email: restored.email, savedAt: restored.savedAt, sessionPath: resavedPath, now: NOW + 20 * DAY });
+
+      assert.strictEqual(JSON.parse(await readFile(resavedPath, 'utf-8')).savedAt, '2026-01-15T12:00:00.000Z');
+      assert.strictEqual(await loadSavedSession({ sessionPath: resavedPath, now: NOW + 31 * DAY }), null);
+    });
+
+    it('ignores corrupt session files', async () => {
+      const corruptPath = path.join(TEST_DIR, 'corrupt.json');
+      await writeFile(corruptPath, '{not json');
+      assert.strictEqual(await loadSavedSession({ sessionPath: corruptPath, now: NOW }), null);
+    });
+  });
+
+  describe('clearSavedSession', () => {
+    it('deletes the session file and reports whether there was one', async () => {
+      const sessionPath = path.join(TEST_DIR, 'clear', 'session.json');
+      await saveSession(cookies, { sessionPath, now: NOW });
+
+      assert.strictEqual(await clearSavedSession(sessionPath), true);
+      assert.strictEqual(await loadSavedSession({ sessionPath, now: NOW }), null);
+      assert.strictEqual(await clearSavedSession(sessionPath), false);
+    });
+  });
+});
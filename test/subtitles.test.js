@@ -0,0 +1,148 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdir, readFile, rm } from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { isWebVTT, isThumbnailTrack, parseWebVTT, formatWebVTT, orderWebVTTSegments, joinWebVTT, vttToSrt, saveSubtitleFiles } from '../src/subtitles.js';
+
+const TEST_DIR = path.join(os.tmpdir(), `fmdl-subtitles-${Date.now()}`);
+
+const segment = (mpegts, cues) => [
+  'WEBVTT',
+  `X-TIMESTAMP-MAP=MPEGTS:${mpegts},LOCAL:00:00:00.000`,
+  '',
+  ...cues.flatMap(([start, end, text]) => [`${start} --> ${end}`, text, ''])
+].join('\n');
+
+describe('subtitles.js', () => {
+  after(async () => {
+    await rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  describe('isWebVTT', () => {
+    it('recognizes the WEBVTT header, with or without a BOM', () => {
+      assert.strictEqual(isWebVTT('WEBVTT\n\n'), true);
+      assert.strictEqual(isWebVTT('\uFEFFWEBVTT - captions\n'), true);
+      assert.strictEqual(isWebVTT('#EXTM3U\n'), false);
+      assert.strictEqual(isWebVTT(undefined), false);
+    });
+  });
+
+  describe('isThumbnailTrack', () => {
+    it('detects storyboard VTTs whose cues are image references', () => {
+      const storyboard = 'WEBVTT\n\n00:00:00.000 --> 00:00:05.000\nsprite.jpg#xywh=0,0,160,90\n\n00:00:05.000 --> 00:00:10.000\nhttps://cdn.example.com/thumbs/2.png\n';
+      assert.strictEqual(isThumbnailTrack(storyboard), true);
+    });
+
+    it('keeps captions, including ones that mention an image', () => {
+      assert.strictEqual(isThumbnailTrack('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nOpen logo.png in the editor\n'), false);
+      assert.strictEqual(isThumbnailTrack('WEBVTT\n'), false);
+      assert.strictEqual(isThumbnailTrack('not vtt'), false);
+    });
+  });
+
+  describe('parseWebVTT', () => {
+    it('parses cues with identifiers, settings and short timestamps', () => {
+      const { cues, timestampMap } = parseWebVTT([
+        'WEBVTT',
+        '',
+        'NOTE produced by hand',
+        '',
+        'intro',
+        '00:01.000 --> 00:03.500 align:start position:10%',
+        'Hello <b>world</b>',
+        '',
+        '01:00:00.000 --> 01:00:02.250',
+        'Line one',
+        'Line two'
+      ].join('\r\n'));
+
+      assert.strictEqual(timestampMap, null);
+      assert.deepStrictEqual(cues, [
+        { start: 1, end: 3.5, text: 'Hello <b>world</b>' },
+        { start: 3600, end: 3602.25, text: 'Line one\nLine two' }
+      ]);
+    });
+
+    it('reads the X-TIMESTAMP-MAP header', () => {
+      const { timestampMap } = parseWebVTT(segment(900000, []));
+      assert.deepStrictEqual(timestampMap, { mpegts: 900000, local: 0 });
+    });
+
+    it('rejects content without the WEBVTT header', () => {
+      assert.throws(() => parseWebVTT('1\n00:00:01,000 --> 00:00:02,000\nHi\n'), /Not a WebVTT file/);
+    });
+  });
+
+  describe('orderWebVTTSegments', () => {
+    it('orders segments by their first cue, applying X-TIMESTAMP-MAP', () => {
+      const first = 'WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000\n\n00:00:01.000 --> 00:00:02.000\nfirst\n';
+      const second = 'WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:1440000,LOCAL:00:00:00.000\n\n00:00:00.500 --> 00:00:02.000\nsecond\n';
+      const empty = 'WEBVTT\n';
+      assert.deepStrictEqual(orderWebVTTSegments([empty, second, first]), [first, second, empty]);
+    });
+  });
+
+  describe('joinWebVTT', () => {
+    it('joins segments, dropping cues repeated across boundaries', () => {
+      const { vtt, cueCount } = joinWebVTT([
+        segment(900000, [['00:00:01.000', '00:00:04.000', 'First'], ['00:00:05.000', '00:00:07.000', 'Spans segments']]),
+        segment(900000, [['00:00:05.000', '00:00:07.000', 'Spans segments'], ['00:00:08.000', '00:00:09.000', 'Second']])
+      ]);
+
+      assert.strictEqual(cueCount, 3);
+      assert.strictEqual(vtt, formatWebVTT([
+        { start: 1, end: 4, text: 'First' },
+        { start: 5, end: 7, text: 'Spans segments' },
+        { start: 8, end: 9, text: 'Second' }
+      ]));
+    });
+
+    it('aligns segments with different timestamp maps to the first one', () => {
+      const { vtt } = joinWebVTT([
+        segment(900000, [['00:00:01.000', '00:00:02.000', 'A']]),
+        segment(900000 + 6 * 90000, [['00:00:01.000', '00:00:02.000', 'B']])
+      ]);
+
+      assert.match(vtt, /00:00:07\.000 --> 00:00:08\.000\nB/);
+    });
+  });
+
+  describe('vttToSrt', () => {
+    it('numbers cues, uses comma timestamps and keeps only SRT markup', () => {
+      const srt = vttToSrt([
+        'WEBVTT',
+        '',
+        '00:00:01.000 --> 00:00:02.500',
+        '<v Speaker>Hi &amp; <i>welcome</i></v>',
+        '',
+        '00:00:03.000 --> 00:00:04.000',
+        '<c.yellow>Bye</c>'
+      ].join('\n'));
+
+      assert.strictEqual(srt, [
+        '1',
+        '00:00:01,000 --> 00:00:02,500',
+        'Hi & <i>welcome</i>',
+        '',
+        '2',
+        '00:00:03,000 --> 00:00:04,000',
+        'Bye',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('saveSubtitleFiles', () => {
+    it('writes .vtt and .srt files next to the MP4', async () => {
+      await mkdir(TEST_DIR, { recursive: true });
+      const vtt = formatWebVTT([{ start: 1, end: 2, text: 'Hello' }]);
+      const { vttPath, srtPath } = await saveSubtitleFiles(path.join(TEST_DIR, '01-introduction.mp4'), vtt);
+
+      assert.strictEqual(vttPath, path.join(TEST_DIR, '01-introduction.vtt'));
+      assert.strictEqual(srtPath, path.join(TEST_DIR, '01-introduction.srt'));
+      assert.strictEqual(await readFile(vttPath, 'utf-8'), vtt);
+      assert.strictEqual(await readFile(srtPath, 'utf-8'), '1\n00:00:01,000 --> 00:00:02,000\nHello\n');
+    });
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { slugify, sanitizeFilename, loadConfig, ensureDir, formatDuration } from '../src/utils.js';
+import { slugify, sanitizeFilename, loadConfig, ensureDir, formatDuration, formatBytes, getLessonMetadata, getLessonPath, runWorkerPool } from '../src/utils.js';
 import { rm, writeFile, mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import path from 'path';
@@ -116,4 +116,107 @@ describe('utils', () => {
       assert.strictEqual(formatDuration(undefined), '0:00:00');
     });
   });
+
+  describe('formatBytes', () => {
+    it('formats sizes with binary units', () => {
+      assert.strictEqual(formatBytes(512), '512 B');
+      assert.strictEqual(formatBytes(1536), '1.5 KB');
+      assert.strictEqual(formatBytes(250 * 1024 * 1024), '250.0 MB');
+      assert.strictEqual(formatBytes(3.2 * 1024 ** 3), '3.2 GB');
+    });
+
+    it('handles edge cases', () => {
+      assert.strictEqual(formatBytes(0), '0 B');
+      assert.strictEqual(formatBytes(-1), '0 B');
+      assert.strictEqual(formatBytes(null), '0 B');
+    });
+  });
+
+  describe('getLessonPath', () => {
+    const lesson = { number: 7, title: 'Server & Client Components', section: 'Next.js App Router', sectionNumber: 3 };
+
+    it('names lessons by number and title in the output directory', () => {
+      assert.strictEqual(getLessonPath('/out', lesson), path.join('/out', '07-server-and-client-components.mp4'));
+    });
+
+    it('puts lessons into numbered section folders when enabled', () => {
+      assert.strictEqual(
+        getLessonPath('/out', lesson, { sectionFolders: true }),
+        path.join('/out', '03-nextjs-app-router', '07-server-and-client-components.mp4')
+      );
+    });
+
+    it('keeps lessons without a section at the top level', () => {
+      assert.strictEqual(
+        getLessonPath('/out', { number: 12, title: 'Wrapping Up', section: null, sectionNumber: null }, { sectionFolders: true }),
+        path.join('/out', '12-wrapping-up.mp4')
+      );
+    });
+  });
+
+  describe('getLessonMetadata', () => {
+    const course = { title: 'React and Next.js State', instructor: 'Jane Doe', description: 'Course summary', releaseDate: '2024-03-12' };
+
+    it('tags a lesson with its track number and the course details', () => {
+      assert.deepStrictEqual(getLessonMetadata(course, { number: 7, title: 'Server Components', description: 'Lesson summary' }, 42), {
+        title: 'Server Components',
+        track: '7/42',
+        album: 'React and Next.js State',
+        artist: 'Jane Doe',
+        album_artist: 'Jane Doe',
+        description: 'Lesson summary',
+        date: '2024-03-12'
+      });
+    });
+
+    it('falls back to the course description and leaves unknown details empty', () => {
+      const tags = getLessonMetadata({ title: 'Course' }, { number: 1, title: 'Intro' }, 0);
+      assert.strictEqual(tags.track, '1');
+      assert.strictEqual(tags.artist, null);
+      assert.strictEqual(tags.date, null);
+      assert.strictEqual(getLessonMetadata(course, { number: 1, title: 'Intro' }, 3).description, 'Course summary');
+    });
+  });
+
+  describe('runWorkerPool', () => {
+    it('processes every item with its index', async () => {
+      const seen = [];
+      await runWorkerPool(['a', 'b', 'c'], 2, async (item, index) => {
+        seen[index] = item;
+      });
+      assert.deepStrictEqual(seen, ['a', 'b', 'c']);
+    });
+
+    it('never exceeds the concurrency limit', async () => {
+      let active = 0;
+      let peak = 0;
+      await runWorkerPool(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(r => setTimeout(r, 5));
+        active--;
+      });
+      assert.strictEqual(peak, 3);
+    });
+
+    it('stops claiming items and aborts the signal after a failure', async () => {
+      const started = [];
+      let sawAbort = false;
+      await assert.rejects(
+        runWorkerPool(Array.from({ length: 20 }, (_, i) => i), 2, async (item, index, signal) => {
+          started.push(item);
+          if (item === 1) throw new Error('boom');
+          await new Promise(r => setTimeout(r, 10));
+          if (signal.aborted) sawAbort = true;
+        }),
+        /boom/
+      );
+      assert.ok(started.length < 20);
+      assert.strictEqual(sawAbort, true);
+    });
+
+    it('handles an empty list', async () => {
+      await assert.doesNotReject(runWorkerPool([], 4, async () => {}));
+    });
+  });
 });
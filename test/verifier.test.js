@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { verifySegment, measureTsDuration } from '../src/verifier.js';
+
+/**
+ * Build a 188-byte TS packet starting a PES packet with the given PTS
+ */
+function pesPacket(pid, pts) {
+  const packet = Buffer.alloc(188, 0xff);
+  packet[0] = 0x47;
+  packet[1] = 0x40 | (pid >> 8);
+  packet[2] = pid & 0xff;
+  packet[3] = 0x10;
+  Buffer.from([0x00, 0x00, 0x01, 0xe0, 0x00, 0x00, 0x80, 0x80, 0x05]).copy(packet, 4);
+  packet[13] = 0x21 | ((Math.floor(pts / 2 ** 30) & 0x07) << 1);
+  packet[14] = (pts >> 22) & 0xff;
+  packet[15] = ((pts >> 14) & 0xfe) | 1;
+  packet[16] = (pts >> 7) & 0xff;
+  packet[17] = ((pts << 1) & 0xfe) | 1;
+  return packet;
+}
+
+/**
+ * Build a TS segment with one PES packet per frame at 25 fps
+ */
+function tsSegment(seconds, startPts = 90000) {
+  const frames = Math.round(seconds * 25);
+  return Buffer.concat(Array.from({ length: frames + 1 }, (_, i) => pesPacket(0x100, startPts + i * 3600)));
+}
+
+/**
+ * Build an ISO BMFF box
+ */
+function box(type, payload = Buffer.alloc(8)) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + payload.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+}
+
+describe('verifier.js', () => {
+  describe('measureTsDuration', () => {
+    it('measures the PTS range', () => {
+      assert.strictEqual(measureTsDuration(tsSegment(6)), 6);
+    });
+
+    it('handles the 33-bit PTS wrap', () => {
+      const duration = measureTsDuration(tsSegment(4, 2 ** 33 - 3600 * 10));
+      assert.strictEqual(duration, 4);
+    });
+
+    it('returns null without timestamps', () => {
+      const packet = Buffer.alloc(188, 0xff);
+      packet[0] = 0x47;
+      assert.strictEqual(measureTsDuration(packet), null);
+    });
+  });
+
+  describe('verifySegment (MPEG-TS)', () => {
+    it('accepts an intact segment matching EXTINF', () => {
+      const result = verifySegment(tsSegment(6), { duration: 6.006 });
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.duration, 6);
+    });
+
+    it('rejects empty data', () => {
+      assert.deepStrictEqual(verifySegment(Buffer.alloc(0)), { valid: false, reason: 'empty response', duration: null });
+    });
+
+    it('recognizes HTML error pages', () => {
+      const result = verifySegment(Buffer.from('<!DOCTYPE html><html><body>Access Denied</body></html>'));
+      assert.strictEqual(result.valid, false);
+      assert.match(result.reason, /HTML/);
+    });
+
+    it('rejects data that is not whole packets', () => {
+      const result = verifySegment(tsSegment(2).subarray(0, 1000));
+      assert.strictEqual(result.valid, false);
+      assert.match(result.reason, /not a multiple of 188/);
+    });
+
+    it('reports the packet that lost sync', () => {
+      const data = tsSegment(2);
+      data[188 * 3] = 0x00;
+      const result = verifySegment(data);
+      assert.strictEqual(result.valid, false);
+      assert.match(result.reason, /packet 3/);
+    });
+
+    it('rejects segments much shorter than EXTINF', () => {
+      const result = verifySegment(tsSegment(3), { duration: 10 });
+      assert.strictEqual(result.valid, false);
+      assert.match(result.reason, /duration 3\.00s doesn't match EXTINF 10\.00s/);
+    });
+  });
+
+  describe('verifySegment (fMP4)', () => {
+    it('accepts init segments and fragments', () => {
+      assert.strictEqual(verifySegment(Buffer.concat([box('ftyp'), box('moov')]), { format: 'fmp4', init: true }).valid, true);
+      assert.strictEqual(verifySegment(Buffer.concat([box('styp'), box('moof'), box('mdat', Buffer.alloc(100))]), { format: 'fmp4' }).valid, true);
+    });
+
+    it('rejects truncated fragments', () => {
+      const data = Buffer.concat([box('moof'), box('mdat', Buffer.alloc(100))]).subarray(0, 60);
+      const result = verifySegment(data, { format: 'fmp4' });
+      assert.strictEqual(result.valid, false);
+      assert.match(result.reason, /"mdat" box runs past the end/);
+    });
+
+    it('rejects fragments without media data', () => {
+      const result = verifySegment(box('moof'), { format: 'fmp4' });
+      assert.strictEqual(result.valid, false);
+      assert.match(result.reason, /missing mdat/);
+    });
+
+    it('recognizes JSON error bodies', () => {
+      const result = verifySegment(Buffer.from('{"message":"Forbidden"}'), { format: 'fmp4' });
+      assert.strictEqual(result.valid, false);
+      assert.match(result.reason, /JSON/);
+    });
+  });
+});